@@ -40,7 +40,8 @@ export function DelegationTree({ state }) {
         address={rootDelegation?.delegate || '0x...'}
         role="Primary Delegate"
         amount={rootDelegation?.amount || 0}
-        remaining={calculateAgentARemaining(rootDelegation, subDelegations)}
+        remaining={calculateAgentAUnallocated(rootDelegation, subDelegations)}
+        remainingLabel="Unallocated"
         expiry={rootDelegation?.expiry}
         active={step >= 1}
         pending={step < 1}
@@ -88,6 +89,7 @@ function DelegationNode({
   role, 
   amount, 
   remaining, 
+  remainingLabel = 'Remaining',
   expiry, 
   active, 
   pending,
@@ -131,7 +133,7 @@ function DelegationNode({
           <span className="stat-value usdc">{formatUSDC(amount)}</span>
         </div>
         <div className="stat">
-          <span className="stat-label">Remaining</span>
+          <span className="stat-label">{remainingLabel}</span>
           <span className={`stat-value ${remaining > 0 ? 'remaining' : ''}`}>
             {formatUSDC(remaining)}
           </span>
@@ -153,7 +155,9 @@ function DelegationNode({
   );
 }
 
-function calculateAgentARemaining(rootDelegation, subDelegations) {
+// Sub-delegation caps are not reserved on-chain - this is what Agent A has not
+// handed out yet, not a balance (see scripts/budget.mjs)
+function calculateAgentAUnallocated(rootDelegation, subDelegations) {
   if (!rootDelegation) return 0;
   if (!subDelegations || subDelegations.length === 0) return rootDelegation.amount;
   
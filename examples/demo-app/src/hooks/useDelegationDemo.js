@@ -130,8 +130,8 @@ export function useDelegationDemo() {
     addLog('success', '✅ All sub-delegations created!');
     addLog('info', '🔗 Delegation chain established:');
     addLog('info', '   Human → Agent A → [B, C, D]');
-    addLog('info', '   Total delegated to sub-agents: 900 USDC');
-    addLog('info', '   Remaining with Agent A: 100 USDC');
+    addLog('info', '   Allocated to sub-agents: 900 of 1,000 USDC (100 USDC unallocated)');
+    addLog('info', '   Caps are not reserved on-chain - every transfer also draws on Agent A\'s 1,000 USDC');
     
     setState(prev => ({
       ...prev,
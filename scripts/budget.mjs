@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Allocated vs unallocated authority per parent delegation
+ *
+ * Sibling sub-delegations each have their own cap, but they all spend the
+ * parent's one allowance - three 1000 USDC sub-delegations of a 1000 USDC
+ * parent are allowed on-chain and cannot all be spent. For every delegation
+ * in the local store that has sub-delegations, this sums their caps against
+ * the parent chain's lifetime cap (see getDelegationBudget).
+ *
+ * Expired sub-delegations allocate nothing. With --check, disabledDelegations
+ * is read on-chain and revoked sub-delegations allocate nothing either.
+ * Only the local store is consulted: sub-delegations created elsewhere are
+ * not counted.
+ *
+ * Usage:
+ *   node budget.mjs
+ *   node budget.mjs --hash 0x06d233b1
+ *   node budget.mjs --delegate 0x... --check
+ *   node budget.mjs --over --json
+ */
+
+import 'dotenv/config';
+import { formatUnits } from 'viem';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import {
+  buildDelegationGraph,
+  getDelegationAncestors,
+  getDelegationBudget,
+  getDelegationHash,
+  parseDelegation,
+  getPublicClient,
+  isDelegationDisabled,
+  getNetwork,
+  NETWORKS,
+  USDC_DECIMALS
+} from './lib/delegation.mjs';
+import { getStoreDir, listStoredDelegations, loadStoredDelegation } from './lib/store.mjs';
+import { NotFoundError } from './lib/errors.mjs';
+import { run, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
+
+const argv = yargs(hideBin(process.argv))
+  .option('hash', {
+    type: 'string',
+    description: 'Only this parent delegation (hash or 8+ digit prefix in the store)'
+  })
+  .option('delegate', {
+    type: 'string',
+    description: 'Only parents delegated to this address (the sub-delegations it issued)'
+  })
+  .option('network', {
+    type: 'string',
+    description: 'Only delegations signed for this network',
+    choices: Object.keys(NETWORKS)
+  })
+  .option('over', {
+    type: 'boolean',
+    description: 'Only parents whose sub-delegations allocate more than the cap',
+    default: false
+  })
+  .option('check', {
+    type: 'boolean',
+    description: 'Read disabledDelegations on-chain so revoked sub-delegations allocate nothing',
+    default: false
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
+  .help()
+  .argv;
+
+const usdc = (amount) => `${formatUnits(amount, USDC_DECIMALS)} USDC`;
+const shortHash = (hash) => `${hash.slice(0, 10)}…${hash.slice(-6)}`;
+const networkOf = (delegation) => NETWORKS[delegation._meta?.network] ? getNetwork(delegation._meta.network) : getNetwork();
+
+/**
+ * Hashes of the given delegations that are disabled on-chain
+ */
+async function findRevoked(nodes) {
+  const revoked = [];
+  await Promise.all(nodes.map(async ({ hash, delegation }) => {
+    const network = networkOf(delegation);
+    if (await isDelegationDisabled(getPublicClient(network), delegation, network)) revoked.push(hash);
+  }));
+  return revoked;
+}
+
+async function main() {
+  // Human output only - with --json the report is printed at the end
+  const log = argv.json ? () => {} : console.log;
+
+  log('💰 Sub-Delegation Budget\n');
+  log(`📂 Store: ${getStoreDir()}\n`);
+
+  const graph = buildDelegationGraph(listStoredDelegations().map(entry => entry.raw));
+
+  let parents = [...graph.values()].filter(node => node.children.length > 0);
+  if (argv.hash) {
+    let wanted;
+    try {
+      wanted = loadStoredDelegation(argv.hash);
+    } catch (e) {
+      throw new NotFoundError(e.message, { cause: e });
+    }
+    parents = [graph.get(getDelegationHash(parseDelegation(wanted)).toLowerCase())];
+  }
+  parents = parents
+    .filter(node => !argv.delegate || node.delegation.delegate.toLowerCase() === argv.delegate.toLowerCase())
+    .filter(node => !argv.network || networkOf(node.delegation).name === argv.network);
+
+  // Revocation is on-chain state - only read it when asked
+  let revoked = [];
+  if (argv.check) {
+    log('🔍 Checking disabledDelegations on-chain...\n');
+    revoked = await findRevoked(parents.flatMap(node => node.children.map(h => graph.get(h))));
+  }
+
+  let budgets = parents.map(node => {
+    const chain = [node.delegation, ...getDelegationAncestors(graph, node.hash).map(h => graph.get(h).delegation)];
+    const children = node.children.map(h => graph.get(h).delegation);
+    return {
+      delegator: node.delegation.delegator,
+      delegate: node.delegation.delegate,
+      ...getDelegationBudget(chain, children, networkOf(node.delegation), { revoked })
+    };
+  });
+  if (argv.over) {
+    budgets = budgets.filter(b => b.overAllocated > 0n);
+  }
+
+  if (argv.json) {
+    printJson({ store: getStoreDir(), checked: argv.check, budgets });
+    return;
+  }
+
+  if (budgets.length === 0) {
+    console.log(argv.hash || argv.delegate || argv.network || argv.over
+      ? '  No parent delegation matches'
+      : '  No stored delegation has sub-delegations yet - create one with create-subdelegation.mjs');
+    return;
+  }
+
+  for (const b of budgets) {
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`📦 Parent ${b.parentHash}`);
+    console.log(`   ${b.delegator} → ${b.delegate}`);
+    console.log('═══════════════════════════════════════════════════════════════\n');
+
+    if (b.cap) {
+      const setBy = b.cap.hop === 0 ? 'the parent' : `hop ${b.cap.hop} above it`;
+      console.log(`  Cap:          ${usdc(b.cap.value)}  (set by ${setBy})`);
+    } else {
+      console.log('  Cap:          None - no hop sets a lifetime cap');
+    }
+    console.log(`  Allocated:    ${usdc(b.allocated)}`);
+    if (b.cap) {
+      console.log(`  Unallocated:  ${usdc(b.unallocated)}`);
+    }
+    if (b.overAllocated > 0n) {
+      console.log(`  ⚠️  Over-allocated by ${usdc(b.overAllocated)} - the sub-delegations cannot all be spent in full`);
+    }
+
+    console.log('\n  Sub-delegations:');
+    for (const c of b.children) {
+      const amount = c.allocation === null ? 'uncapped' : `${usdc(c.allocation)}${c.inherited ? ' (inherited cap)' : ''}`;
+      const status = c.revoked ? '🚫 revoked, not counted' : c.expired ? '⌛ expired, not counted' : '✅';
+      console.log(`   ${shortHash(c.hash)}  → ${c.delegate}  ${amount}  ${status}`);
+    }
+    console.log('');
+  }
+
+  console.log('💡 Caps are not reserved on-chain: each sub-delegate can spend up to its own cap');
+  console.log('   for as long as the parent\'s allowance lasts.');
+  console.log('   Only the local store is counted - sub-delegations created elsewhere or with --no-store are missing.');
+  if (!argv.check) {
+    console.log('   Revoked sub-delegations still count - pass --check to read them on-chain.');
+  }
+}
+
+run(main);
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * Revoke ALL nonce-bound delegations at once (kill switch)
+ *
+ * Delegations created with --nonce carry a NonceEnforcer caveat bound to the
+ * delegator's current nonce. This calls NonceEnforcer.incrementNonce(DelegationManager),
+ * after which every one of them - and every sub-delegation derived from them -
+ * fails with "NonceEnforcer:invalid-nonce".
+ *
+ * Delegations created without --nonce are NOT affected; revoke those
+ * individually with revoke-delegation.mjs.
+ *
+ * The nonce is per delegator. Delegations from your DeleGator (created with
+ * --smart-account) are bound to the DeleGator's nonce, which only the DeleGator
+ * can increment: --smart-account sends incrementNonce through it (a user
+ * operation your EOA signs and submits to the EntryPoint). Without it, the
+ * script refuses when the local store only holds nonce-bound delegations from
+ * your DeleGator, since bumping the EOA's nonce would leave them redeemable.
+ *
+ * Usage:
+ *   node bulk-revoke.mjs
+ *   node bulk-revoke.mjs --execute
+ *   node bulk-revoke.mjs --smart-account --execute
+ *   node bulk-revoke.mjs --execute --json
+ */
+
+import 'dotenv/config';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { encodeFunctionData } from 'viem';
+import {
+  getClients,
+  getDelegatorNonce,
+  getNetwork,
+  getSmartAccount,
+  getSmartAccountOwner,
+  executeAsSmartAccount,
+  getUserOperationResult,
+  NONCE_ENFORCER_ABI,
+  NETWORKS,
+  DEFAULT_NETWORK
+} from './lib/delegation.mjs';
+import { listStoredDelegations } from './lib/store.mjs';
+import { ConfigError, NotAuthorizedError, RpcError, TransactionError } from './lib/errors.mjs';
+import { requireSigner } from './lib/signers.mjs';
+import { run, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
+
+const argv = yargs(hideBin(process.argv))
+  .option('execute', {
+    type: 'boolean',
+    description: 'Actually increment the nonce on-chain',
+    default: false
+  })
+  .option('smart-account', {
+    type: 'boolean',
+    description: 'Increment the nonce of the DeleGator smart account owned by the signer (see create-account.mjs)',
+    default: false
+  })
+  .option('account-salt', {
+    type: 'number',
+    description: 'Deploy salt of the smart account (with --smart-account)',
+    default: 0
+  })
+  .option('network', {
+    type: 'string',
+    description: 'Network to use',
+    choices: Object.keys(NETWORKS),
+    default: DEFAULT_NETWORK
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
+  .help()
+  .argv;
+
+// Human output only - with --json the result object is printed at the end
+const log = argv.json ? () => {} : console.log;
+
+/**
+ * Count the nonce-bound delegations in the local store signed by `owner`:
+ * from the EOA itself, and per DeleGator it owns (from `_meta.smartAccount`)
+ * @returns {{ eoa: number, smartAccounts: Map<string, { address: string, salt: bigint, count: number }> }}
+ */
+function findNonceBoundDelegations(owner, network) {
+  const smartAccounts = new Map();
+  let eoa = 0;
+  for (const { raw } of listStoredDelegations()) {
+    if (raw._meta?.chainId !== undefined && Number(raw._meta.chainId) !== network.chain.id) continue;
+    if (!raw.caveats.some(c => c.enforcer.toLowerCase() === network.contracts.NonceEnforcer.toLowerCase())) continue;
+
+    const meta = raw._meta?.smartAccount;
+    if (raw.delegator.toLowerCase() === owner.toLowerCase()) {
+      eoa++;
+    } else if (meta?.owner?.toLowerCase() === owner.toLowerCase()) {
+      const key = raw.delegator.toLowerCase();
+      const entry = smartAccounts.get(key) || { address: raw.delegator, salt: BigInt(meta.salt ?? 0), count: 0 };
+      entry.count++;
+      smartAccounts.set(key, entry);
+    }
+  }
+  return { eoa, smartAccounts };
+}
+
+async function main() {
+  const signer = await requireSigner();
+
+  log('🚨 ERC-7710 Bulk Revocation (NonceEnforcer)\n');
+
+  const network = getNetwork(argv.network);
+  const { contracts } = network;
+  const { walletClient, publicClient, account, chain } = getClients(signer, network);
+  const warnings = [];
+
+  // Only the delegator can bump its own nonce: an EOA directly, a DeleGator through execute()
+  let delegator = account.address;
+  const { eoa, smartAccounts } = findNonceBoundDelegations(account.address, network);
+  if (argv.smartAccount) {
+    delegator = getSmartAccount(account.address, { salt: BigInt(argv.accountSalt), network }).address;
+    let owner;
+    try {
+      owner = await getSmartAccountOwner(publicClient, delegator);
+    } catch (e) {
+      throw new RpcError(`Could not read the owner of ${delegator}: ${e.shortMessage || e.message}`, { cause: e });
+    }
+    if (owner === null) {
+      throw new ConfigError(`Smart account ${delegator} is not deployed - its delegations cannot be redeemed yet, and it cannot increment its nonce`);
+    }
+    if (owner.toLowerCase() !== account.address.toLowerCase()) {
+      throw new NotAuthorizedError(`Smart account is owned by ${owner}, not ${account.address}`);
+    }
+    smartAccounts.delete(delegator.toLowerCase());
+  } else if (smartAccounts.size > 0 && eoa === 0) {
+    throw new ConfigError(
+      'The nonce-bound delegations in the local store are from your smart account - incrementing your EOA\'s nonce would leave them redeemable. Run with --smart-account',
+      {
+        details: [...smartAccounts.values()].map(a =>
+          `${a.count} delegation(s) from ${a.address}: node bulk-revoke.mjs --smart-account${a.salt ? ` --account-salt ${a.salt}` : ''} --execute`
+        )
+      }
+    );
+  }
+  for (const { address, count, salt } of smartAccounts.values()) {
+    warnings.push(`${count} stored nonce-bound delegation(s) from your smart account ${address} stay redeemable - run again with --smart-account${salt ? ` --account-salt ${salt}` : ''}`);
+  }
+
+  const result = {
+    network: network.name,
+    delegator,
+    ...(argv.smartAccount && { smartAccount: true }),
+    executed: argv.execute,
+    currentNonce: null,
+    warnings
+  };
+
+  log(`📍 Network: ${chain.name}`);
+  log(`👤 Delegator: ${delegator}${argv.smartAccount ? ` (smart account owned by ${account.address})` : ''}\n`);
+  warnings.forEach(w => log(`⚠️  ${w}\n`));
+
+  let currentNonce = null;
+  try {
+    currentNonce = await getDelegatorNonce(publicClient, delegator, network);
+    result.currentNonce = currentNonce;
+    log(`🔢 Current nonce: ${currentNonce}\n`);
+  } catch (e) {
+    const message = `Could not read current nonce: ${e.shortMessage || e.message}`;
+    result.warnings.push(message);
+    log(`⚠️  ${message}\n`);
+  }
+
+  log('═══════════════════════════════════════════════════════════════');
+  log('⚠️  BULK REVOCATION WARNING');
+  log('═══════════════════════════════════════════════════════════════\n');
+  log('  Incrementing your nonce will:');
+  log(`  • Invalidate EVERY delegation you signed with --nonce${currentNonce !== null ? ` (nonce ${currentNonce})` : ''}`);
+  log('  • Invalidate ALL sub-delegations derived from them');
+  log('  • Leave delegations created without --nonce untouched');
+  log('  • This action is IRREVERSIBLE');
+  log('');
+
+  log('📝 Revocation Details:');
+  log(`   NonceEnforcer:     ${contracts.NonceEnforcer}`);
+  log(`   Method:            incrementNonce(address)`);
+  log(`   DelegationManager: ${contracts.DelegationManager}`);
+  if (argv.smartAccount) {
+    log(`   Sent through:      ${delegator} (via EntryPoint.handleOps)`);
+  }
+  log('');
+
+  if (!argv.execute) {
+    if (argv.json) {
+      printJson({ ...result, status: 'planned' });
+      return;
+    }
+    log('💡 To execute bulk revocation on-chain, run with --execute flag');
+    log(`   node bulk-revoke.mjs${argv.smartAccount ? ' --smart-account' : ''} --execute`);
+    return;
+  }
+
+  log('🔄 Incrementing nonce on-chain...');
+
+  let hash;
+  let receipt;
+  try {
+    const call = {
+      address: contracts.NonceEnforcer,
+      abi: NONCE_ENFORCER_ABI,
+      functionName: 'incrementNonce',
+      args: [contracts.DelegationManager]
+    };
+    hash = argv.smartAccount
+      ? await executeAsSmartAccount(publicClient, walletClient, {
+        smartAccount: delegator,
+        target: call.address,
+        callData: encodeFunctionData(call)
+      }, network)
+      : await walletClient.writeContract(call);
+
+    log('✅ Bulk revocation transaction submitted!');
+    log(`   Transaction: ${hash}`);
+    log(`   Explorer: ${network.explorer}/tx/${hash}`);
+
+    log('\n⏳ Waiting for confirmation...');
+    receipt = await publicClient.waitForTransactionReceipt({ hash });
+  } catch (error) {
+    throw new TransactionError(`Bulk revocation failed: ${error.shortMessage || error.message}`, {
+      transactionHash: hash ?? null,
+      cause: error
+    });
+  }
+
+  if (receipt.status !== 'success') {
+    throw new TransactionError('Transaction failed', { transactionHash: hash, blockNumber: receipt.blockNumber });
+  }
+  if (argv.smartAccount) {
+    const { success, revertReason } = getUserOperationResult(receipt, delegator);
+    if (!success) {
+      throw new TransactionError(`Bulk revocation failed: the smart account's call reverted (${revertReason})`, {
+        transactionHash: hash,
+        blockNumber: receipt.blockNumber
+      });
+    }
+  }
+
+  const newNonce = currentNonce !== null ? currentNonce + 1n : null;
+  if (argv.json) {
+    printJson({
+      ...result,
+      status: 'revoked',
+      transactionHash: hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      newNonce
+    });
+    return;
+  }
+
+  log('✅ All nonce-bound delegations revoked!');
+  log(`   Block: ${receipt.blockNumber}`);
+  log(`   Gas used: ${receipt.gasUsed}`);
+  if (newNonce !== null) {
+    log(`   New nonce: ${newNonce}`);
+  }
+}
+
+run(main);
@@ -2,31 +2,48 @@
 /**
  * Check the scope of a delegation
  * 
- * Displays all caveats (constraints) and their status.
+ * Displays all caveats (constraints) and their status, including the
+ * remaining USDC allowance read from ERC20TransferAmountEnforcer.
+ * Caveats are decoded through the caveat registry (registerCaveatEnforcer),
+ * so any registered enforcer is shown with its terms.
  * Useful for understanding what actions are permitted.
  * 
+ * For a sub-delegation every hop of the embedded `_chain` is listed, and the
+ * effective scope of the whole chain is computed: the lowest amount cap and
+ * remaining allowance, the earliest expiry, the latest start and the
+ * intersected redeemer and recipient sets, each with the hop that sets it.
+ * 
  * Usage:
  *   node check-scope.mjs --delegation ./delegation.json
  */
 
 import 'dotenv/config';
-import { readFileSync } from 'fs';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { formatUnits } from 'viem';
 import { 
-  formatDelegation, 
-  getDelegationHash, 
-  DELEGATION_FRAMEWORK, 
+  getCaveatEnforcer,
+  decodeCaveat,
+  formatCaveat,
+  getCurrentPeriod,
+  formatPeriod,
+  getNetwork,
   USDC_DECIMALS,
-  ROOT_AUTHORITY
+  NETWORKS,
+  DEFAULT_NETWORK
 } from './lib/delegation.mjs';
+import { DelegationClient } from './lib/client.mjs';
+import { NetworkMismatchError } from './lib/errors.mjs';
+import { run, fail, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
 
 const argv = yargs(hideBin(process.argv))
   .option('delegation', {
     type: 'string',
-    description: 'Path to delegation JSON file',
-    demandOption: true
+    description: 'Path to delegation JSON file'
+  })
+  .option('hash', {
+    type: 'string',
+    description: 'Hash of a delegation in the local store (instead of --delegation)'
   })
   .option('verbose', {
     type: 'boolean',
@@ -34,19 +51,269 @@ const argv = yargs(hideBin(process.argv))
     description: 'Show raw terms data',
     default: false
   })
+  .option('network', {
+    type: 'string',
+    description: 'Network to use',
+    choices: Object.keys(NETWORKS),
+    default: DEFAULT_NETWORK
+  })
+  .option('json', JSON_OPTION)
+  .check(argv => {
+    if (!argv.delegation === !argv.hash) {
+      throw new Error('Provide either --delegation <file> or --hash <hash>');
+    }
+    return true;
+  })
+  .fail(failUsage)
   .help()
   .argv;
 
+/**
+ * Decoded caveats with their live state (amounts in base units)
+ */
+function decodeCaveats(delegation, state, stateErrors, network, now) {
+  return delegation.caveats.map(caveat => {
+    const decoded = decodeCaveat(caveat, network);
+    if (decoded.decodeError) return decoded;
+    switch (decoded.name) {
+      case 'ERC20TransferAmountEnforcer': {
+        if (state.spent === null) return { ...decoded, stateError: stateErrors.spent };
+        const remaining = state.spent >= decoded.maxAmount ? 0n : decoded.maxAmount - state.spent;
+        return { ...decoded, spent: state.spent, remaining, status: remaining > 0n ? 'active' : 'exhausted' };
+      }
+      case 'ERC20PeriodTransferEnforcer': {
+        if (!getCurrentPeriod(decoded, now)) return { ...decoded, status: 'pending' };
+        if (!state.periodState) return { ...decoded, stateError: stateErrors.periodState };
+        const { currentPeriod, periodEnd, transferredInCurrentPeriod, available } = state.periodState;
+        return {
+          ...decoded,
+          currentPeriod,
+          periodEnd,
+          transferredInCurrentPeriod,
+          available,
+          status: available > 0n ? 'active' : 'exhausted'
+        };
+      }
+      case 'TimestampEnforcer':
+        return {
+          ...decoded,
+          status: decoded.notAfter > 0 && now >= decoded.notAfter
+            ? 'expired'
+            : decoded.notBefore > 0 && now <= decoded.notBefore ? 'pending' : 'active'
+        };
+      case 'LimitedCallsEnforcer': {
+        if (state.callCount === null) return { ...decoded, stateError: stateErrors.callCount };
+        const remaining = state.callCount >= decoded.maxCalls ? 0n : decoded.maxCalls - state.callCount;
+        return { ...decoded, used: state.callCount, remaining, status: remaining > 0n ? 'active' : 'exhausted' };
+      }
+      case 'NonceEnforcer':
+        if (state.currentNonce === null) return { ...decoded, stateError: stateErrors.currentNonce };
+        return { ...decoded, currentNonce: state.currentNonce, status: state.currentNonce === decoded.nonce ? 'active' : 'revoked' };
+      default:
+        return decoded;
+    }
+  });
+}
+
+const usdc = (amount) => `${formatUnits(amount, USDC_DECIMALS)} USDC`;
+const isoTime = (seconds) => new Date(seconds * 1000).toISOString();
+
+// Effective scope limits by name, for the per-hop "tightest for" list
+const SCOPE_LABELS = {
+  amount: 'amount cap',
+  remaining: 'remaining allowance',
+  notBefore: 'start',
+  expiry: 'expiry',
+  maxValue: 'ETH value',
+  maxCalls: 'calls',
+  redeemers: 'redeemers',
+  recipients: 'recipients'
+};
+
+/**
+ * Display lines for the effective scope of the chain (see DelegationClient.check)
+ * Each limit is followed by the hop that sets it when there is more than one hop.
+ */
+function effectiveScopeLines(scope, hops, now) {
+  const by = (limit) => hops > 1 ? `  ← hop ${limit.hop}` : '';
+  const addresses = (limit, none) => limit.value.length === 0
+    ? `❌ None - ${none}`
+    : `${limit.value.join(', ')}${by(limit)}${limit.hops.length > 1 ? ` (of hops ${limit.hops.join(', ')})` : ''}`;
+  const row = (label, value) => `${`${label}:`.padEnd(14)}${value}`;
+  const lines = [];
+
+  lines.push(row('Amount cap', scope.amount ? `${usdc(scope.amount.value)}${by(scope.amount)}` : '⚠️  None'));
+  if (scope.amount) {
+    lines.push(row('Remaining', scope.remaining
+      ? `${usdc(scope.remaining.value)}${by(scope.remaining)}${scope.remaining.value === 0n ? '  ❌ EXHAUSTED' : ''}`
+      : '⚠️  Unknown (could not read on-chain spend)'));
+  }
+  for (const period of scope.periods) {
+    lines.push(row('Per period', `${usdc(period.periodAmount)} per ${formatPeriod(period.periodDuration)}${by(period)}`));
+  }
+  lines.push(row('Starts', scope.notBefore
+    ? `${isoTime(scope.notBefore.value)}${by(scope.notBefore)}${now <= scope.notBefore.value ? '  ⏳ not yet active' : ''}`
+    : 'Immediately'));
+  lines.push(row('Expires', scope.expiry
+    ? `${isoTime(scope.expiry.value)}${by(scope.expiry)}${now >= scope.expiry.value ? '  ❌ EXPIRED' : ''}`
+    : '⚠️  Never'));
+  if (scope.notBefore && scope.expiry && scope.notBefore.value >= scope.expiry.value) {
+    lines.push(row('Window', '❌ Never active - the latest start is not before the earliest expiry'));
+  }
+  lines.push(row('ETH value', scope.maxValue
+    ? `${scope.maxValue.value === 0n ? '0 (ERC20 only)' : `${formatUnits(scope.maxValue.value, 18)} ETH`}${by(scope.maxValue)}`
+    : '⚠️  Unlimited'));
+  lines.push(row('Max calls', scope.maxCalls
+    ? `${scope.maxCalls.value}${by(scope.maxCalls)}${scope.maxCalls.value === 0n ? '  ❌ NONE ALLOWED' : ''}`
+    : 'Unlimited'));
+  lines.push(row('Token', scope.tokens
+    ? scope.tokens.value.length > 0 ? scope.tokens.value.join(', ') : '❌ None - the hops limit different tokens'
+    : 'Any'));
+  lines.push(row('Redeemers', scope.redeemers ? addresses(scope.redeemers, 'no address is allowed by every hop') : 'Unrestricted'));
+  lines.push(row('Recipients', scope.recipients ? addresses(scope.recipients, 'no payee is allowed by every hop') : 'Unrestricted'));
+  return lines;
+}
+
+/**
+ * One-line result of verifyDelegationSignature()
+ */
+function signatureStatus(check) {
+  if (check.valid) {
+    return check.method === 'counterfactual'
+      ? `✓ Valid DeleGator owner signature (⚠️  ${check.reason})`
+      : `✓ Valid (${check.method === 'erc1271' ? 'ERC-1271 smart account' : 'ECDSA'})`;
+  }
+  return check.method === 'unverified' ? `⚠️  Unverified - ${check.reason}` : `✗ INVALID - ${check.reason}`;
+}
+
+/**
+ * Live-state and status lines for a decoded caveat (see decodeCaveats)
+ */
+function statusLines(decoded, now) {
+  switch (decoded.name) {
+    case 'ERC20TransferAmountEnforcer':
+      return [
+        '🔧 Method: transfer(address,uint256) only',
+        ...(decoded.stateError
+          ? [`⚠️  Could not read on-chain spend: ${decoded.stateError}`, 'Status: ✅ Active (remaining allowance unknown)']
+          : [
+            `📊 Spent: ${usdc(decoded.spent)}`,
+            `💵 Remaining: ${usdc(decoded.remaining)}`,
+            `Status: ${decoded.status === 'active' ? '✅ Active' : '❌ EXHAUSTED'}`
+          ])
+      ];
+
+    case 'ERC20PeriodTransferEnforcer': {
+      const lines = ['🔧 Method: transfer(address,uint256) only'];
+      if (decoded.status === 'pending') return [...lines, 'Status: ⏳ Not started yet'];
+      if (decoded.stateError) {
+        return [
+          ...lines,
+          `🔄 Current period ends: ${new Date(getCurrentPeriod(decoded, now).periodEnd * 1000).toISOString()}`,
+          `⚠️  Could not read on-chain period usage: ${decoded.stateError}`,
+          'Status: ✅ Active (available amount unknown)'
+        ];
+      }
+      return [
+        ...lines,
+        `📊 Period ${decoded.currentPeriod}: ${usdc(decoded.transferredInCurrentPeriod)} spent`,
+        `💵 Available this period: ${usdc(decoded.available)}`,
+        `🔄 Resets: ${new Date(decoded.periodEnd * 1000).toISOString()}`,
+        `Status: ${decoded.status === 'active' ? '✅ Active' : '⏸️  Exhausted until reset'}`
+      ];
+    }
+
+    case 'TimestampEnforcer': {
+      const { notBefore, notAfter } = decoded;
+      const lines = [];
+      if (notBefore > 0) {
+        const remaining = notBefore - now;
+        lines.push(remaining >= 0
+          ? `Status: ⏳ Not yet active - ${Math.floor(remaining / 3600)}h ${Math.floor((remaining % 3600) / 60)}m until valid`
+          : 'Status: ✅ Start time passed');
+      }
+      if (notAfter > 0) {
+        const remaining = notAfter - now;
+        lines.push(remaining > 0
+          ? `Status: ✅ Valid - ${Math.floor(remaining / 86400)}d ${Math.floor((remaining % 86400) / 3600)}h ${Math.floor((remaining % 3600) / 60)}m remaining`
+          : `Status: ❌ EXPIRED ${Math.abs(remaining / 60).toFixed(0)} minutes ago`);
+      }
+      return notBefore === 0 && notAfter === 0 ? ['⚠️  No time constraints (perpetual)'] : lines;
+    }
+
+    case 'ValueLteEnforcer':
+      return [
+        ...(decoded.maxValue === 0n ? ['📝 Purpose: Ensures only ERC20 transfers, no native ETH'] : []),
+        'Status: ✅ Active'
+      ];
+
+    case 'RedeemerEnforcer':
+      return ['👤 Restricts who can redeem this delegation', 'Status: ✅ Active'];
+
+    case 'LimitedCallsEnforcer':
+      return decoded.stateError
+        ? [`⚠️  Could not read on-chain call count: ${decoded.stateError}`, 'Status: ✅ Active (remaining calls unknown)']
+        : [
+          `📊 Used: ${decoded.used} / ${decoded.maxCalls}`,
+          `Status: ${decoded.remaining > 0n ? `✅ Active - ${decoded.remaining} remaining` : '❌ EXHAUSTED'}`
+        ];
+
+    case 'NonceEnforcer':
+      return decoded.stateError
+        ? [`⚠️  Could not read on-chain nonce: ${decoded.stateError}`]
+        : [`Status: ${decoded.status === 'active' ? '✅ Active' : `❌ REVOKED in bulk (delegator is now at nonce ${decoded.currentNonce})`}`];
+
+    case 'AllowedCalldataEnforcer':
+    case 'LogicalOrWrapperEnforcer':
+      return decoded.recipient || decoded.recipients ? ['📬 Recipient allowlist', 'Status: ✅ Active'] : [];
+
+    default:
+      return [];
+  }
+}
+
 async function main() {
-  console.log('🔍 ERC-7710 Delegation Scope Analysis\n');
+  const network = getNetwork(argv.network);
+  const client = new DelegationClient({ network });
 
-  const raw = JSON.parse(readFileSync(argv.delegation, 'utf8'));
-  const delegation = {
-    ...raw,
-    salt: BigInt(raw.salt)
-  };
+  // Signature (ERC-1271 needs the RPC; falls back to ECDSA only) and the
+  // on-chain state of each stateful caveat
+  const result = await client.check(argv.hash || argv.delegation);
+  const { raw, delegation, hash: delegationHash, signature: signatureCheck, state, stateErrors, networkValidation } = result;
+  const { chain, chainValidation, effectiveScope } = result;
+  const now = Math.floor(Date.now() / 1000);
   
-  const delegationHash = getDelegationHash(delegation);
+  // A delegation signed for another chain can never be redeemed on this one
+  const networkError = networkValidation.valid
+    ? null
+    : new NetworkMismatchError(`NETWORK MISMATCH (checking against ${network.name})`, { details: networkValidation.errors });
+
+  const caveats = decodeCaveats(delegation, state, stateErrors, network, now);
+
+  if (argv.json) {
+    const report = {
+      network: network.name,
+      hash: delegationHash,
+      delegator: delegation.delegator,
+      delegate: delegation.delegate,
+      authority: delegation.authority,
+      root: result.root,
+      chain,
+      chainValidation,
+      effectiveScope,
+      salt: delegation.salt,
+      signature: signatureCheck,
+      caveats,
+      security: result.security,
+      networkValidation,
+      meta: raw._meta || null
+    };
+    if (networkError) fail(networkError, { json: true, result: report });
+    printJson(report);
+    return;
+  }
+
+  console.log('🔍 ERC-7710 Delegation Scope Analysis\n');
   
   console.log('═══════════════════════════════════════════════════════════════');
   console.log('📋 DELEGATION OVERVIEW');
@@ -56,17 +323,36 @@ async function main() {
   console.log(`  Delegate:   ${delegation.delegate}`);
   console.log(`  Hash:       ${delegationHash}`);
   console.log(`  Salt:       ${delegation.salt}`);
-  console.log(`  Signed:     ${delegation.signature && delegation.signature !== '0x' ? '✓ Yes' : '✗ No'}`);
+  console.log(`  Signature:  ${signatureStatus(signatureCheck)}`);
   
-  // Chain info
+  // Chain info - every hop up to the root, leaf first
   console.log('\n🔗 DELEGATION CHAIN');
-  if (delegation.authority === ROOT_AUTHORITY) {
+  if (result.root) {
     console.log('   Type: ROOT delegation (directly from delegator)');
     console.log('   The delegator owns the funds being delegated.');
   } else {
-    console.log('   Type: SUB-DELEGATION (derived from parent)');
-    console.log(`   Parent: ${delegation.authority}`);
+    console.log(`   Type: SUB-DELEGATION (${chain.length} hop${chain.length === 1 ? '' : 's'}, leaf to root)`);
     console.log('   This is a transitive delegation in a chain.');
+    for (const hop of chain) {
+      const role = hop.hop === 0 ? ' (this delegation)' : hop.hop === chain.length - 1 ? ' (root)' : '';
+      const tightest = Object.entries(SCOPE_LABELS)
+        .filter(([key]) => effectiveScope[key]?.hop === hop.hop)
+        .map(([, label]) => label);
+      console.log(`\n   Hop ${hop.hop}${role}`);
+      console.log(`     ${hop.delegator} → ${hop.delegate}`);
+      console.log(`     Hash: ${hop.hash}`);
+      console.log(`     Signature: ${signatureStatus(hop.signature)}`);
+      if (hop.amountCap !== null) {
+        console.log(`     Spent: ${hop.spent === null ? `unknown (${hop.spentError})` : usdc(hop.spent)} of ${usdc(hop.amountCap)}`);
+      }
+      if (tightest.length > 0) {
+        console.log(`     ⬅ Tightest for: ${tightest.join(', ')}`);
+      }
+    }
+  }
+  if (!chainValidation.valid) {
+    console.log('\n   ⚠️  Chain is incomplete or broken - the effective scope covers the hops above only:');
+    chainValidation.errors.forEach(e => console.log(`      - ${e}`));
   }
 
   console.log('\n═══════════════════════════════════════════════════════════════');
@@ -78,103 +364,27 @@ async function main() {
     console.log('      This is extremely dangerous. Add caveats to limit scope.');
   }
   
-  const now = Math.floor(Date.now() / 1000);
-  
+  // Terms from the caveat registry, then the live state: amount already transferred
+  // (ERC20TransferAmountEnforcer.spentMap), the current period's usage
+  // (ERC20PeriodTransferEnforcer.periodicAllowances), redemptions so far
+  // (LimitedCallsEnforcer.callCounts) and the delegator's nonce
   for (let i = 0; i < delegation.caveats.length; i++) {
     const caveat = delegation.caveats[i];
-    const enforcerName = Object.entries(DELEGATION_FRAMEWORK)
-      .find(([_, addr]) => addr.toLowerCase() === caveat.enforcer.toLowerCase())?.[0] 
-      || 'Unknown';
+    const decoded = caveats[i];
     
-    console.log(`  ${i + 1}. ${enforcerName}`);
+    console.log(`  ${i + 1}. ${decoded.name}`);
     console.log(`     Contract: ${caveat.enforcer}`);
     
-    // Decode and display specific caveats
-    try {
-      switch (enforcerName) {
-        case 'ERC20TransferAmountEnforcer': {
-          // Terms: encodePacked(address[20], uint256[32]) = 52 bytes
-          const token = '0x' + caveat.terms.slice(2, 42);
-          const amount = BigInt('0x' + caveat.terms.slice(42));
-          console.log(`     💰 Maximum Amount: ${formatUnits(amount, USDC_DECIMALS)} USDC`);
-          console.log(`     📍 Token: ${token}`);
-          console.log(`     🔧 Method: transfer(address,uint256) only`);
-          console.log(`     Status: ✅ Active`);
-          break;
-        }
-        
-        case 'TimestampEnforcer': {
-          // Terms: encodePacked(uint128 afterThreshold, uint128 beforeThreshold) = 32 bytes
-          // afterThreshold: must execute AFTER this time (0 = no minimum)
-          // beforeThreshold: must execute BEFORE this time (0 = no expiry)
-          const afterThreshold = Number(BigInt('0x' + caveat.terms.slice(2, 34)));
-          const beforeThreshold = Number(BigInt('0x' + caveat.terms.slice(34, 66)));
-          
-          // Show time constraints
-          if (afterThreshold > 0) {
-            const afterDate = new Date(afterThreshold * 1000);
-            console.log(`     ⏰ Valid after: ${afterDate.toISOString()}`);
-            if (now <= afterThreshold) {
-              const remaining = afterThreshold - now;
-              const hours = Math.floor(remaining / 3600);
-              const minutes = Math.floor((remaining % 3600) / 60);
-              console.log(`     Status: ⏳ Not yet active - ${hours}h ${minutes}m until valid`);
-            } else {
-              console.log(`     Status: ✅ Start time passed`);
-            }
-          }
-          
-          if (beforeThreshold > 0) {
-            const expiryDate = new Date(beforeThreshold * 1000);
-            console.log(`     ⏰ Expires: ${expiryDate.toISOString()}`);
-            const remaining = beforeThreshold - now;
-            if (remaining > 0) {
-              const days = Math.floor(remaining / 86400);
-              const hours = Math.floor((remaining % 86400) / 3600);
-              const minutes = Math.floor((remaining % 3600) / 60);
-              console.log(`     Status: ✅ Valid - ${days}d ${hours}h ${minutes}m remaining`);
-            } else {
-              console.log(`     Status: ❌ EXPIRED ${Math.abs(remaining / 60).toFixed(0)} minutes ago`);
-            }
-          }
-          
-          if (afterThreshold === 0 && beforeThreshold === 0) {
-            console.log(`     ⚠️  No time constraints (perpetual)`);
-          }
-          break;
-        }
-        
-        case 'ValueLteEnforcer': {
-          // Terms: uint256 as bytes32 (32 bytes)
-          const maxValue = BigInt(caveat.terms);
-          if (maxValue === 0n) {
-            console.log(`     🚫 Max ETH Value: 0 (prevents ETH transfers)`);
-            console.log(`     📝 Purpose: Ensures only ERC20 transfers, no native ETH`);
-            console.log(`     Status: ✅ Active`);
-          } else {
-            console.log(`     💎 Max ETH Value: ${formatUnits(maxValue, 18)} ETH`);
-            console.log(`     Status: ✅ Active`);
-          }
-          break;
-        }
-        
-        case 'RedeemerEnforcer': {
-          console.log(`     👤 Restricts who can redeem this delegation`);
-          console.log(`     Status: ✅ Active`);
-          break;
-        }
-        
-        default:
-          console.log(`     📋 Custom enforcer`);
-          if (argv.verbose) {
-            console.log(`     Terms: ${caveat.terms}`);
-          }
+    if (!getCaveatEnforcer(caveat.enforcer, network)) {
+      console.log('     ⚠️  Unregistered enforcer - terms not decoded (see registerCaveatEnforcer)');
+      console.log(`     Terms: ${caveat.terms}`);
+    } else {
+      formatCaveat(caveat, network).forEach(line => console.log(`     ${line}`));
+      if (!decoded.decodeError) {
+        statusLines(decoded, now).forEach(line => console.log(`     ${line}`));
       }
-    } catch (e) {
-      console.log(`     ⚠️  Could not decode terms`);
       if (argv.verbose) {
         console.log(`     Raw terms: ${caveat.terms}`);
-        console.log(`     Error: ${e.message}`);
       }
     }
     
@@ -185,26 +395,35 @@ async function main() {
     console.log('');
   }
 
+  // What the delegate can really do: every hop's caveats apply
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log(`🎯 EFFECTIVE SCOPE${chain.length > 1 ? ` (all ${chain.length} hops)` : ''}`);
+  console.log('═══════════════════════════════════════════════════════════════\n');
+
+  effectiveScopeLines(effectiveScope, chain.length, now).forEach(line => console.log(`  ${line}`));
+  console.log('');
+
   // Security summary
   console.log('═══════════════════════════════════════════════════════════════');
   console.log('🛡️  SECURITY SUMMARY');
   console.log('═══════════════════════════════════════════════════════════════\n');
   
-  const hasAmount = delegation.caveats.some(c => 
-    c.enforcer.toLowerCase() === DELEGATION_FRAMEWORK.ERC20TransferAmountEnforcer.toLowerCase()
-  );
-  const hasExpiry = delegation.caveats.some(c => 
-    c.enforcer.toLowerCase() === DELEGATION_FRAMEWORK.TimestampEnforcer.toLowerCase()
-  );
-  const hasValueLimit = delegation.caveats.some(c => 
-    c.enforcer.toLowerCase() === DELEGATION_FRAMEWORK.ValueLteEnforcer.toLowerCase()
-  );
+  const { amountLimit: hasAmount, expiry: hasExpiry, ethPrevention: hasValueLimit } = result.security;
   
   console.log(`  Amount Limit:      ${hasAmount ? '✅' : '⚠️  Missing (DANGEROUS)'}`);
   console.log(`  Expiry Time:       ${hasExpiry ? '✅' : '⚠️  Missing (indefinite)'}`);
   console.log(`  ETH Prevention:    ${hasValueLimit ? '✅' : '⚠️  Missing (can transfer ETH)'}`);
+  // Every hop's signature is checked on redemption
+  const invalidHops = chain.filter(h => !h.signature.valid && h.signature.method !== 'unverified').map(h => h.hop);
+  const unverifiedHops = chain.filter(h => h.signature.method === 'unverified').map(h => h.hop);
+  const hopList = (hops) => chain.length > 1 ? ` at hop ${hops.join(', ')}` : '';
+  console.log(`  Valid Signature:   ${result.security.validSignature
+    ? `✅${chain.length > 1 ? ' (every hop)' : ''}`
+    : invalidHops.length > 0
+      ? `❌ INVALID${hopList(invalidHops)} (redemption will revert)`
+      : `⚠️  Unverified${hopList(unverifiedHops)}`}`);
   
-  if (hasAmount && hasExpiry && hasValueLimit) {
+  if (hasAmount && hasExpiry && hasValueLimit && result.security.validSignature) {
     console.log('\n  ✅ Properly scoped delegation with all recommended enforcers');
   }
   
@@ -214,6 +433,11 @@ async function main() {
     console.log(`   Created: ${raw._meta.createdAt}`);
     console.log(`   Chain:   ${raw._meta.chain} (${raw._meta.chainId})`);
   }
+
+  if (networkError) {
+    console.log('');
+    fail(networkError);
+  }
 }
 
-main().catch(console.error);
+run(main);
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * Create (and fund) a DeleGator smart account to act as delegator
+ *
+ * DelegationManager.redeemDelegations() executes the transfer THROUGH the delegator,
+ * so the delegator must be a DeleGator smart account - an EOA cannot be one.
+ * This computes the counterfactual HybridDeleGator owned by the signer and
+ * optionally deploys it via SimpleFactory and moves USDC into it.
+ *
+ * The address is deterministic (CREATE2), so it can be funded and used in
+ * delegations before it is deployed. It must be deployed before redemption.
+ *
+ * Usage:
+ *   node create-account.mjs                          # show address + initCode
+ *   node create-account.mjs --deploy                 # deploy via SimpleFactory
+ *   node create-account.mjs --deploy --fund 1000     # deploy and move 1000 USDC in
+ *   node create-account.mjs --salt 1                 # a second account for the same owner
+ *   node create-account.mjs --deploy --json          # one JSON result object
+ *
+ * Then create delegations from it:
+ *   node create-delegation.mjs --smart-account --delegate 0x... --amount 100 --expiry 24h
+ */
+
+import 'dotenv/config';
+import { formatUnits } from 'viem';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import {
+  getClients,
+  getSmartAccount,
+  getSmartAccountOwner,
+  getNetwork,
+  parseUSDCAmount,
+  SIMPLE_FACTORY_ABI,
+  USDC_DECIMALS,
+  NETWORKS,
+  DEFAULT_NETWORK
+} from './lib/delegation.mjs';
+import { NotAuthorizedError, RpcError, TransactionError, ValidationError } from './lib/errors.mjs';
+import { requireSigner } from './lib/signers.mjs';
+import { run, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
+
+// USDC ABI (partial)
+const USDC_ABI = [
+  {
+    name: 'transfer',
+    type: 'function',
+    inputs: [
+      { name: 'to', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ],
+    outputs: [{ type: 'bool' }]
+  },
+  {
+    name: 'balanceOf',
+    type: 'function',
+    inputs: [{ name: 'account', type: 'address' }],
+    outputs: [{ type: 'uint256' }],
+    stateMutability: 'view'
+  }
+];
+
+const argv = yargs(hideBin(process.argv))
+  .option('salt', {
+    type: 'number',
+    description: 'Deploy salt (use a different salt for additional accounts)',
+    default: 0
+  })
+  .option('deploy', {
+    type: 'boolean',
+    description: 'Deploy the account via SimpleFactory (paid by the signer)',
+    default: false
+  })
+  .option('fund', {
+    type: 'string',
+    description: 'Transfer this much USDC from the signer into the account (at most 6 decimals)'
+  })
+  .option('network', {
+    type: 'string',
+    description: 'Network to use',
+    choices: Object.keys(NETWORKS),
+    default: DEFAULT_NETWORK
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
+  .help()
+  .argv;
+
+// Human output only - with --json the result object is printed at the end
+const log = argv.json ? () => {} : console.log;
+
+/**
+ * Send a transaction and wait for a successful receipt
+ */
+async function sendAndWait(publicClient, network, label, send) {
+  let hash;
+  try {
+    hash = await send();
+    log(`   Transaction: ${hash}`);
+    log(`   Explorer: ${network.explorer}/tx/${hash}`);
+
+    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    if (receipt.status !== 'success') {
+      throw new TransactionError(`${label} transaction failed`, { transactionHash: hash, blockNumber: receipt.blockNumber });
+    }
+    return { transactionHash: hash, blockNumber: receipt.blockNumber };
+  } catch (e) {
+    if (e instanceof TransactionError) throw e;
+    throw new TransactionError(`${label} failed: ${e.shortMessage || e.message}`, { transactionHash: hash ?? null, cause: e });
+  }
+}
+
+async function main() {
+  // Parsed up front so a typo fails before anything is deployed
+  let fundAmount;
+  if (argv.fund !== undefined) {
+    try {
+      fundAmount = parseUSDCAmount(argv.fund, '--fund');
+    } catch (e) {
+      throw new ValidationError(e.message, { cause: e });
+    }
+  }
+
+  const signer = await requireSigner();
+
+  log('🏦 DeleGator Smart Account\n');
+
+  const network = getNetwork(argv.network);
+  const { walletClient, publicClient, account, chain } = getClients(signer, network);
+  const smartAccount = getSmartAccount(account.address, { salt: BigInt(argv.salt), network });
+  const result = {
+    network: network.name,
+    address: smartAccount.address,
+    owner: account.address,
+    implementation: smartAccount.implementation,
+    factory: smartAccount.factory,
+    salt: smartAccount.salt,
+    factoryData: smartAccount.factoryData,
+    entryPoint: network.contracts.EntryPoint,
+    deployed: null,
+    transactions: {},
+    balance: null,
+    warnings: []
+  };
+
+  log(`📍 Network: ${chain.name} (${chain.id})`);
+  log(`👤 Owner (EOA):   ${account.address}\n`);
+
+  log('📋 HybridDeleGator (counterfactual):');
+  log(`   Address:        ${smartAccount.address}`);
+  log(`   Implementation: ${smartAccount.implementation}`);
+  log(`   Factory:        ${smartAccount.factory}`);
+  log(`   Salt:           ${smartAccount.salt}`);
+  log('');
+
+  let owner;
+  try {
+    owner = await getSmartAccountOwner(publicClient, smartAccount.address);
+    result.deployed = owner !== null;
+  } catch (e) {
+    const message = `Could not read account status: ${e.shortMessage || e.message}`;
+    if (argv.deploy || argv.fund !== undefined) {
+      throw new RpcError(message, { cause: e });
+    }
+    result.warnings.push(message);
+    log(`⚠️  ${message}\n`);
+  }
+
+  if (owner) {
+    log(`✅ Deployed (owner ${owner})`);
+    if (owner.toLowerCase() !== account.address.toLowerCase()) {
+      throw new NotAuthorizedError('Account owner changed - the signer can no longer sign for it', {
+        details: [`Owner:       ${owner}`, `Signer:      ${account.address}`]
+      });
+    }
+  } else if (argv.deploy) {
+    log('🔄 Deploying via SimpleFactory...');
+    result.transactions.deploy = await sendAndWait(publicClient, network, 'Deployment', () => publicClient.simulateContract({
+      account,
+      address: smartAccount.factory,
+      abi: SIMPLE_FACTORY_ABI,
+      functionName: 'deploy',
+      args: [smartAccount.creationCode, smartAccount.salt]
+    }).then(({ request }) => walletClient.writeContract(request)));
+    result.deployed = true;
+    log(`✅ Deployed in block ${result.transactions.deploy.blockNumber}`);
+  } else {
+    log(owner === null ? '⏳ Not deployed yet' : '⏳ Deployment status unknown');
+    log('   Delegations can be signed now, but redemption reverts until it is deployed.');
+    log('   Deploy with --deploy, or through an ERC-4337 UserOperation:');
+    log(`   factory:     ${smartAccount.factory}`);
+    log(`   factoryData: ${smartAccount.factoryData.slice(0, 66)}... (${(smartAccount.factoryData.length - 2) / 2} bytes)`);
+    log(`   EntryPoint:  ${network.contracts.EntryPoint}`);
+  }
+  log('');
+
+  if (argv.fund !== undefined) {
+    log(`💸 Funding with ${formatUnits(fundAmount, USDC_DECIMALS)} USDC...`);
+    result.transactions.fund = await sendAndWait(publicClient, network, 'Funding', () => walletClient.writeContract({
+      address: network.usdcAddress,
+      abi: USDC_ABI,
+      functionName: 'transfer',
+      args: [smartAccount.address, fundAmount]
+    }));
+    log('✅ Funded');
+    log('');
+  }
+
+  try {
+    const balance = await publicClient.readContract({
+      address: network.usdcAddress,
+      abi: USDC_ABI,
+      functionName: 'balanceOf',
+      args: [smartAccount.address]
+    });
+    result.balance = formatUnits(balance, USDC_DECIMALS);
+    log(`💰 USDC balance: ${result.balance} USDC\n`);
+  } catch (e) {
+    const message = `Could not read USDC balance: ${e.shortMessage || e.message}`;
+    result.warnings.push(message);
+    log(`⚠️  ${message}\n`);
+  }
+
+  if (argv.json) {
+    printJson(result);
+    return;
+  }
+
+  log('💡 Create delegations from this account with:');
+  log(`   node create-delegation.mjs --smart-account${argv.salt ? ` --account-salt ${argv.salt}` : ''} --delegate 0x... --amount 100 --expiry 24h`);
+}
+
+run(main);
@@ -8,11 +8,23 @@
  * Enforcer Stack (simplified):
  *   1. ValueLteEnforcer(0) - Prevents ETH transfers
  *   2. ERC20TransferAmountEnforcer - Limits USDC amount AND validates token/method
- *   3. TimestampEnforcer - Sets expiry time
+ *   3. TimestampEnforcer - Sets expiry time (and optional start time)
+ * 
+ * Optional caveats:
+ *   --period-amount, --period  ERC20PeriodTransferEnforcer (N USDC per day/week)
+ *   --not-before               TimestampEnforcer afterThreshold (delayed activation)
+ *   --redeemers                RedeemerEnforcer (only these addresses may redeem)
+ *   --recipients               AllowedCalldataEnforcer / LogicalOrWrapperEnforcer (fixed set of payees)
+ *   --max-calls                LimitedCallsEnforcer (redeemable at most N times)
+ *   --nonce                    NonceEnforcer (revocable in bulk with bulk-revoke.mjs)
  * 
  * Usage:
  *   node create-delegation.mjs --delegate 0x... --amount 1000 --expiry 24h
  *   node create-delegation.mjs --delegate 0x... --amount 500 --expiry 7d -o delegation.json
+ *   node create-delegation.mjs --delegate 0x... --amount 500 --expiry 7d --network base
+ *   node create-delegation.mjs --delegate 0x... --amount 500 --expiry 7d --not-before 1h --recipients 0x..,0x..
+ *   node create-delegation.mjs --delegate 0x... --period-amount 100 --period 1d --expiry 90d
+ *   node create-delegation.mjs --smart-account --delegate 0x... --amount 500 --expiry 7d
  */
 
 import 'dotenv/config';
@@ -20,15 +32,15 @@ import { writeFileSync } from 'fs';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { 
-  getClients, 
-  buildDelegation, 
-  signDelegation, 
   formatDelegation, 
-  parseDuration,
-  getDelegationHash,
-  DELEGATION_FRAMEWORK,
-  USDC_ADDRESS
+  decodeCaveat,
+  getNetwork,
+  NETWORKS,
+  DEFAULT_NETWORK
 } from './lib/delegation.mjs';
+import { DelegationClient } from './lib/client.mjs';
+import { requireSigner } from './lib/signers.mjs';
+import { run, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
 
 const argv = yargs(hideBin(process.argv))
   .option('delegate', {
@@ -37,82 +49,167 @@ const argv = yargs(hideBin(process.argv))
     demandOption: true
   })
   .option('amount', {
-    type: 'number',
-    description: 'Maximum USDC amount (e.g., 1000)',
-    demandOption: true
+    type: 'string',
+    description: 'Maximum USDC amount (e.g., 1000 or 12.5, at most 6 decimals)'
   })
   .option('expiry', {
     type: 'string',
     description: 'Expiry duration (e.g., 24h, 7d)',
     demandOption: true
   })
+  .option('period-amount', {
+    type: 'string',
+    description: 'Maximum USDC amount per period (ERC20PeriodTransferEnforcer)'
+  })
+  .option('period', {
+    type: 'string',
+    description: 'Period length for --period-amount (e.g., 1d, 7d)'
+  })
+  .option('not-before', {
+    type: 'string',
+    description: 'Delayed activation: duration from now (2h), unix seconds, or ISO date'
+  })
+  .option('redeemers', {
+    type: 'string',
+    description: 'Comma-separated addresses allowed to redeem (RedeemerEnforcer)'
+  })
+  .option('recipients', {
+    type: 'string',
+    description: 'Comma-separated addresses USDC may be transferred to'
+  })
+  .option('max-calls', {
+    type: 'number',
+    description: 'Maximum number of redemptions (LimitedCallsEnforcer)'
+  })
+  .option('nonce', {
+    type: 'boolean',
+    description: "Bind to the delegator's NonceEnforcer nonce so bulk-revoke can invalidate it (reads the chain)",
+    default: false
+  })
+  .option('smart-account', {
+    type: 'boolean',
+    description: 'Delegate from the DeleGator smart account owned by the signer (see create-account.mjs)',
+    default: false
+  })
+  .option('account-salt', {
+    type: 'number',
+    description: 'Deploy salt of the smart account (with --smart-account)',
+    default: 0
+  })
+  .option('store', {
+    type: 'boolean',
+    description: 'Save to the local delegation store (--no-store to skip)',
+    default: true
+  })
   .option('output', {
     type: 'string',
     alias: 'o',
     description: 'Output file path for the delegation JSON'
   })
+  .option('network', {
+    type: 'string',
+    description: 'Network to use',
+    choices: Object.keys(NETWORKS),
+    default: DEFAULT_NETWORK
+  })
+  .check(argv => {
+    if (argv.amount === undefined && argv.periodAmount === undefined) {
+      throw new Error('Provide --amount (lifetime cap), --period-amount (per-period cap), or both');
+    }
+    if (argv.periodAmount !== undefined && !argv.period) {
+      throw new Error('--period-amount requires --period (e.g., 1d)');
+    }
+    return true;
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
   .help()
   .argv;
 
 async function main() {
-  if (!process.env.PRIVATE_KEY) {
-    console.error('❌ PRIVATE_KEY environment variable required');
-    process.exit(1);
+  const signer = await requireSigner();
+
+  const network = getNetwork(argv.network);
+  const { contracts } = network;
+  const client = new DelegationClient({ account: signer, network, store: argv.store });
+  const params = {
+    delegate: argv.delegate,
+    amount: argv.amount,
+    expiry: argv.expiry,
+    periodAmount: argv.periodAmount,
+    period: argv.period,
+    notBefore: argv.notBefore,
+    redeemers: argv.redeemers,
+    recipients: argv.recipients,
+    maxCalls: argv.maxCalls,
+    nonce: argv.nonce,
+    smartAccount: argv.smartAccount,
+    accountSalt: argv.accountSalt
+  };
+
+  if (argv.json) {
+    const result = await client.create(params);
+    if (argv.output) {
+      writeFileSync(argv.output, JSON.stringify(result.json, null, 2));
+    }
+    printJson({
+      network: network.name,
+      hash: result.hash,
+      delegator: result.delegator,
+      smartAccount: result.smartAccount && { address: result.smartAccount.address, owner: result.smartAccount.owner },
+      nonce: result.nonce,
+      caveats: result.delegation.caveats.map(c => decodeCaveat(c, network)),
+      stored: result.stored,
+      output: argv.output || null,
+      warnings: result.warnings,
+      delegation: result.json
+    });
+    return;
   }
 
   console.log('🔐 Creating ERC-7710 USDC Delegation\n');
   console.log('📋 Framework Contracts (v1.3.0):');
-  console.log(`   DelegationManager:          ${DELEGATION_FRAMEWORK.DelegationManager}`);
-  console.log(`   ERC20TransferAmountEnforcer: ${DELEGATION_FRAMEWORK.ERC20TransferAmountEnforcer}`);
-  console.log(`   ValueLteEnforcer:           ${DELEGATION_FRAMEWORK.ValueLteEnforcer}`);
-  console.log(`   TimestampEnforcer:          ${DELEGATION_FRAMEWORK.TimestampEnforcer}`);
-  console.log(`   USDC Token:                 ${USDC_ADDRESS}`);
+  console.log(`   DelegationManager:          ${contracts.DelegationManager}`);
+  console.log(`   ERC20TransferAmountEnforcer: ${contracts.ERC20TransferAmountEnforcer}`);
+  if (argv.periodAmount !== undefined) {
+    console.log(`   ERC20PeriodTransferEnforcer: ${contracts.ERC20PeriodTransferEnforcer}`);
+  }
+  console.log(`   ValueLteEnforcer:           ${contracts.ValueLteEnforcer}`);
+  console.log(`   TimestampEnforcer:          ${contracts.TimestampEnforcer}`);
+  console.log(`   USDC Token:                 ${network.usdcAddress}`);
   console.log('');
+  console.log(`📍 Network: ${client.chain.name} (${client.chain.id})`);
+  console.log('📝 Signing with EIP-712...\n');
 
-  const { walletClient, account, chain } = getClients(process.env.PRIVATE_KEY);
-  
-  console.log(`📍 Network: ${chain.name} (${chain.id})`);
-  console.log(`👤 Delegator: ${account.address}\n`);
-
-  // Build the delegation with simplified enforcer stack
-  const delegation = buildDelegation({
-    delegator: account.address,
-    delegate: argv.delegate,
-    amount: argv.amount,
-    expirySeconds: parseDuration(argv.expiry)
-  });
+  const result = await client.create(params);
 
-  console.log('📝 Signing with EIP-712...');
-  const signedDelegation = await signDelegation(delegation, walletClient);
+  if (result.smartAccount) {
+    console.log(`👤 Delegator: ${result.delegator} (DeleGator smart account)`);
+    console.log(`   Owner:     ${result.smartAccount.owner}`);
+  } else {
+    console.log(`👤 Delegator: ${result.delegator}`);
+  }
+  result.warnings.forEach(w => console.log(`   ⚠️  ${w}`));
+  console.log('');
+  if (result.nonce !== undefined) {
+    console.log(`🔢 NonceEnforcer nonce: ${result.nonce}\n`);
+  }
 
   console.log('✅ Delegation Created:\n');
-  console.log(formatDelegation(signedDelegation));
-  
-  // Convert BigInt salt to string for JSON serialization
-  const serializable = {
-    ...signedDelegation,
-    salt: signedDelegation.salt.toString(),
-    _meta: {
-      createdAt: new Date().toISOString(),
-      delegationHash: getDelegationHash(signedDelegation),
-      chain: chain.name,
-      chainId: chain.id,
-      usdcAddress: USDC_ADDRESS,
-      delegationManager: DELEGATION_FRAMEWORK.DelegationManager,
-      enforcers: {
-        ValueLteEnforcer: DELEGATION_FRAMEWORK.ValueLteEnforcer,
-        ERC20TransferAmountEnforcer: DELEGATION_FRAMEWORK.ERC20TransferAmountEnforcer,
-        TimestampEnforcer: DELEGATION_FRAMEWORK.TimestampEnforcer
-      }
-    }
-  };
+  console.log(formatDelegation(result.delegation, network));
+
+  // Every delegation also lands in the local store, keyed by hash (see list-delegations.mjs)
+  if (result.stored) {
+    console.log(`\n🗄️  Stored: ${result.stored.path}`);
+    console.log(`   Use it with: --hash ${result.stored.hash}`);
+  }
 
   if (argv.output) {
-    writeFileSync(argv.output, JSON.stringify(serializable, null, 2));
+    writeFileSync(argv.output, JSON.stringify(result.json, null, 2));
     console.log(`\n💾 Saved to: ${argv.output}`);
-  } else {
+  } else if (!result.stored) {
     console.log('\n📦 Raw delegation (save this):');
-    console.log(JSON.stringify(serializable, null, 2));
+    console.log(JSON.stringify(result.json, null, 2));
   }
 
   console.log('\n💡 To use this delegation:');
@@ -121,4 +218,4 @@ async function main() {
   console.log('   3. Revoke anytime with: node revoke-delegation.mjs --delegation <file>');
 }
 
-main().catch(console.error);
+run(main);
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Encrypt a signer key into a JSON keystore
+ *
+ * Moves a delegator key out of plaintext: the key (PRIVATE_KEY, a new random
+ * key with --generate, or typed at the prompt) is encrypted with a passphrase
+ * (KEYSTORE_PASSWORD, or prompted twice) into a Web3 Secret Storage v3 file.
+ * The scripts then sign with KEYSTORE_PATH instead of PRIVATE_KEY.
+ *
+ * Usage:
+ *   node create-keystore.mjs -o ~/.keys/delegator.json
+ *   node create-keystore.mjs -o ~/.keys/delegator.json --generate
+ *   PRIVATE_KEY=0x... node create-keystore.mjs -o ~/.keys/delegator.json
+ */
+
+import 'dotenv/config';
+import { existsSync, writeFileSync } from 'fs';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { isHex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { ConfigError } from './lib/errors.mjs';
+import { encryptKeystore, promptPassphrase } from './lib/signers.mjs';
+import { run, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
+
+const argv = yargs(hideBin(process.argv))
+  .option('output', {
+    alias: 'o',
+    type: 'string',
+    description: 'Keystore file to write',
+    demandOption: true
+  })
+  .option('generate', {
+    type: 'boolean',
+    description: 'Encrypt a new random key instead of PRIVATE_KEY',
+    default: false
+  })
+  .option('force', {
+    type: 'boolean',
+    description: 'Overwrite an existing file',
+    default: false
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
+  .help()
+  .argv;
+
+async function readPrivateKey() {
+  if (argv.generate) return generatePrivateKey();
+  const key = process.env.PRIVATE_KEY || await promptPassphrase('Private key to encrypt: ');
+  const privateKey = key.startsWith('0x') ? key : `0x${key}`;
+  if (!isHex(privateKey) || privateKey.length !== 66) {
+    throw new ConfigError('Invalid private key - expected 32 bytes of hex');
+  }
+  return privateKey;
+}
+
+async function readPassphrase() {
+  if (process.env.KEYSTORE_PASSWORD !== undefined) return process.env.KEYSTORE_PASSWORD;
+  const passphrase = await promptPassphrase('New keystore passphrase: ');
+  if (passphrase !== await promptPassphrase('Repeat passphrase: ')) {
+    throw new ConfigError('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+async function main() {
+  if (existsSync(argv.output) && !argv.force) {
+    throw new ConfigError(`${argv.output} already exists (use --force to overwrite)`);
+  }
+
+  const privateKey = await readPrivateKey();
+  const passphrase = await readPassphrase();
+  if (passphrase.length === 0) {
+    throw new ConfigError('Empty passphrase - the keystore would not protect the key');
+  }
+
+  const keystore = encryptKeystore(privateKey, passphrase);
+  writeFileSync(argv.output, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  const { address } = privateKeyToAccount(privateKey);
+
+  if (argv.json) {
+    printJson({ address, path: argv.output, generated: argv.generate });
+    return;
+  }
+
+  console.log(`🔐 Keystore for ${address} written to ${argv.output}`);
+  console.log('\n   Sign with it by setting in .env:');
+  console.log(`     KEYSTORE_PATH=${argv.output}`);
+  if (process.env.PRIVATE_KEY && !argv.generate) {
+    console.log('\n   ⚠️  Remove PRIVATE_KEY from .env - it takes precedence over KEYSTORE_PATH');
+  }
+}
+
+run(main);
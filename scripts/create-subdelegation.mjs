@@ -3,40 +3,71 @@
  * Create a transitive sub-delegation from an existing delegation
  * 
  * The sub-delegate receives a portion of the parent's authority.
- * Per ERC-7710, scope can only be NARROWED, never expanded.
+ * Per ERC-7710, scope can only be NARROWED, never expanded: every limit is
+ * checked against the tightest one of the parent and all its ancestors, and
+ * a sub-delegation the chain would never let redeem (expired, empty time
+ * window, disjoint redeemers/recipients, other token) is refused.
  * 
  * The authority field is set to the hash of the parent delegation,
  * creating a verifiable delegation chain.
  * 
  * Enforcer Stack (simplified):
  *   1. ValueLteEnforcer(0) - Prevents ETH transfers
- *   2. ERC20TransferAmountEnforcer - Limits USDC amount (must be <= parent)
- *   3. TimestampEnforcer - Sets expiry time (must be <= parent)
+ *   2. ERC20TransferAmountEnforcer - Limits USDC amount (must be <= the chain's cap)
+ *   3. TimestampEnforcer - Sets expiry time (must be <= the chain's expiry)
+ * 
+ * Optional caveats: --period-amount/--period, --not-before, --redeemers, --recipients,
+ * --max-calls, --nonce (see create-delegation.mjs)
+ * 
+ * Sibling sub-delegations of the same parent in the local store all spend the
+ * parent's one allowance. When their caps plus this one add up to more than
+ * the parent chain's cap (siblings revoked on-chain left out), a warning is
+ * printed - or, with --strict, nothing is signed. budget.mjs shows the allocation per parent.
+ * Siblings missing from the local store (created on another machine or with
+ * --no-store) are not counted, and --strict refuses --no-store for that reason.
  * 
  * Usage:
  *   node create-subdelegation.mjs --parent ./delegation.json --subdelegate 0x... --amount 200 --expiry 12h
+ *   node create-subdelegation.mjs --parent ./delegation.json --subdelegate 0x... --amount 200 --expiry 12h --redeemers 0x...
+ *   node create-subdelegation.mjs --hash 0x06d233b1 --subdelegate 0x... --amount 300 --expiry 12h --strict
  */
 
 import 'dotenv/config';
-import { readFileSync, writeFileSync } from 'fs';
+import { writeFileSync } from 'fs';
+import { formatUnits } from 'viem';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { 
-  getClients, 
-  buildDelegation, 
-  signDelegation, 
   formatDelegation, 
-  parseDuration,
-  getDelegationHash,
-  validateSubDelegationScope,
-  DELEGATION_FRAMEWORK
+  decodeCaveat,
+  getNetwork,
+  NETWORKS,
+  DEFAULT_NETWORK,
+  USDC_DECIMALS
 } from './lib/delegation.mjs';
+import { DelegationClient } from './lib/client.mjs';
+import { requireSigner } from './lib/signers.mjs';
+import { BudgetExceededError } from './lib/errors.mjs';
+import { run, fail, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
+
+// Only for scope violations (a ValidationError listing what widened or cannot be redeemed)
+const SCOPE_HINTS = {
+  VALIDATION_FAILED: 'Per ERC-7710, sub-delegations can only NARROW the scope of the whole chain (hop 1 = parent)'
+};
+
+// --strict refused to over-allocate the parent's cap
+const BUDGET_HINTS = {
+  VALIDATION_FAILED: 'See budget.mjs --hash <parent>; revoke a sibling or pick a smaller --amount'
+};
 
 const argv = yargs(hideBin(process.argv))
   .option('parent', {
     type: 'string',
-    description: 'Path to parent delegation JSON file',
-    demandOption: true
+    description: 'Path to parent delegation JSON file'
+  })
+  .option('hash', {
+    type: 'string',
+    description: 'Hash of the parent delegation in the local store (instead of --parent)'
   })
   .option('subdelegate', {
     type: 'string',
@@ -44,126 +75,179 @@ const argv = yargs(hideBin(process.argv))
     demandOption: true
   })
   .option('amount', {
-    type: 'number',
-    description: 'Maximum USDC amount for sub-delegation (must be <= parent)',
-    demandOption: true
+    type: 'string',
+    description: 'Maximum USDC amount for sub-delegation (must be <= parent)'
   })
   .option('expiry', {
     type: 'string',
     description: 'Expiry duration (must be <= parent expiry)',
     demandOption: true
   })
+  .option('period-amount', {
+    type: 'string',
+    description: 'Maximum USDC amount per period (ERC20PeriodTransferEnforcer)'
+  })
+  .option('period', {
+    type: 'string',
+    description: 'Period length for --period-amount (e.g., 1d, 7d)'
+  })
+  .option('not-before', {
+    type: 'string',
+    description: 'Delayed activation: duration from now (2h), unix seconds, or ISO date'
+  })
+  .option('redeemers', {
+    type: 'string',
+    description: 'Comma-separated addresses allowed to redeem (RedeemerEnforcer)'
+  })
+  .option('recipients', {
+    type: 'string',
+    description: 'Comma-separated addresses USDC may be transferred to'
+  })
+  .option('max-calls', {
+    type: 'number',
+    description: 'Maximum number of redemptions (LimitedCallsEnforcer)'
+  })
+  .option('nonce', {
+    type: 'boolean',
+    description: "Bind to the delegator's NonceEnforcer nonce so bulk-revoke can invalidate it (reads the chain)",
+    default: false
+  })
+  .option('strict', {
+    type: 'boolean',
+    description: "Refuse (instead of warn) when sibling sub-delegations in the local store would allocate more than the parent's cap (not with --no-store)",
+    default: false
+  })
+  .option('store', {
+    type: 'boolean',
+    description: 'Save to the local delegation store (--no-store to skip)',
+    default: true
+  })
   .option('output', {
     type: 'string',
     alias: 'o',
     description: 'Output file path for the sub-delegation JSON'
   })
+  .option('network', {
+    type: 'string',
+    description: 'Network to use',
+    choices: Object.keys(NETWORKS),
+    default: DEFAULT_NETWORK
+  })
+  .check(argv => {
+    if (!argv.parent === !argv.hash) {
+      throw new Error('Provide either --parent <file> or --hash <parent hash>');
+    }
+    if (argv.amount === undefined && argv.periodAmount === undefined) {
+      throw new Error('Provide --amount (lifetime cap), --period-amount (per-period cap), or both');
+    }
+    if (argv.periodAmount !== undefined && !argv.period) {
+      throw new Error('--period-amount requires --period (e.g., 1d)');
+    }
+    return true;
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
   .help()
   .argv;
 
 async function main() {
-  if (!process.env.PRIVATE_KEY) {
-    console.error('❌ PRIVATE_KEY environment variable required');
-    process.exit(1);
+  const signer = await requireSigner();
+
+  const network = getNetwork(argv.network);
+  const client = new DelegationClient({ account: signer, network, store: argv.store });
+
+  if (!argv.json) {
+    console.log('🔗 Creating Transitive Sub-Delegation (ERC-7710)\n');
+    console.log(`📍 Network: ${client.chain.name}`);
+    console.log(`👤 Your address: ${client.address}\n`);
+    console.log('🔍 Validating scope narrowing...');
   }
 
-  console.log('🔗 Creating Transitive Sub-Delegation (ERC-7710)\n');
+  // The client checks the network, that we are the parent's delegate, and
+  // that the scope only narrows (ERC-7710 requirement) before signing
+  let result;
+  try {
+    result = await client.subDelegate(argv.hash || argv.parent, {
+      delegate: argv.subdelegate,
+      amount: argv.amount,
+      expiry: argv.expiry,
+      periodAmount: argv.periodAmount,
+      period: argv.period,
+      notBefore: argv.notBefore,
+      redeemers: argv.redeemers,
+      recipients: argv.recipients,
+      maxCalls: argv.maxCalls,
+      nonce: argv.nonce,
+      strict: argv.strict
+    });
+  } catch (e) {
+    const hints = e instanceof BudgetExceededError ? BUDGET_HINTS : SCOPE_HINTS;
+    fail(e, { hints: e.details?.length > 0 ? hints : {} });
+  }
 
-  // Load and parse parent delegation
-  const rawParent = JSON.parse(readFileSync(argv.parent, 'utf8'));
-  const parentDelegation = {
-    ...rawParent,
-    salt: BigInt(rawParent.salt)
-  };
-  
-  const { walletClient, account, chain } = getClients(process.env.PRIVATE_KEY);
-  
-  console.log(`📍 Network: ${chain.name}`);
-  console.log(`👤 Your address: ${account.address}\n`);
-  
-  // Verify we are the delegate of the parent
-  if (account.address.toLowerCase() !== parentDelegation.delegate.toLowerCase()) {
-    console.error('❌ You are not the delegate of the parent delegation');
-    console.error(`   Expected: ${parentDelegation.delegate}`);
-    console.error(`   Got:      ${account.address}`);
-    console.error('\n   Only the delegate can create sub-delegations');
-    process.exit(1);
+  if (argv.output) {
+    writeFileSync(argv.output, JSON.stringify(result.json, null, 2));
   }
 
-  const subDelegationParams = {
-    amount: argv.amount,
-    expirySeconds: parseDuration(argv.expiry)
-  };
-
-  // Validate scope narrowing (ERC-7710 requirement)
-  console.log('🔍 Validating scope narrowing...');
-  const validation = validateSubDelegationScope(parentDelegation, subDelegationParams);
-  if (!validation.valid) {
-    console.error('❌ Sub-delegation exceeds parent scope:');
-    validation.errors.forEach(e => console.error(`   - ${e}`));
-    console.error('\n   Per ERC-7710, sub-delegations can only NARROW scope');
-    process.exit(1);
+  if (argv.json) {
+    printJson({
+      network: network.name,
+      hash: result.hash,
+      parentHash: result.parentHash,
+      delegator: result.delegator,
+      nonce: result.nonce,
+      caveats: result.delegation.caveats.map(c => decodeCaveat(c, network)),
+      budget: result.budget,
+      stored: result.stored,
+      output: argv.output || null,
+      warnings: result.warnings,
+      delegation: result.json
+    });
+    return;
   }
-  console.log('✅ Scope validation passed\n');
 
-  // Compute parent delegation hash for authority chain
-  const parentHash = getDelegationHash(parentDelegation);
+  console.log('✅ Scope validation passed');
+  result.warnings.forEach(w => console.log(`   ⚠️  ${w}`));
+  console.log('');
+
+  if (result.nonce !== undefined) {
+    console.log(`🔢 NonceEnforcer nonce: ${result.nonce}\n`);
+  }
   
+  const { parent, parentHash, hash: subHash } = result;
   console.log('📋 Parent Delegation:');
   console.log(`   Hash: ${parentHash}`);
-  console.log(`   From: ${parentDelegation.delegator}`);
-  console.log(`   To:   ${parentDelegation.delegate} (you)`);
+  console.log(`   From: ${parent.delegator}`);
+  console.log(`   To:   ${parent.delegate} (you)`);
+  if (result.budget.cap) {
+    const { cap, allocated, unallocated } = result.budget;
+    const usdc = (amount) => `${formatUnits(amount, USDC_DECIMALS)} USDC`;
+    console.log(`   Sub-delegated: ${usdc(allocated)} of ${usdc(cap.value)} with this one (${usdc(unallocated)} unallocated)`);
+    console.log('                  (counting only sub-delegations in the local store)');
+  }
   console.log('');
 
-  // Build sub-delegation with parent's hash as authority
-  const subDelegation = buildDelegation({
-    delegator: account.address, // We are now the delegator
-    delegate: argv.subdelegate,
-    authority: parentHash, // Links to parent delegation
-    ...subDelegationParams
-  });
-
-  console.log('📝 Signing with EIP-712...');
-  const signedSubDelegation = await signDelegation(subDelegation, walletClient);
-
   console.log('✅ Sub-Delegation Created:\n');
-  console.log(formatDelegation(signedSubDelegation));
+  console.log(formatDelegation(result.delegation, network));
   
-  const subHash = getDelegationHash(signedSubDelegation);
   console.log('\n🔗 Delegation Chain:');
-  console.log(`   Root Delegator: ${parentDelegation.delegator}`);
+  console.log(`   Root Delegator: ${parent.delegator}`);
   console.log(`       ↓ (${parentHash.slice(0, 18)}...)`);
-  console.log(`   You (delegate): ${account.address}`);
+  console.log(`   You (delegate): ${client.address}`);
   console.log(`       ↓ (${subHash.slice(0, 18)}...)`);
   console.log(`   Sub-delegate:   ${argv.subdelegate}`);
-  
-  // Serialize for JSON
-  const serializable = {
-    ...signedSubDelegation,
-    salt: signedSubDelegation.salt.toString(),
-    _meta: {
-      createdAt: new Date().toISOString(),
-      delegationHash: subHash,
-      parentHash: parentHash,
-      chain: chain.name,
-      chainId: chain.id,
-      delegationManager: DELEGATION_FRAMEWORK.DelegationManager
-    },
-    _chain: {
-      // Include parent for redemption
-      parent: {
-        ...parentDelegation,
-        salt: parentDelegation.salt.toString()
-      }
-    }
-  };
+
+  // Every delegation also lands in the local store, keyed by hash (see list-delegations.mjs)
+  if (result.stored) {
+    console.log(`\n🗄️  Stored: ${result.stored.path}`);
+    console.log(`   Use it with: --hash ${result.stored.hash}`);
+  }
 
   if (argv.output) {
-    writeFileSync(argv.output, JSON.stringify(serializable, null, 2));
     console.log(`\n💾 Saved to: ${argv.output}`);
-  } else {
+  } else if (!result.stored) {
     console.log('\n📦 Raw sub-delegation (save this):');
-    console.log(JSON.stringify(serializable, null, 2));
+    console.log(JSON.stringify(result.json, null, 2));
   }
 
   console.log('\n💡 Notes:');
@@ -172,4 +256,4 @@ async function main() {
   console.log('   - Sub-delegate can create further sub-delegations (transitive)');
 }
 
-main().catch(console.error);
+run(main);
@@ -3,98 +3,70 @@
  * Execute a USDC transfer using a delegation via ERC-7710
  * 
  * This script:
- * 1. Loads and validates the delegation
- * 2. Checks all caveats before execution
+ * 1. Loads the delegation and its full chain (leaf to root) from `_chain`
+ * 2. Checks the chain links and all caveats before execution
  * 3. Builds the ERC-7579 execution calldata
  * 4. Calls DelegationManager.redeemDelegations()
+ * 5. Waits for the receipt and decodes the USDC Transfer event (--execute)
+ * 
+ * Steps 1-3 are DelegationClient.prepareTransfer(), 4-5 submitTransfer() (lib/client.mjs).
  * 
  * Usage:
  *   node execute-transfer.mjs --delegation ./delegation.json --to 0x... --amount 100
  *   node execute-transfer.mjs --delegation ./delegation.json --to 0x... --amount 50 --dry-run
+ *   node execute-transfer.mjs --delegation ./delegation.json --to 0x... --amount 50 --execute --receipt receipt.json
+ *   node execute-transfer.mjs --delegation ./delegation.json --batch payouts.csv --execute
+ *   node execute-transfer.mjs --hash 0x1234abcd --to 0x... --amount 5 --execute --json
  */
 
 import 'dotenv/config';
-import { readFileSync } from 'fs';
+import { readFileSync, writeFileSync } from 'fs';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { parseUnits, formatUnits, encodeFunctionData, encodeAbiParameters, parseAbiParameters } from 'viem';
+import { formatUnits } from 'viem';
 import { 
-  getClients, 
-  validateTransfer, 
   formatDelegation,
   getDelegationHash,
-  encodeSingleExecution,
-  USDC_ADDRESS,
+  parsePayoutsCsv,
+  getNetwork,
   USDC_DECIMALS,
-  DELEGATION_FRAMEWORK,
-  SINGLE_CALL_MODE
+  NETWORKS,
+  DEFAULT_NETWORK
 } from './lib/delegation.mjs';
+import { DelegationClient } from './lib/client.mjs';
+import { requireSigner } from './lib/signers.mjs';
+import { run, fail, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
 
-// USDC transfer function ABI
-const USDC_ABI = [
-  {
-    name: 'transfer',
-    type: 'function',
-    inputs: [
-      { name: 'to', type: 'address' },
-      { name: 'amount', type: 'uint256' }
-    ],
-    outputs: [{ type: 'bool' }]
-  }
-];
-
-// Caveat tuple type for ABI encoding
-const CAVEAT_TUPLE = {
-  type: 'tuple',
-  components: [
-    { name: 'enforcer', type: 'address' },
-    { name: 'terms', type: 'bytes' },
-    { name: 'args', type: 'bytes' }
-  ]
+const HINTS = {
+  PREFLIGHT_FAILED: 'Full report: node preflight.mjs --delegation <file> --amount <n>'
 };
 
-// Delegation tuple type for ABI encoding
-const DELEGATION_TUPLE = {
-  type: 'tuple',
-  components: [
-    { name: 'delegate', type: 'address' },
-    { name: 'delegator', type: 'address' },
-    { name: 'authority', type: 'bytes32' },
-    { name: 'caveats', type: 'tuple[]', components: CAVEAT_TUPLE.components },
-    { name: 'salt', type: 'uint256' },
-    { name: 'signature', type: 'bytes' }
-  ]
-};
-
-// DelegationManager ABI (partial) - matches v1.3.0
-const DELEGATION_MANAGER_ABI = [
-  {
-    name: 'redeemDelegations',
-    type: 'function',
-    inputs: [
-      { name: '_permissionContexts', type: 'bytes[]' },
-      { name: '_modes', type: 'bytes32[]' },
-      { name: '_executionCallDatas', type: 'bytes[]' }
-    ],
-    outputs: []
-  }
-];
-
 const argv = yargs(hideBin(process.argv))
   .option('delegation', {
     type: 'string',
-    description: 'Path to delegation JSON file',
-    demandOption: true
+    description: 'Path to delegation JSON file'
+  })
+  .option('hash', {
+    type: 'string',
+    description: 'Hash of a delegation in the local store (instead of --delegation)'
   })
   .option('to', {
     type: 'string',
-    description: 'Recipient address',
-    demandOption: true
+    description: 'Recipient address'
   })
   .option('amount', {
-    type: 'number',
-    description: 'USDC amount to transfer',
-    demandOption: true
+    type: 'string',
+    description: 'USDC amount to transfer (e.g., 12.5, at most 6 decimals)'
+  })
+  .option('batch', {
+    type: 'string',
+    description: 'Path to a payouts CSV (address,amount per line) - all transfers in one transaction',
+    conflicts: ['to', 'amount']
+  })
+  .option('batch-call', {
+    type: 'boolean',
+    description: 'Custom caveat sets only: redeem as one BATCH_CALL_MODE execution. Never works for delegations these scripts create (ValueLte and ERC20TransferAmount only accept single calls) - use --batch alone for payouts',
+    default: false
   })
   .option('dry-run', {
     type: 'boolean',
@@ -106,54 +78,159 @@ const argv = yargs(hideBin(process.argv))
     description: 'Simulate the transaction on-chain',
     default: false
   })
+  .option('execute', {
+    type: 'boolean',
+    description: 'Broadcast redeemDelegations on-chain (simulates first)',
+    default: false
+  })
+  .option('receipt', {
+    type: 'string',
+    description: 'Output file path for the transfer receipt JSON (with --execute)'
+  })
+  .check(argv => {
+    if (!argv.delegation === !argv.hash) {
+      throw new Error('Provide either --delegation <file> or --hash <hash>');
+    }
+    if (!argv.batch && (!argv.to || argv.amount === undefined)) {
+      throw new Error('Provide --to and --amount, or --batch <payouts.csv>');
+    }
+    return true;
+  })
+  .option('network', {
+    type: 'string',
+    description: 'Network to use',
+    choices: Object.keys(NETWORKS),
+    default: DEFAULT_NETWORK
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
   .help()
   .argv;
 
+/**
+ * The --json result: what was validated, plus the outcome once submitted
+ */
+function toResult(prepared, status, result = {}) {
+  return {
+    status,
+    network: argv.network,
+    delegationHash: prepared.delegationHash,
+    hops: prepared.chain.length,
+    transfers: prepared.transfers,
+    total: prepared.total,
+    stateByHop: prepared.stateByHop,
+    ...(result.preflight && { preflight: result.preflight }),
+    ...(result.receipt && { transactionHash: result.receipt.transactionHash, receipt: result.receipt }),
+    warnings: result.warnings || prepared.warnings
+  };
+}
+
+function printExecuteHint(network) {
+  console.log('💡 To execute on-chain, run with --execute flag');
+  console.log('   node execute-transfer.mjs --delegation <file> --to <address> --amount <n> --execute');
+  console.log('   node execute-transfer.mjs --delegation <file> --batch <payouts.csv> --execute');
+  console.log(`   (For a local test, point RPC_URL at an anvil fork: anvil --fork-url ${network.rpcUrl})`);
+}
+
 async function main() {
-  if (!process.env.PRIVATE_KEY) {
-    console.error('❌ PRIVATE_KEY environment variable required');
-    process.exit(1);
+  const signer = await requireSigner();
+
+  const network = getNetwork(argv.network);
+  const { contracts, usdcAddress } = network;
+  const client = new DelegationClient({
+    account: signer,
+    network,
+    onProgress: argv.json ? undefined : (event, data) => {
+      if (event === 'preflight') console.log('🛫 Running preflight checks...');
+      if (event === 'simulate') {
+        console.log(`✅ Preflight passed (${data.preflight.checks.length} checks)`);
+        console.log('🔬 Simulating transaction...');
+      }
+      if (event === 'broadcast') console.log('✅ Simulation successful!\n\n🔄 Broadcasting redeemDelegations...');
+      if (event === 'submitted') {
+        console.log('✅ Transaction submitted!');
+        console.log(`   Transaction: ${data.transactionHash}`);
+        console.log(`   Explorer: ${network.explorer}/tx/${data.transactionHash}`);
+        console.log('\n⏳ Waiting for confirmation...');
+      }
+    }
+  });
+
+  if (!argv.json) {
+    console.log('💸 Executing USDC Transfer via ERC-7710 Delegation\n');
+    console.log(`📍 Network: ${client.chain.name}`);
+    console.log(`👤 Executor: ${client.address}\n`);
   }
 
-  console.log('💸 Executing USDC Transfer via ERC-7710 Delegation\n');
+  // Loads the chain (leaf to root) from `_chain` and checks the network, our
+  // role as delegate, the chain links, every signature and every hop's caveats
+  const prepared = await client.prepareTransfer(argv.hash || argv.delegation, {
+    ...(argv.batch
+      ? { transfers: parsePayoutsCsv(readFileSync(argv.batch, 'utf8')) }
+      : { to: argv.to, amount: argv.amount }),
+    batchCall: argv.batchCall,
+    simulate: argv.simulate,
+    execute: argv.execute
+  });
 
-  // Load and parse delegation
-  const rawDelegation = JSON.parse(readFileSync(argv.delegation, 'utf8'));
-  
-  // Convert string salt back to BigInt
-  const delegation = {
-    ...rawDelegation,
-    salt: BigInt(rawDelegation.salt)
-  };
-  
-  const { walletClient, publicClient, account, chain } = getClients(process.env.PRIVATE_KEY);
-  
-  console.log(`📍 Network: ${chain.name}`);
-  console.log(`👤 Executor: ${account.address}\n`);
-  
-  // Verify we are the delegate
-  if (account.address.toLowerCase() !== delegation.delegate.toLowerCase()) {
-    console.error('❌ You are not the delegate of this delegation');
-    console.error(`   Expected: ${delegation.delegate}`);
-    console.error(`   Got:      ${account.address}`);
-    process.exit(1);
+  if (argv.json) {
+    if (argv.dryRun || (!argv.simulate && !argv.execute)) {
+      printJson(toResult(prepared, 'validated'));
+      return;
+    }
+    let result;
+    try {
+      result = await client.submitTransfer(prepared, { execute: argv.execute });
+    } catch (e) {
+      fail(e, { result: toResult(prepared, 'failed') });
+    }
+    if (result.status === 'executed' && argv.receipt) {
+      writeFileSync(argv.receipt, JSON.stringify(result.receipt, null, 2));
+    }
+    printJson(toResult(prepared, result.status, result));
+    return;
   }
 
+  const { chain: delegationChain, transfers, total, stateByHop } = prepared;
+  const delegation = delegationChain[0];
+
   console.log('📋 Delegation:');
-  console.log(formatDelegation(delegation));
+  console.log(formatDelegation(delegation, network));
   console.log('');
+  prepared.warnings.forEach(w => console.log(`⚠️  ${w}\n`));
 
-  // Validate against caveats
-  const validation = validateTransfer(delegation, argv.to, argv.amount);
-  if (!validation.valid) {
-    console.error('❌ Transfer violates delegation caveats:');
-    validation.errors.forEach(e => console.error(`   - ${e}`));
-    process.exit(1);
+  if (delegationChain.length > 1) {
+    console.log(`🔗 Delegation Chain (${delegationChain.length} hops, leaf to root):`);
+    delegationChain.forEach((d, i) => {
+      console.log(`   ${i}. ${d.delegator} → ${d.delegate} (${getDelegationHash(d).slice(0, 18)}...)`);
+    });
+    console.log('');
   }
 
+  // On-chain caveat state per hop: amount spent (ERC20TransferAmountEnforcer),
+  // this period's spend (ERC20PeriodTransferEnforcer) and redemptions made (LimitedCallsEnforcer)
+  stateByHop.forEach((state, i) => {
+    const label = i === 0 ? 'Delegation' : `Hop ${i}`;
+    if (state.spent > 0n) {
+      console.log(`📊 ${label} has already spent ${formatUnits(state.spent, USDC_DECIMALS)} USDC`);
+    }
+    if (state.periodTransferred > 0n) {
+      console.log(`📊 ${label} has spent ${formatUnits(state.periodTransferred, USDC_DECIMALS)} USDC this period`);
+    }
+    if (state.callCount > 0n) {
+      console.log(`📊 ${label} has been redeemed ${state.callCount} time(s)`);
+    }
+  });
+
   console.log('✅ Transfer validated against all caveats');
-  console.log(`   To:     ${argv.to}`);
-  console.log(`   Amount: ${argv.amount} USDC`);
+  if (argv.batch) {
+    console.log(`   Batch:  ${transfers.length} transfers from ${argv.batch}`);
+    transfers.forEach(t => console.log(`     - ${t.amount} USDC → ${t.to}`));
+    console.log(`   Total:  ${total} USDC`);
+  } else {
+    console.log(`   To:     ${argv.to}`);
+    console.log(`   Amount: ${argv.amount} USDC`);
+  }
   console.log('');
 
   if (argv.dryRun) {
@@ -161,91 +238,48 @@ async function main() {
     return;
   }
 
-  // Build the transfer calldata
-  const transferCalldata = encodeFunctionData({
-    abi: USDC_ABI,
-    functionName: 'transfer',
-    args: [argv.to, parseUnits(argv.amount.toString(), USDC_DECIMALS)]
-  });
-
-  // Build ERC-7579 execution calldata (single call mode)
-  const executionCallData = encodeSingleExecution(
-    USDC_ADDRESS,
-    0n, // No ETH value
-    transferCalldata
-  );
-
-  // Build the permission context (delegation chain encoded)
-  // For a single delegation, it's just the delegation itself encoded
-  const permissionContext = buildPermissionContext([delegation]);
-
   console.log('📝 Transaction Details:');
-  console.log(`   DelegationManager: ${DELEGATION_FRAMEWORK.DelegationManager}`);
+  console.log(`   DelegationManager: ${contracts.DelegationManager}`);
   console.log(`   Method:            redeemDelegations`);
-  console.log(`   Target:            ${USDC_ADDRESS} (USDC)`);
-  console.log(`   Transfer:          ${argv.amount} USDC → ${argv.to}`);
-  console.log(`   Delegation Hash:   ${getDelegationHash(delegation)}`);
+  console.log(`   Target:            ${usdcAddress} (USDC)`);
+  if (argv.batch) {
+    console.log(`   Transfers:         ${transfers.length} (${total} USDC total)`);
+    console.log(`   Mode:              ${argv.batchCall ? 'single batch-call execution' : `${transfers.length} single-call redemptions`}`);
+  } else {
+    console.log(`   Transfer:          ${argv.amount} USDC → ${argv.to}`);
+  }
+  console.log(`   Delegation Hash:   ${prepared.delegationHash}`);
   console.log('');
 
-  if (argv.simulate) {
-    console.log('🔬 Simulating transaction...');
-    try {
-      const { request } = await publicClient.simulateContract({
-        address: DELEGATION_FRAMEWORK.DelegationManager,
-        abi: DELEGATION_MANAGER_ABI,
-        functionName: 'redeemDelegations',
-        args: [
-          [permissionContext],
-          [SINGLE_CALL_MODE],
-          [executionCallData]
-        ],
-        account: account.address
-      });
-      console.log('✅ Simulation successful!');
-    } catch (error) {
-      console.error('❌ Simulation failed:', error.message);
-      process.exit(1);
-    }
+  if (!argv.simulate && !argv.execute) {
+    printExecuteHint(network);
+    return;
   }
 
-  console.log('⚠️  Demo mode - to execute on-chain:');
-  console.log('   1. Ensure the delegator has approved DelegationManager');
-  console.log('   2. Ensure the delegator has sufficient USDC balance');
-  console.log('   3. Call redeemDelegations with the parameters above');
-}
+  const result = await client.submitTransfer(prepared, { execute: argv.execute });
 
-/**
- * Build the ABI-encoded permission context for a delegation chain
- * The context is an array of Delegation structs, leaf to root
- * 
- * Per DelegationManager.sol:
- *   Delegation[] memory delegations_ = abi.decode(_permissionContexts[batchIndex_], (Delegation[]));
- * 
- * So we need to ABI encode an array of Delegation tuples.
- */
-function buildPermissionContext(delegationChain) {
-  // Prepare the delegations for ABI encoding
-  const delegations = delegationChain.map(d => ({
-    delegate: d.delegate,
-    delegator: d.delegator,
-    authority: d.authority,
-    caveats: d.caveats.map(c => ({
-      enforcer: c.enforcer,
-      terms: c.terms,
-      args: c.args || '0x'
-    })),
-    salt: typeof d.salt === 'bigint' ? d.salt : BigInt(d.salt),
-    signature: d.signature
-  }));
-  
-  // ABI encode as Delegation[] (tuple array)
-  return encodeAbiParameters(
-    [{
-      type: 'tuple[]',
-      components: DELEGATION_TUPLE.components
-    }],
-    [delegations]
-  );
+  if (result.status === 'simulated') {
+    console.log('✅ Simulation successful!\n');
+    printExecuteHint(network);
+    return;
+  }
+
+  const { receipt: transferReceipt } = result;
+  console.log('✅ Transfer confirmed!');
+  console.log(`   Block:    ${transferReceipt.blockNumber}`);
+  console.log(`   Gas used: ${transferReceipt.gasUsed}`);
+  transferReceipt.transfers.forEach(t => {
+    console.log(`   Transfer: ${t.amount} USDC ${t.from} → ${t.to}`);
+  });
+  result.warnings.slice(prepared.warnings.length).forEach(w => console.log(`⚠️  ${w}`));
+
+  if (argv.receipt) {
+    writeFileSync(argv.receipt, JSON.stringify(transferReceipt, null, 2));
+    console.log(`\n💾 Receipt saved to: ${argv.receipt}`);
+  } else {
+    console.log('\n📦 Receipt:');
+    console.log(JSON.stringify(transferReceipt, null, 2));
+  }
 }
 
-main().catch(console.error);
+run(main, { hints: HINTS });
@@ -0,0 +1,85 @@
+/**
+ * Shared plumbing for the scripts: --json output and exit codes
+ *
+ * With --json a script prints exactly one JSON object on stdout:
+ *   { "ok": true, ...result }                on success
+ *   { "ok": false, "error": { name, code, message, details, ... } }  on failure
+ *
+ * Failures exit with the code of their error class (EXIT_CODES in errors.mjs),
+ * in both modes.
+ */
+
+import { ConfigError, DelegationError, EXIT_CODES } from './errors.mjs';
+
+const JSON_FLAG = process.argv.includes('--json');
+
+/**
+ * Deep-copy a value into JSON-safe form (bigint to string)
+ */
+export function toJson(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v));
+}
+
+/**
+ * Print a successful --json result
+ */
+export function printJson(result) {
+  console.log(JSON.stringify(toJson({ ok: true, ...result }), null, 2));
+}
+
+/**
+ * Report an error and exit with its class's exit code
+ *
+ * @param {Error} error
+ * @param {Object} [options]
+ * @param {boolean} [options.json] - Print the JSON envelope instead of text
+ * @param {Object} [options.result] - Partial result to include in the JSON envelope
+ * @param {Object<string, string>} [options.hints] - Extra text per error code (human output only)
+ */
+export function fail(error, { json = JSON_FLAG, result, hints = {} } = {}) {
+  const typed = error instanceof DelegationError;
+  const exitCode = typed ? error.exitCode : EXIT_CODES.DELEGATION_ERROR;
+
+  if (json) {
+    const serialized = typed
+      ? error.toJSON()
+      : { name: 'Error', code: 'INTERNAL_ERROR', message: error.shortMessage || error.message, details: [] };
+    console.log(JSON.stringify(toJson({ ok: false, ...result, error: serialized }), null, 2));
+  } else if (typed) {
+    console.error(`❌ ${error.message}${error.details.length > 0 ? ':' : ''}`);
+    error.details.forEach(d => console.error(`   - ${d}`));
+    if (hints[error.code]) {
+      console.error(`\n   ${hints[error.code]}`);
+    }
+  } else {
+    console.error('❌', error.shortMessage || error.message);
+  }
+  process.exit(exitCode);
+}
+
+/**
+ * Run a script's main(); anything it throws becomes an exit code
+ */
+export function run(main, options) {
+  main().catch(e => fail(e, options));
+}
+
+/**
+ * yargs .fail() handler - bad arguments exit with the CONFIG_ERROR code
+ */
+export function failUsage(message, error, yargs) {
+  if (!JSON_FLAG) {
+    yargs.showHelp();
+    console.error('');
+  }
+  fail(new ConfigError(message || error.message), { json: JSON_FLAG });
+}
+
+/**
+ * The --json option, identical on every script
+ */
+export const JSON_OPTION = {
+  type: 'boolean',
+  description: 'Print one JSON result object instead of text',
+  default: false
+};
@@ -0,0 +1,1102 @@
+/**
+ * DelegationClient - programmatic API for the delegation scripts
+ *
+ * Everything the CLIs do (create, sub-delegate, check, redeem, revoke) as async
+ * methods that return plain result objects and throw the typed errors from
+ * errors.mjs instead of printing and calling process.exit. The scripts in
+ * scripts/ are thin wrappers around it.
+ *
+ *   import { DelegationClient } from './lib/client.mjs';
+ *   import { loadSigner } from './lib/signers.mjs';
+ *
+ *   const client = new DelegationClient({ account: await loadSigner(), network: 'base-sepolia' });
+ *   const { json, hash } = await client.create({ delegate: '0x...', amount: '100', expiry: '24h' });
+ *   const result = await client.transfer(hash, { to: '0x...', amount: '25', execute: true });
+ *
+ * Delegation inputs may be a delegation JSON object, a path to a delegation
+ * file, or a hash (or 8+ digit prefix) in the local store.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { formatUnits, encodeFunctionData, parseEventLogs } from 'viem';
+import {
+  getClients,
+  getPublicClient,
+  getNetwork,
+  getSmartAccount,
+  getSmartAccountOwner,
+  executeAsSmartAccount,
+  getUserOperationResult,
+  getDelegatorNonce,
+  getDelegationHash,
+  getEnforcerName,
+  getCaveatState,
+  getERC20TransferAmountSpent,
+  getERC20PeriodTransferState,
+  getLimitedCallsCount,
+  getEffectiveScope,
+  getDelegationBudget,
+  getSingleCallOnlyEnforcers,
+  isDelegationDisabled,
+  buildDelegation,
+  signDelegation,
+  parseDelegation,
+  parseDuration,
+  parseTimestamp,
+  parseAddressList,
+  parseUSDCAmount,
+  loadDelegationChain,
+  validateSubDelegationScope,
+  validateDelegationChain,
+  validateDelegationNetwork,
+  validateTransfer,
+  verifyDelegationSignature,
+  preflightDelegation,
+  buildDelegationGraph,
+  getDelegationDescendants,
+  getDelegationAncestors,
+  encodeSingleExecution,
+  encodeBatchExecution,
+  encodePermissionContext,
+  withRecipientArgs,
+  DELEGATION_ABI_COMPONENTS,
+  USDC_DECIMALS,
+  ROOT_AUTHORITY,
+  SINGLE_CALL_MODE,
+  BATCH_CALL_MODE
+} from './delegation.mjs';
+import { getStoreDir, saveDelegation, loadDelegationDirectory, loadStoredDelegation, listStoredDelegations } from './store.mjs';
+import { SIGNER_REQUIRED } from './signers.mjs';
+import {
+  ConfigError,
+  NotFoundError,
+  NetworkMismatchError,
+  NotAuthorizedError,
+  ValidationError,
+  BudgetExceededError,
+  SignatureError,
+  PreflightError,
+  SimulationError,
+  TransactionError,
+  RpcError
+} from './errors.mjs';
+
+// USDC transfer function + Transfer event ABI
+const USDC_ABI = [
+  {
+    name: 'transfer',
+    type: 'function',
+    inputs: [
+      { name: 'to', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ],
+    outputs: [{ type: 'bool' }]
+  },
+  {
+    name: 'Transfer',
+    type: 'event',
+    inputs: [
+      { name: 'from', type: 'address', indexed: true },
+      { name: 'to', type: 'address', indexed: true },
+      { name: 'value', type: 'uint256', indexed: false }
+    ]
+  }
+];
+
+// DelegationManager ABI (partial) - matches v1.3.0
+const DELEGATION_MANAGER_ABI = [
+  {
+    name: 'redeemDelegations',
+    type: 'function',
+    inputs: [
+      { name: '_permissionContexts', type: 'bytes[]' },
+      { name: '_modes', type: 'bytes32[]' },
+      { name: '_executionCallDatas', type: 'bytes[]' }
+    ],
+    outputs: []
+  },
+  {
+    name: 'disableDelegation',
+    type: 'function',
+    inputs: [
+      { name: 'delegation', type: 'tuple', components: DELEGATION_ABI_COMPONENTS }
+    ],
+    outputs: []
+  }
+];
+
+const rpcMessage = (e) => e.shortMessage || e.message;
+
+// 0x-prefixed strings that are not a file on disk are store hashes
+const isStoreHash = (input) => typeof input === 'string' && input.startsWith('0x') && !existsSync(input);
+
+/**
+ * Read a delegation input: JSON object, file path, or stored hash
+ * @param {Object|string} input
+ * @returns {Object} Delegation JSON
+ */
+function readDelegation(input) {
+  if (input && typeof input === 'object') return input;
+  try {
+    if (isStoreHash(input)) {
+      return loadStoredDelegation(input);
+    }
+    return JSON.parse(readFileSync(input, 'utf8'));
+  } catch (e) {
+    throw new NotFoundError(`Could not load delegation: ${e.message}`, { cause: e });
+  }
+}
+
+/**
+ * Normalize the amount/duration/timestamp/address-list forms the CLIs accept
+ * into buildDelegation() parameters
+ */
+function toBuildParams(params) {
+  const { amount, expiry, periodAmount, period, notBefore, redeemers, recipients, maxCalls } = params;
+  const addressList = (value) => Array.isArray(value) ? parseAddressList(value.join(',')) : parseAddressList(value);
+  try {
+    return {
+      amount: amount === undefined ? undefined : parseUSDCAmount(amount, 'amount'),
+      expirySeconds: typeof expiry === 'number' ? expiry : parseDuration(expiry),
+      periodAmount: periodAmount === undefined ? undefined : parseUSDCAmount(periodAmount, 'periodAmount'),
+      periodSeconds: period === undefined ? undefined : typeof period === 'number' ? period : parseDuration(period),
+      notBefore: notBefore === undefined ? undefined : parseTimestamp(notBefore),
+      redeemers: redeemers ? addressList(redeemers) : undefined,
+      allowedRecipients: recipients ? addressList(recipients) : undefined,
+      maxCalls
+    };
+  } catch (e) {
+    throw new ValidationError(e.message, { cause: e });
+  }
+}
+
+/**
+ * buildDelegation() with its errors (start after expiry, bad terms) as ValidationError
+ */
+function build(params) {
+  try {
+    return buildDelegation(params);
+  } catch (e) {
+    throw new ValidationError(e.message, { cause: e });
+  }
+}
+
+/**
+ * @typedef {Object} CreateResult
+ * @property {Object} delegation - Signed delegation (bigint salt)
+ * @property {Object} json - Serialized delegation with `_meta` (and `_chain` for sub-delegations)
+ * @property {string} hash - Delegation hash
+ * @property {string} delegator
+ * @property {bigint} [nonce] - NonceEnforcer nonce the delegation is bound to
+ * @property {{ hash: string, path: string }|null} stored - Local store entry
+ * @property {string[]} warnings
+ */
+
+/**
+ * @typedef {Object} TransferResult
+ * @property {'validated'|'simulated'|'executed'} status
+ * @property {Object[]} chain - Delegations, leaf to root
+ * @property {{ to: string, amount: string }[]} transfers
+ * @property {string} total - Summed USDC amount
+ * @property {Object[]} stateByHop - getCaveatState() per hop ({} if the RPC was unreachable)
+ * @property {Array} redeemArgs - redeemDelegations(contexts, modes, executionCallDatas)
+ * @property {Object} [preflight] - preflightDelegation() report (simulate/execute)
+ * @property {Object} [receipt] - Transfer receipt with decoded USDC Transfer events (execute)
+ * @property {string[]} warnings
+ */
+
+export class DelegationClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.privateKey] - Signer key; only check() works without a signer
+   * @param {import('viem').Account} [options.account] - Signer account instead of a key
+   *   (keystore or remote signer, see loadSigner() in signers.mjs)
+   * @param {string|Object} [options.network] - Network name or getNetwork() result
+   * @param {boolean} [options.store=true] - Save created delegations to the local store
+   * @param {(event: string, data: Object) => void} [options.onProgress] - Called as
+   *   transactions are simulated, submitted and confirmed
+   */
+  constructor({ privateKey, account: signer, network, store = true, onProgress } = {}) {
+    this.network = network && typeof network === 'object' ? network : getNetwork(network);
+    this.store = store;
+    this.onProgress = onProgress || (() => {});
+
+    if (signer || privateKey) {
+      const { walletClient, publicClient, account, chain } = getClients(signer || privateKey, this.network);
+      this.walletClient = walletClient;
+      this.publicClient = publicClient;
+      this.account = account;
+      this.chain = chain;
+    } else {
+      this.publicClient = getPublicClient(this.network);
+      this.chain = this.network.chain;
+    }
+  }
+
+  /** Signer address, or undefined without a signer */
+  get address() {
+    return this.account?.address;
+  }
+
+  requireSigner() {
+    if (!this.account) {
+      throw new ConfigError(SIGNER_REQUIRED);
+    }
+  }
+
+  /**
+   * Create and sign a root delegation
+   *
+   * @param {Object} params
+   * @param {string} params.delegate
+   * @param {string} [params.amount] - Lifetime USDC cap, decimal (at most 6 places)
+   * @param {string|number} params.expiry - Duration (24h) or seconds
+   * @param {string} [params.periodAmount] - Per-period USDC cap, decimal
+   * @param {string|number} [params.period] - Period length for periodAmount
+   * @param {string|number} [params.notBefore] - Duration from now, unix seconds, or ISO date
+   * @param {string|string[]} [params.redeemers]
+   * @param {string|string[]} [params.recipients]
+   * @param {number} [params.maxCalls]
+   * @param {boolean} [params.nonce] - Bind to the delegator's current NonceEnforcer nonce
+   * @param {boolean} [params.smartAccount] - Delegate from the DeleGator owned by the signer
+   * @param {number|bigint} [params.accountSalt=0]
+   * @param {boolean} [params.store] - Override the client's store setting
+   * @returns {Promise<CreateResult>}
+   */
+  async create(params) {
+    this.requireSigner();
+    const { network, publicClient, account } = this;
+    const warnings = [];
+
+    if (params.amount === undefined && params.periodAmount === undefined) {
+      throw new ValidationError('Provide amount (lifetime cap), periodAmount (per-period cap), or both');
+    }
+    const buildParams = toBuildParams(params);
+
+    // The delegator holds the USDC and executes the transfer, so it must be a DeleGator.
+    // The EOA still signs: HybridDeleGator.isValidSignature() accepts its owner's ECDSA signature.
+    let delegator = account.address;
+    let smartAccount;
+    if (params.smartAccount) {
+      smartAccount = getSmartAccount(account.address, { salt: BigInt(params.accountSalt || 0), network });
+      delegator = smartAccount.address;
+
+      try {
+        const owner = await getSmartAccountOwner(publicClient, delegator);
+        if (owner === null) {
+          warnings.push('Not deployed yet - run create-account.mjs --deploy before the delegate redeems');
+        } else if (owner.toLowerCase() !== account.address.toLowerCase()) {
+          throw new NotAuthorizedError(`Smart account is owned by ${owner}, not ${account.address}`);
+        }
+      } catch (e) {
+        if (e instanceof NotAuthorizedError) throw e;
+        warnings.push(`Could not check deployment: ${rpcMessage(e)}`);
+      }
+    } else {
+      warnings.push('EOA delegator - redemption requires a DeleGator smart account (use --smart-account)');
+    }
+
+    const nonce = params.nonce ? await this.readNonce(delegator) : undefined;
+
+    const delegation = build({
+      delegator,
+      delegate: params.delegate,
+      ...buildParams,
+      nonce,
+      network
+    });
+    const signed = await signDelegation(delegation, this.walletClient, network);
+    const hash = getDelegationHash(signed);
+
+    const json = {
+      ...signed,
+      salt: signed.salt.toString(),
+      _meta: {
+        createdAt: new Date().toISOString(),
+        delegationHash: hash,
+        network: network.name,
+        chain: this.chain.name,
+        chainId: this.chain.id,
+        usdcAddress: network.usdcAddress,
+        delegationManager: network.contracts.DelegationManager,
+        enforcers: Object.fromEntries(
+          signed.caveats.map(c => [getEnforcerName(c.enforcer, network), c.enforcer])
+        ),
+        ...(smartAccount && {
+          smartAccount: {
+            owner: smartAccount.owner,
+            implementation: smartAccount.implementation,
+            factory: smartAccount.factory,
+            salt: smartAccount.salt
+          }
+        })
+      }
+    };
+
+    return {
+      delegation: signed,
+      json,
+      hash,
+      delegator,
+      smartAccount: smartAccount || null,
+      nonce,
+      stored: (params.store ?? this.store) ? saveDelegation(json) : null,
+      warnings
+    };
+  }
+
+  /**
+   * Create and sign a sub-delegation of a delegation the signer is the delegate of
+   * Per ERC-7710 the scope can only be narrowed - a sub-delegation wider than the
+   * parent chain, or one that could never be redeemed, throws ValidationError
+   * (see validateSubDelegationScope).
+   *
+   * Sibling sub-delegations of the same parent in the local store are summed
+   * with the new one (see getDelegationBudget), leaving out those revoked
+   * on-chain: caps adding up to more than the parent's is a warning, or a
+   * BudgetExceededError with `strict`. Siblings the store does not hold (created
+   * elsewhere or without storing) are not counted, so `strict` also refuses to
+   * run without storing - the sub-delegation would be invisible to the next check.
+   *
+   * @param {Object|string} parentInput - Parent delegation (JSON, file path or stored hash)
+   * @param {Object} params - As create(), with `delegate` the sub-delegate
+   * @param {boolean} [params.strict=false] - Refuse to over-allocate the parent's cap (ConfigError with `store: false`)
+   * @returns {Promise<CreateResult & { parentHash: string, parent: Object, budget: import('./delegation.mjs').DelegationBudget }>}
+   */
+  async subDelegate(parentInput, params) {
+    this.requireSigner();
+    const { network, publicClient, account } = this;
+
+    if (params.strict && !(params.store ?? this.store)) {
+      throw new ConfigError('strict needs the local store: the budget check only counts stored sub-delegations, ' +
+        'and one created without storing would be missed by every later check');
+    }
+
+    const rawParent = readDelegation(parentInput);
+    const parent = parseDelegation(rawParent);
+
+    // Refuse parents signed for another chain - the sub-delegation could never be redeemed
+    const networkValidation = validateDelegationNetwork(rawParent, network);
+    if (!networkValidation.valid) {
+      throw new NetworkMismatchError('Parent delegation belongs to a different network', {
+        details: networkValidation.errors
+      });
+    }
+
+    if (account.address.toLowerCase() !== parent.delegate.toLowerCase()) {
+      throw new NotAuthorizedError('You are not the delegate of the parent delegation', {
+        details: [`Expected: ${parent.delegate}`, `Got:      ${account.address}`]
+      });
+    }
+
+    if (params.amount === undefined && params.periodAmount === undefined) {
+      throw new ValidationError('Provide amount (lifetime cap), periodAmount (per-period cap), or both');
+    }
+    const buildParams = toBuildParams(params);
+
+    const nonce = params.nonce ? await this.readNonce(account.address) : undefined;
+
+    // The parent's hash is the authority - it links the chain
+    const parentHash = getDelegationHash(parent);
+    const subDelegation = build({
+      delegator: account.address,
+      delegate: params.delegate,
+      authority: parentHash,
+      ...buildParams,
+      nonce,
+      network
+    });
+
+    // Checked against the parent and every ancestor above it
+    const parentChain = loadDelegationChain(rawParent);
+    const validation = validateSubDelegationScope(parentChain, subDelegation, network);
+    if (!validation.valid) {
+      throw new ValidationError('Sub-delegation is wider than its delegation chain or could never be redeemed', {
+        details: validation.errors
+      });
+    }
+
+    // Siblings all spend the parent's allowance - only the local store knows about them, so
+    // ones created elsewhere are not counted. Revoked ones no longer can, so disabledDelegations is read for each
+    const warnings = [];
+    const siblings = listStoredDelegations()
+      .map(e => parseDelegation(e.raw))
+      .filter(d => d.authority.toLowerCase() === parentHash.toLowerCase());
+    let revoked = [];
+    try {
+      const disabled = await Promise.all(siblings.map(d => isDelegationDisabled(publicClient, d, network)));
+      revoked = siblings.filter((d, i) => disabled[i]).map(d => getDelegationHash(d));
+    } catch (e) {
+      warnings.push(`Could not check sibling sub-delegations for revocation, counting all of them: ${rpcMessage(e)}`);
+    }
+    const budget = getDelegationBudget(parentChain, [...siblings, subDelegation], network, { revoked });
+    if (budget.overAllocated > 0n) {
+      const usdc = (amount) => `${formatUnits(amount, USDC_DECIMALS)} USDC`;
+      const subHash = getDelegationHash(subDelegation).toLowerCase();
+      const live = budget.children.filter(c => !c.expired && !c.revoked && c.allocation !== null);
+      const message = `${live.length} sub-delegations of ${parentHash} allocate ${usdc(budget.allocated)} ` +
+        `against a ${usdc(budget.cap.value)} cap (${usdc(budget.overAllocated)} over) - they cannot all be spent in full`;
+      if (params.strict) {
+        throw new BudgetExceededError('Sub-delegations of this parent would allocate more than its cap', {
+          budget,
+          details: [
+            ...live.map(c => `${c.hash === subHash ? 'this sub-delegation' : c.hash}: ` +
+              `${usdc(c.allocation)} to ${c.delegate}${c.inherited ? ' (no cap of its own)' : ''}`),
+            `Total ${usdc(budget.allocated)} exceeds the ${usdc(budget.cap.value)} cap by ${usdc(budget.overAllocated)}`
+          ]
+        });
+      }
+      warnings.push(message);
+    }
+
+    const signed = await signDelegation(subDelegation, this.walletClient, network);
+    const hash = getDelegationHash(signed);
+
+    const json = {
+      ...signed,
+      salt: signed.salt.toString(),
+      _meta: {
+        createdAt: new Date().toISOString(),
+        delegationHash: hash,
+        parentHash,
+        network: network.name,
+        chain: this.chain.name,
+        chainId: this.chain.id,
+        delegationManager: network.contracts.DelegationManager
+      },
+      _chain: {
+        // Include parent for redemption
+        parent: {
+          ...parent,
+          salt: parent.salt.toString()
+        }
+      }
+    };
+
+    return {
+      delegation: signed,
+      json,
+      hash,
+      parentHash,
+      parent,
+      delegator: account.address,
+      nonce,
+      budget,
+      stored: (params.store ?? this.store) ? saveDelegation(json) : null,
+      warnings
+    };
+  }
+
+  /**
+   * Inspect a delegation: signature, network, and the on-chain state of its caveats
+   * Nothing here throws for a bad delegation - the result reports it. RPC failures
+   * are reported per read in `stateErrors`.
+   *
+   * For a sub-delegation the embedded `_chain` is walked up to the root: `chain`
+   * lists every hop (leaf first) with its signature check and what it has spent -
+   * one bad signature anywhere makes the chain unredeemable, so
+   * `security.validSignature` needs all of them - and `effectiveScope` is
+   * what the delegate can really do - getEffectiveScope() of the whole chain plus
+   * `remaining`, the lowest allowance left at any hop (null if a read failed).
+   *
+   * @param {Object|string} input - Delegation JSON, file path or stored hash
+   */
+  async check(input) {
+    const { network, publicClient } = this;
+    const { contracts } = network;
+    const raw = readDelegation(input);
+    const delegation = parseDelegation(raw);
+
+    // ERC-1271 needs the RPC; fall back to ECDSA only
+    const verify = async (d) => {
+      try {
+        return await verifyDelegationSignature(d, { publicClient, network });
+      } catch (e) {
+        return verifyDelegationSignature(d, { network });
+      }
+    };
+    const signature = await verify(delegation);
+
+    const state = { spent: null, periodState: null, callCount: null, currentNonce: null };
+    const stateErrors = {};
+    const read = async (key, fn) => {
+      try {
+        state[key] = await fn();
+      } catch (e) {
+        stateErrors[key] = rpcMessage(e);
+      }
+    };
+    const hasCaveat = (name) => delegation.caveats.some(c =>
+      c.enforcer.toLowerCase() === contracts[name].toLowerCase()
+    );
+    await Promise.all([
+      read('spent', () => getERC20TransferAmountSpent(publicClient, delegation, network)),
+      read('periodState', () => getERC20PeriodTransferState(publicClient, delegation, network)),
+      read('callCount', () => getLimitedCallsCount(publicClient, delegation, network)),
+      hasCaveat('NonceEnforcer')
+        ? read('currentNonce', () => getDelegatorNonce(publicClient, delegation.delegator, network))
+        : undefined
+    ]);
+
+    const chain = loadDelegationChain(raw);
+    const hops = await Promise.all(chain.map(async (d, hop) => {
+      const amountCap = getEffectiveScope([d], network).amount?.value ?? null;
+      const entry = {
+        hop,
+        hash: getDelegationHash(d),
+        delegator: d.delegator,
+        delegate: d.delegate,
+        signature: hop === 0 ? signature : await verify(d),
+        amountCap,
+        spent: null
+      };
+      if (amountCap === null) return entry;
+      if (hop === 0) return { ...entry, spent: state.spent, ...(stateErrors.spent && { spentError: stateErrors.spent }) };
+      try {
+        return { ...entry, spent: await getERC20TransferAmountSpent(publicClient, d, network) };
+      } catch (e) {
+        return { ...entry, spentError: rpcMessage(e) };
+      }
+    }));
+
+    // The chain can only move what its most-used hop has left
+    const capped = hops.filter(h => h.amountCap !== null);
+    const remaining = capped.length === 0 || capped.some(h => h.spent === null)
+      ? null
+      : capped
+        .map(h => ({ value: h.spent >= h.amountCap ? 0n : h.amountCap - h.spent, hop: h.hop }))
+        .reduce((min, r) => r.value < min.value ? r : min);
+
+    return {
+      raw,
+      delegation,
+      hash: getDelegationHash(delegation),
+      root: delegation.authority.toLowerCase() === ROOT_AUTHORITY,
+      chain: hops,
+      chainValidation: validateDelegationChain(chain),
+      effectiveScope: { ...getEffectiveScope(chain, network), remaining },
+      signature,
+      networkValidation: validateDelegationNetwork(raw, network),
+      state,
+      stateErrors,
+      security: {
+        amountLimit: hasCaveat('ERC20TransferAmountEnforcer') || hasCaveat('ERC20PeriodTransferEnforcer'),
+        expiry: hasCaveat('TimestampEnforcer'),
+        ethPrevention: hasCaveat('ValueLteEnforcer'),
+        validSignature: hops.every(h => h.signature.valid)
+      }
+    };
+  }
+
+  /**
+   * Redeem a delegation for one or more USDC transfers
+   *
+   * prepareTransfer() followed by submitTransfer() when `simulate` or `execute`
+   * is set - see both.
+   *
+   * @param {Object|string} input - Delegation JSON, file path or stored hash
+   * @param {Object} options - prepareTransfer() options plus `simulate` and `execute`
+   * @returns {Promise<TransferResult>}
+   */
+  async transfer(input, options = {}) {
+    const prepared = await this.prepareTransfer(input, options);
+    if (!options.simulate && !options.execute) return prepared;
+    return this.submitTransfer(prepared, { execute: options.execute });
+  }
+
+  /**
+   * Validate a transfer and encode the redeemDelegations call - nothing is sent
+   *
+   * Checks the network, that the signer is the delegate, the chain links, every
+   * signature and every hop's caveats (against on-chain state when the RPC is
+   * reachable).
+   *
+   * @param {Object|string} input - Delegation JSON, file path or stored hash
+   * @param {Object} options
+   * @param {string} [options.to] - Single transfer recipient
+   * @param {string} [options.amount] - Single transfer amount, decimal USDC (at most 6 places)
+   * @param {{ to: string, amount: string }[]} [options.transfers] - Batch instead of to/amount
+   * @param {boolean} [options.batchCall=false] - One BATCH_CALL_MODE execution; ValidationError if
+   *   any hop has an enforcer that only accepts single calls (see getSingleCallOnlyEnforcers)
+   * @param {boolean} [options.simulate=false] - Will be simulated: an undeployed delegator is an error
+   * @param {boolean} [options.execute=false] - Will be broadcast: an undeployed delegator is an error
+   * @returns {Promise<TransferResult>} With status 'validated'
+   */
+  async prepareTransfer(input, { to, amount, transfers, batchCall = false, simulate = false, execute = false } = {}) {
+    this.requireSigner();
+    const { network, publicClient, account } = this;
+    const { usdcAddress } = network;
+    const warnings = [];
+
+    const raw = readDelegation(input);
+    const chain = loadDelegationChain(raw);
+    const delegation = chain[0];
+
+    const networkValidation = validateDelegationNetwork(raw, network);
+    if (!networkValidation.valid) {
+      throw new NetworkMismatchError('Delegation belongs to a different network', {
+        details: networkValidation.errors
+      });
+    }
+
+    if (account.address.toLowerCase() !== delegation.delegate.toLowerCase()) {
+      throw new NotAuthorizedError('You are not the delegate of this delegation', {
+        details: [`Expected: ${delegation.delegate}`, `Got:      ${account.address}`]
+      });
+    }
+
+    const chainValidation = validateDelegationChain(chain);
+    if (!chainValidation.valid) {
+      throw new ValidationError('Invalid delegation chain', { details: chainValidation.errors });
+    }
+
+    // A batch-call redemption reverts on-chain if any hop has a single-call-only enforcer
+    // (every delegation the scripts build carries ERC20TransferAmount or ValueLte)
+    if (batchCall) {
+      const singleCallOnly = chain.flatMap((d, i) => getSingleCallOnlyEnforcers(d, network)
+        .map(name => `${i === 0 ? '' : `Hop ${i}: `}${name} only accepts single-call executions`));
+      if (singleCallOnly.length > 0) {
+        throw new ValidationError('batchCall cannot redeem this delegation - BATCH_CALL_MODE would revert', {
+          details: singleCallOnly
+        });
+      }
+    }
+
+    // Refuse delegations whose signature the DelegationManager would reject
+    for (let i = 0; i < chain.length; i++) {
+      let signatureCheck;
+      let online = true;
+      try {
+        signatureCheck = await verifyDelegationSignature(chain[i], { publicClient, network });
+      } catch (e) {
+        // RPC unavailable - ECDSA recovery still works offline
+        online = false;
+        signatureCheck = await verifyDelegationSignature(chain[i], { network });
+      }
+      if (!signatureCheck.valid) {
+        throw new SignatureError(`Invalid signature on ${i === 0 ? 'delegation' : `hop ${i}`}`, {
+          details: [signatureCheck.reason]
+        });
+      }
+      if (signatureCheck.method === 'counterfactual') {
+        // DelegationManager treats a delegator without code as an EOA and rejects the owner's signature
+        if (online && (simulate || execute)) {
+          throw new SignatureError(signatureCheck.reason, {
+            details: ['Deploy it first: node create-account.mjs --deploy']
+          });
+        }
+        warnings.push(`${signatureCheck.reason} - redemption reverts until it is deployed`);
+      }
+    }
+
+    // A single to/amount or a batch of payouts
+    const requested = transfers || [{ to, amount }];
+    if (requested.length === 0 || requested.some(t => !t.to || t.amount === undefined)) {
+      throw new ValidationError('Provide to and amount, or a non-empty transfers list');
+    }
+    let payouts;
+    try {
+      payouts = requested.map((t, i) => ({
+        to: t.to,
+        amount: parseUSDCAmount(t.amount, transfers ? `amount of transfer ${i + 1}` : 'amount')
+      }));
+    } catch (e) {
+      throw new ValidationError(e.message, { cause: e });
+    }
+    const totalWei = payouts.reduce((sum, t) => sum + t.amount, 0n);
+    const total = formatUnits(totalWei, USDC_DECIMALS);
+
+    // On-chain caveat state per hop. If the RPC is unreachable, fall back to the
+    // static caveats - the simulation before execute still catches an overspend.
+    let stateByHop = chain.map(() => ({}));
+    try {
+      stateByHop = await Promise.all(chain.map(d => getCaveatState(publicClient, d, network)));
+    } catch (e) {
+      warnings.push(`Could not read on-chain caveat state, checking the static caveats only: ${rpcMessage(e)}`);
+    }
+
+    // Validate against the caveats of every hop - each one is enforced on-chain.
+    // ERC20TransferAmountEnforcer tracks the cumulative spend, so a batch is
+    // checked against the remaining allowance by its summed amount, and every
+    // single-call redemption in a batch counts against LimitedCallsEnforcer.
+    // Recipient allowlists are checked per payout.
+    const calls = batchCall ? 1 : payouts.length;
+    const validationErrors = chain.flatMap((d, i) => {
+      const errors = validateTransfer(d, payouts[0].to, totalWei, network, {
+        ...stateByHop[i],
+        calls,
+        redeemer: account.address
+      }).errors;
+      for (const t of payouts.slice(1)) {
+        errors.push(...validateTransfer(d, t.to, 0n, network).errors.filter(e => !errors.includes(e)));
+      }
+      return errors.map(e => i === 0 ? e : `Hop ${i}: ${e}`);
+    });
+    if (validationErrors.length > 0) {
+      throw new ValidationError('Transfer violates delegation caveats', { details: validationErrors });
+    }
+
+    const executions = payouts.map(t => ({
+      target: usdcAddress,
+      value: 0n, // No ETH value
+      callData: encodeFunctionData({
+        abi: USDC_ABI,
+        functionName: 'transfer',
+        args: [t.to, t.amount]
+      })
+    }));
+
+    // Permission context: the full chain, leaf to root. Recipient allowlists built
+    // with LogicalOrWrapperEnforcer need per-recipient args, so each transfer gets its own.
+    const contextFor = (recipient) => encodePermissionContext(
+      chain.map(d => withRecipientArgs(d, recipient, network))
+    );
+
+    // redeemDelegations takes parallel arrays, one entry per redemption.
+    // By default every transfer is its own single-call redemption of the same
+    // delegation; batchCall packs them into one ERC-7579 batch execution. Recipient
+    // allowlists use AllowedCalldataEnforcer, which is single-call only, so a batch
+    // never needs per-recipient args.
+    const redeemArgs = batchCall
+      ? [
+        [contextFor(payouts[0].to)],
+        [BATCH_CALL_MODE],
+        [encodeBatchExecution(executions)]
+      ]
+      : [
+        payouts.map(t => contextFor(t.to)),
+        executions.map(() => SINGLE_CALL_MODE),
+        executions.map(e => encodeSingleExecution(e.target, e.value, e.callData))
+      ];
+
+    return {
+      status: 'validated',
+      chain,
+      delegationHash: getDelegationHash(delegation),
+      transfers: payouts.map(t => ({ to: t.to, amount: formatUnits(t.amount, USDC_DECIMALS) })),
+      total,
+      stateByHop,
+      redeemArgs,
+      warnings
+    };
+  }
+
+  /**
+   * Run the preflight checks and simulate a prepared transfer, then broadcast it
+   * with `execute` and decode the USDC Transfer events into a receipt
+   *
+   * @param {TransferResult} prepared - prepareTransfer() result
+   * @param {Object} [options]
+   * @param {boolean} [options.execute=false]
+   * @returns {Promise<TransferResult>} With status 'simulated' or 'executed'
+   */
+  async submitTransfer(prepared, { execute = false } = {}) {
+    this.requireSigner();
+    const { network, publicClient, walletClient, account } = this;
+    const { contracts, usdcAddress } = network;
+    const { chain, redeemArgs, transfers: payouts, total } = prepared;
+    const delegation = chain[0];
+    const result = { ...prepared, warnings: [...prepared.warnings] };
+
+    // Catch a missing account, empty balance or revoked hop with a clear message
+    // instead of an opaque simulation revert
+    this.onProgress('preflight', {});
+    const preflight = await preflightDelegation(publicClient, chain, { amount: parseUSDCAmount(total), network });
+    if (!preflight.passed) {
+      throw new PreflightError('Preflight failed', {
+        checks: preflight.checks,
+        details: preflight.checks.filter(c => !c.passed).map(c => `${c.detail} (${c.subject})`)
+      });
+    }
+    result.preflight = preflight;
+
+    this.onProgress('simulate', { preflight });
+    let request;
+    try {
+      ({ request } = await publicClient.simulateContract({
+        address: contracts.DelegationManager,
+        abi: DELEGATION_MANAGER_ABI,
+        functionName: 'redeemDelegations',
+        args: redeemArgs,
+        account
+      }));
+    } catch (e) {
+      throw new SimulationError(`Simulation failed: ${e.message}`, { cause: e });
+    }
+    result.status = 'simulated';
+    if (!execute) return result;
+
+    this.onProgress('broadcast', {});
+    let hash;
+    let receipt;
+    try {
+      hash = await walletClient.writeContract(request);
+      this.onProgress('submitted', { transactionHash: hash });
+      receipt = await publicClient.waitForTransactionReceipt({ hash });
+    } catch (e) {
+      throw new TransactionError(`Transfer failed: ${e.message}`, { transactionHash: hash, cause: e });
+    }
+
+    if (receipt.status !== 'success') {
+      throw new TransactionError('Transaction reverted', {
+        transactionHash: hash,
+        blockNumber: receipt.blockNumber,
+        details: [`Transaction: ${hash}`, `Block:       ${receipt.blockNumber}`]
+      });
+    }
+
+    // Decode the USDC Transfer events emitted by the delegator's account
+    const transferEvents = parseEventLogs({
+      abi: USDC_ABI,
+      eventName: 'Transfer',
+      logs: receipt.logs.filter(log => log.address.toLowerCase() === usdcAddress.toLowerCase())
+    }).filter(t => t.args.from.toLowerCase() === delegation.delegator.toLowerCase());
+
+    result.status = 'executed';
+    result.receipt = {
+      status: receipt.status,
+      transactionHash: hash,
+      blockNumber: receipt.blockNumber.toString(),
+      gasUsed: receipt.gasUsed.toString(),
+      network: network.name,
+      chainId: this.chain.id,
+      delegationManager: contracts.DelegationManager,
+      delegationHash: result.delegationHash,
+      redeemer: account.address,
+      totalAmount: formatUnits(
+        transferEvents.reduce((sum, t) => sum + t.args.value, 0n),
+        USDC_DECIMALS
+      ),
+      transfers: transferEvents.map(t => ({
+        token: usdcAddress,
+        from: t.args.from,
+        to: t.args.to,
+        value: t.args.value.toString(),
+        amount: formatUnits(t.args.value, USDC_DECIMALS),
+        logIndex: t.logIndex
+      })),
+      executedAt: new Date().toISOString()
+    };
+    if (result.receipt.transfers.length !== payouts.length) {
+      result.warnings.push(`Expected ${payouts.length} USDC Transfer event(s), found ${result.receipt.transfers.length}`);
+    }
+    return result;
+  }
+
+  /**
+   * Resolve revocation targets and the delegations that die with them
+   *
+   * Every delegation file in `dir` (default: the local store) is linked into a
+   * parent/child graph through their `authority` hashes. Hashes resolve in `dir`
+   * when one is given, otherwise in the store (prefixes allowed).
+   *
+   * A target is ours to revoke when the signer is its delegator, or owns the
+   * DeleGator that is. The latter are marked with `smartAccount` and disabled
+   * through the DeleGator (see executeRevocation()).
+   *
+   * @param {Array<Object|string>} targets - Delegation JSON, file paths or hashes
+   * @param {Object} [options]
+   * @param {string} [options.dir]
+   */
+  async planRevocation(targets, { dir } = {}) {
+    this.requireSigner();
+    const { network, publicClient, account } = this;
+    const sourceDir = dir || getStoreDir();
+    const dirFiles = loadDelegationDirectory(sourceDir).map(entry => entry.raw);
+
+    const loaded = targets.filter(t => !(dir && isStoreHash(t))).map(readDelegation);
+    const graph = buildDelegationGraph([...loaded, ...dirFiles]);
+
+    const targetHashes = [
+      ...loaded.map(raw => getDelegationHash(parseDelegation(raw)).toLowerCase()),
+      ...(dir ? targets.filter(isStoreHash).map(h => h.toLowerCase()) : [])
+    ].filter((h, i, all) => all.indexOf(h) === i);
+
+    const unknown = targetHashes.filter(h => !graph.has(h));
+    if (unknown.length > 0) {
+      throw new NotFoundError(`Delegation(s) not found in ${sourceDir}`, { details: unknown });
+    }
+    const resolved = targetHashes.map(h => graph.get(h));
+
+    // Every target must be signed for this network and ours to revoke
+    const label = (hash) => `${hash.slice(0, 10)}…${hash.slice(-6)}`;
+    const networkErrors = resolved.flatMap(({ hash, delegation }) =>
+      validateDelegationNetwork(delegation, network).errors.map(e => `${label(hash)}: ${e}`)
+    );
+    if (networkErrors.length > 0) {
+      throw new NetworkMismatchError('Cannot revoke', { details: networkErrors });
+    }
+    const owners = new Map();
+    for (const { delegation: { delegator } } of resolved) {
+      const key = delegator.toLowerCase();
+      if (key === account.address.toLowerCase() || owners.has(key)) continue;
+      try {
+        owners.set(key, (await getSmartAccountOwner(publicClient, delegator))?.toLowerCase() ?? null);
+      } catch (e) {
+        throw new RpcError(`Could not read the owner of ${delegator}: ${rpcMessage(e)}`, { cause: e });
+      }
+    }
+    const ownedAccount = (delegation) => owners.get(delegation.delegator.toLowerCase()) === account.address.toLowerCase();
+    const notOurs = resolved
+      .filter(({ delegation }) =>
+        account.address.toLowerCase() !== delegation.delegator.toLowerCase() && !ownedAccount(delegation)
+      )
+      .map(({ hash, delegation }) =>
+        `${label(hash)}: delegator is ${delegation.delegator} - only the delegator, or the owner of a DeleGator delegator, can revoke a delegation`
+      );
+    if (notOurs.length > 0) {
+      throw new NotAuthorizedError('Cannot revoke', { details: notOurs });
+    }
+
+    // Cascade: everything derived from a target dies with it
+    const affected = new Map();
+    const plannedTargets = resolved.map(target => {
+      const descendants = getDelegationDescendants(graph, target.hash);
+      affected.set(target.hash, { role: 'target', delegation: target.delegation });
+      for (const { hash, delegation } of descendants) {
+        if (!affected.has(hash)) {
+          affected.set(hash, { role: 'downstream', delegation });
+        }
+      }
+      return { ...target, descendants, ...(ownedAccount(target.delegation) && { smartAccount: target.delegation.delegator }) };
+    });
+
+    return {
+      dir: sourceDir,
+      dirCount: dirFiles.length,
+      graph,
+      targets: plannedTargets,
+      affected,
+      delegatesLosingAccess: [...new Set([...affected.values()].map(a => a.delegation.delegate))]
+    };
+  }
+
+  /**
+   * On-chain status of every delegation affected by a revocation plan
+   * A delegation is dead if it, or any ancestor, is disabled.
+   *
+   * @param {Object} plan - planRevocation() result
+   * @returns {Promise<{ hash: string, role: string, delegation: Object, status: 'revoked'|'dead'|'active', revokedAncestor?: string }[]>}
+   */
+  async getRevocationStatus({ graph, affected }) {
+    const hashes = new Set();
+    for (const hash of affected.keys()) {
+      hashes.add(hash);
+      getDelegationAncestors(graph, hash).forEach(h => hashes.add(h));
+    }
+
+    const disabled = new Map();
+    await Promise.all([...hashes].map(async (hash) => {
+      disabled.set(hash, await isDelegationDisabled(this.publicClient, graph.get(hash).delegation, this.network));
+    }));
+
+    return [...affected].map(([hash, { role, delegation }]) => {
+      const revokedAncestor = getDelegationAncestors(graph, hash).find(h => disabled.get(h));
+      return {
+        hash,
+        role,
+        delegation,
+        status: disabled.get(hash) ? 'revoked' : revokedAncestor ? 'dead' : 'active',
+        ...(revokedAncestor && { revokedAncestor })
+      };
+    });
+  }
+
+  /**
+   * Revoke delegations with DelegationManager.disableDelegation()
+   * planRevocation() followed, with `execute`, by executeRevocation().
+   *
+   * @param {Array<Object|string>} targets - Delegation JSON, file paths or hashes
+   * @param {Object} [options]
+   * @param {string} [options.dir] - See planRevocation()
+   * @param {boolean} [options.execute=false]
+   */
+  async revoke(targets, { dir, execute = false } = {}) {
+    const plan = await this.planRevocation(targets, { dir });
+    if (!execute) return { ...plan, results: [], failed: 0 };
+    return this.executeRevocation(plan);
+  }
+
+  /**
+   * Send one disableDelegation transaction per planned target
+   *
+   * DelegationManager only lets the delegator disable a delegation, so targets
+   * delegated by the signer's DeleGator (`smartAccount` in the plan) are disabled
+   * by the DeleGator itself, through executeAsSmartAccount().
+   *
+   * Targets already disabled are skipped. A failure does not stop the rest, so
+   * check `failed` in the result rather than expecting a throw.
+   *
+   * @param {Object} plan - planRevocation() result
+   * @returns {Promise<Object>} The plan plus `results` ({ hash, status: 'revoked'|'already-revoked'|'failed', ... }) and `failed`
+   */
+  async executeRevocation(plan) {
+    this.requireSigner();
+    const { network, publicClient, walletClient } = this;
+    const results = [];
+    for (const { hash, delegation, smartAccount } of plan.targets) {
+      this.onProgress('revoking', { hash, smartAccount });
+      let result;
+      let transactionHash;
+      try {
+        if (await isDelegationDisabled(publicClient, delegation, network)) {
+          result = { hash, status: 'already-revoked' };
+        } else {
+          const call = {
+            address: network.contracts.DelegationManager,
+            abi: DELEGATION_MANAGER_ABI,
+            functionName: 'disableDelegation',
+            args: [{
+              delegate: delegation.delegate,
+              delegator: delegation.delegator,
+              authority: delegation.authority,
+              caveats: delegation.caveats.map(c => ({
+                enforcer: c.enforcer,
+                terms: c.terms,
+                args: c.args || '0x'
+              })),
+              salt: delegation.salt,
+              signature: delegation.signature
+            }]
+          };
+          transactionHash = smartAccount
+            ? await executeAsSmartAccount(publicClient, walletClient, {
+              smartAccount,
+              target: call.address,
+              callData: encodeFunctionData(call)
+            }, network)
+            : await walletClient.writeContract(call);
+          this.onProgress('submitted', { hash, transactionHash });
+
+          const receipt = await publicClient.waitForTransactionReceipt({ hash: transactionHash });
+          const { success, revertReason } = receipt.status === 'success' && smartAccount
+            ? getUserOperationResult(receipt, smartAccount)
+            : { success: receipt.status === 'success', revertReason: 'Transaction failed' };
+          result = success
+            ? { hash, status: 'revoked', transactionHash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed }
+            : { hash, status: 'failed', transactionHash, error: revertReason };
+          if (smartAccount) result.smartAccount = smartAccount;
+        }
+      } catch (e) {
+        result = e.message.includes('DelegationManager__AlreadyDisabled')
+          ? { hash, status: 'already-revoked', transactionHash }
+          : { hash, status: 'failed', transactionHash, error: rpcMessage(e) };
+      }
+      this.onProgress('revoked', result);
+      results.push(result);
+    }
+
+    return { ...plan, results, failed: results.filter(r => r.status === 'failed').length };
+  }
+
+  /**
+   * Read the NonceEnforcer nonce new delegations are bound to
+   */
+  async readNonce(delegator) {
+    try {
+      return await getDelegatorNonce(this.publicClient, delegator, this.network);
+    } catch (e) {
+      throw new RpcError(`Could not read NonceEnforcer nonce: ${rpcMessage(e)}`, { cause: e });
+    }
+  }
+}
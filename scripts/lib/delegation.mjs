@@ -8,6 +8,7 @@ import {
   keccak256, 
   toBytes, 
   encodeAbiParameters,
+  decodeAbiParameters,
   parseAbiParameters,
   concat,
   pad,
@@ -16,53 +17,154 @@ import {
   encodePacked,
   hashTypedData,
   numberToHex,
-  padHex
+  padHex,
+  isAddress,
+  getAddress,
+  recoverTypedDataAddress,
+  encodeDeployData,
+  getContractAddress,
+  toFunctionSelector,
+  parseEventLogs,
+  decodeErrorResult
 } from 'viem';
-import { baseSepolia } from 'viem/chains';
+import { base, baseSepolia, sepolia } from 'viem/chains';
 import { privateKeyToAccount } from 'viem/accounts';
 
 // =============================================================================
 // NETWORK CONFIGURATION
 // =============================================================================
 
-// Base Sepolia USDC (Circle's testnet USDC)
-export const USDC_ADDRESS = process.env.USDC_ADDRESS || '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
 export const USDC_DECIMALS = 6;
 
-// MetaMask Delegation Framework v1.3.0 - Deployed on Base Sepolia
+// MetaMask Delegation Framework v1.3.0
+// Deployed with CREATE2 at the same addresses on every supported chain.
 // See: https://github.com/MetaMask/delegation-framework/blob/main/documents/Deployments.md
 export const DELEGATION_FRAMEWORK = {
   DelegationManager: '0xdb9B1e94B5b69Df7e401DDbedE43491141047dB3',
   
+  // DeleGator smart accounts (the delegator must be one to redeem)
+  SimpleFactory: '0x69Aa2f9fe1572F1B640E1bbc512f5c3a734fc77c',
+  HybridDeleGatorImpl: '0x48dBe696A4D990079e039489bA2053B36E8FFEC4',
+  EntryPoint: '0x0000000071727De22E5E9d8BAf0edAc6f37da032',
+  
   // Core Caveat Enforcers (simplified - only what we need)
   ERC20TransferAmountEnforcer: '0xf100b0819427117EcF76Ed94B358B1A5b5C6D2Fc',
   TimestampEnforcer: '0x1046bb45C8d673d4ea75321280DB34899413c069',
   ValueLteEnforcer: '0x92Bf12322527cAA612fd31a0e810472BBB106A8F',
   
-  // Optional enforcers (available but not used by default)
+  // Optional enforcers (opt-in via create-delegation flags)
   RedeemerEnforcer: '0xE144b0b2618071B4E56f746313528a669c7E65c5',
   NonceEnforcer: '0xDE4f2FAC4B3D87A1d9953Ca5FC09FCa7F366254f',
+  LimitedCallsEnforcer: '0x04658B29F6b82ed55274221a06Fc97D318E25416',
+  ERC20PeriodTransferEnforcer: '0x474e3Ae7E169e940607cC624Da8A15Eb120139aB',
+  AllowedCalldataEnforcer: '0xc2b0d624c1c4319760C96503BA27C347F3260f55',
+  LogicalOrWrapperEnforcer: '0xE1302607a3251AF54c3a6e69318d6aa07F5eB46c',
+
+  // Other framework enforcers - not created by these scripts, but decoded and
+  // validated when they appear in a delegation (see CAVEAT REGISTRY)
+  AllowedTargetsEnforcer: '0x7F20f61b1f09b08D970938F6fa563634d65c4EeB',
+  AllowedMethodsEnforcer: '0x2c21fD0Cb9DC8445CB3fb0DC5E7Bb0Aca01842B5',
+  ExactCalldataEnforcer: '0x99F2e9bF15ce5eC84685604836F71aB835DBBdED',
+  ArgsEqualityCheckEnforcer: '0x44B8C6ae3C304213c3e298495e12497Ed3E56E41',
+  BlockNumberEnforcer: '0x5d9818dF0AE3f66e9c3D0c5029DAF99d1823ca6c',
+  IdEnforcer: '0xC8B5D93463c893401094cc70e66A206fb5987997',
+  DeployedEnforcer: '0x24ff2AA430D53a8CD6788018E902E098083dcCd2',
+  OwnershipTransferEnforcer: '0x7EEf9734E7092032B5C56310Eb9BbD1f4A524681',
+  NativeTokenTransferAmountEnforcer: '0xF71af580b9c3078fbc2BBF16FbB8EEd82b330320',
+  NativeTokenPeriodTransferEnforcer: '0x9BC0FAf4Aca5AE429F4c06aEEaC517520CB16BD9',
+  NativeTokenStreamingEnforcer: '0xD10b97905a320b13a0608f7E9cC506b56747df19',
+  NativeTokenPaymentEnforcer: '0x4803a326ddED6dDBc60e659e5ed12d85c7582811',
+  NativeBalanceChangeEnforcer: '0xbD7B277507723490Cd50b12EaaFe87C616be6880',
+  ERC20BalanceChangeEnforcer: '0xcdF6aB796408598Cea671d79506d7D48E97a5437',
+  ERC20StreamingEnforcer: '0x56c97aE02f233B29fa03502Ecc0457266d9be00e',
+  ERC721TransferEnforcer: '0x3790e6B7233f779b09DA74C72b6e94813925b9aF',
 };
 
-// EIP-712 Domain for Delegation Framework
-export const DELEGATION_DOMAIN = {
-  name: 'DelegationManager',
-  version: '1',
-  chainId: 84532, // Base Sepolia
-  verifyingContract: DELEGATION_FRAMEWORK.DelegationManager,
+/**
+ * Network registry
+ * 
+ * Each entry carries everything chain-specific: the viem chain, default RPC,
+ * block explorer, Circle's USDC address and the Delegation Framework contracts.
+ * RPC_URL and USDC_ADDRESS env vars override the selected network's defaults.
+ */
+export const NETWORKS = {
+  'base-sepolia': {
+    name: 'base-sepolia',
+    chain: baseSepolia,
+    rpcUrl: 'https://sepolia.base.org',
+    explorer: 'https://sepolia.basescan.org',
+    usdcAddress: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    contracts: DELEGATION_FRAMEWORK,
+  },
+  'sepolia': {
+    name: 'sepolia',
+    chain: sepolia,
+    rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+    explorer: 'https://sepolia.etherscan.io',
+    usdcAddress: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
+    contracts: DELEGATION_FRAMEWORK,
+  },
+  'base': {
+    name: 'base',
+    chain: base,
+    rpcUrl: 'https://mainnet.base.org',
+    explorer: 'https://basescan.org',
+    usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    contracts: DELEGATION_FRAMEWORK,
+  },
 };
 
+export const DEFAULT_NETWORK = process.env.NETWORK || 'base-sepolia';
+
+/**
+ * Resolve a network from the registry, applying env overrides
+ * 
+ * @param {string} [name] - Registry key (base-sepolia, sepolia, base)
+ * @returns {Object} Network configuration
+ */
+export function getNetwork(name = DEFAULT_NETWORK) {
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown network "${name}". Supported: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  
+  return {
+    ...network,
+    rpcUrl: process.env.RPC_URL || network.rpcUrl,
+    usdcAddress: process.env.USDC_ADDRESS || network.usdcAddress,
+  };
+}
+
+/**
+ * EIP-712 Domain for Delegation Framework on a given network
+ * The chainId must match the chain the delegation is redeemed on.
+ */
+export function getDelegationDomain(network = getNetwork()) {
+  return {
+    name: 'DelegationManager',
+    version: '1',
+    chainId: network.chain.id,
+    verifyingContract: network.contracts.DelegationManager,
+  };
+}
+
+// Defaults for the selected network (NETWORK env var, Base Sepolia if unset)
+export const USDC_ADDRESS = getNetwork().usdcAddress;
+export const DELEGATION_DOMAIN = getDelegationDomain();
+
 // =============================================================================
 // EIP-712 TYPE DEFINITIONS
 // Per MetaMask Delegation Framework specification
 // =============================================================================
 
+// EIP-712 type strings - the struct hash encodes the hashed caveats array and
+// terms, but the type strings name the original fields (EncoderLib)
 export const DELEGATION_TYPEHASH = keccak256(
-  toBytes('Delegation(address delegate,address delegator,bytes32 authority,bytes32 caveatsHash,uint256 salt)')
+  toBytes('Delegation(address delegate,address delegator,bytes32 authority,Caveat[] caveats,uint256 salt)Caveat(address enforcer,bytes terms)')
 );
 
 export const CAVEAT_TYPEHASH = keccak256(
-  toBytes('Caveat(address enforcer,bytes32 termsHash)')
+  toBytes('Caveat(address enforcer,bytes terms)')
 );
 
 // EIP-712 types for viem's signTypedData
@@ -92,22 +194,363 @@ export const ANY_DELEGATE = '0x0000000000000000000000000000000000000a11';
 // CLIENT SETUP
 // =============================================================================
 
-export function getClients(privateKey) {
-  const account = privateKeyToAccount(privateKey);
-  const chain = baseSepolia;
+/**
+ * Create viem clients for a network
+ * 
+ * @param {string|import('viem').Account} signer - Private key, or an account from a
+ *   signer backend (keystore, remote signer - see signers.mjs)
+ * @param {Object} [network] - Network from getNetwork() (defaults to NETWORK env / Base Sepolia)
+ */
+export function getClients(signer, network = getNetwork()) {
+  const account = typeof signer === 'string' ? privateKeyToAccount(signer) : signer;
+  const chain = network.chain;
   
-  const publicClient = createPublicClient({
-    chain,
-    transport: http(process.env.RPC_URL || 'https://sepolia.base.org')
-  });
+  const publicClient = getPublicClient(network);
   
   const walletClient = createWalletClient({
     account,
     chain,
-    transport: http(process.env.RPC_URL || 'https://sepolia.base.org')
+    transport: http(network.rpcUrl)
+  });
+  
+  return { publicClient, walletClient, account, chain, network };
+}
+
+/**
+ * Create a read-only viem client for a network (no private key needed)
+ */
+export function getPublicClient(network = getNetwork()) {
+  return createPublicClient({
+    chain: network.chain,
+    transport: http(network.rpcUrl)
+  });
+}
+
+// =============================================================================
+// SMART ACCOUNTS (DELEGATOR)
+// DelegationManager executes through the delegator, so the delegator must be a
+// DeleGator smart account. We use HybridDeleGator owned by the signer's EOA.
+// =============================================================================
+
+// OpenZeppelin ERC1967Proxy creation code, as compiled by the Delegation Framework
+// (@metamask/delegation-abis ERC1967Proxy.bytecode). Constructor: (address implementation, bytes _data)
+const ERC1967_PROXY_CREATION_CODE = '0x60806040526040516103f03803806103f08339810160408190526100229161025e565b61002c8282610033565b5050610341565b61003c82610091565b6040516001600160a01b038316907fbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b905f90a280511561008557610080828261010c565b505050565b61008d61017f565b5050565b806001600160a01b03163b5f036100cb57604051634c9c8ce360e01b81526001600160a01b03821660048201526024015b60405180910390fd5b7f360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc80546001600160a01b0319166001600160a01b0392909216919091179055565b60605f80846001600160a01b0316846040516101289190610326565b5f60405180830381855af49150503d805f8114610160576040519150601f19603f3d011682016040523d82523d5f602084013e610165565b606091505b5090925090506101768583836101a0565b95945050505050565b341561019e5760405163b398979f60e01b815260040160405180910390fd5b565b6060826101b5576101b0826101ff565b6101f8565b81511580156101cc57506001600160a01b0384163b155b156101f557604051639996b31560e01b81526001600160a01b03851660048201526024016100c2565b50805b9392505050565b80511561020f5780518082602001fd5b604051630a12f52160e11b815260040160405180910390fd5b634e487b7160e01b5f52604160045260245ffd5b5f5b8381101561025657818101518382015260200161023e565b50505f910152565b5f806040838503121561026f575f80fd5b82516001600160a01b0381168114610285575f80fd5b60208401519092506001600160401b03808211156102a1575f80fd5b818501915085601f8301126102b4575f80fd5b8151818111156102c6576102c6610228565b604051601f8201601f19908116603f011681019083821181831017156102ee576102ee610228565b81604052828152886020848701011115610306575f80fd5b61031783602083016020880161023c565b80955050505050509250929050565b5f825161033781846020870161023c565b9190910192915050565b60a38061034d5f395ff3fe6080604052600a600c565b005b60186014601a565b6050565b565b5f604b7f360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc546001600160a01b031690565b905090565b365f80375f80365f845af43d5f803e8080156069573d5ff35b3d5ffdfea2646970667358221220fd2cc92935c943d341edacaf5318a0b9ab0185ce62ef72e95ab393ef358730c464736f6c63430008170033';
+
+const ERC1967_PROXY_ABI = [
+  {
+    type: 'constructor',
+    inputs: [
+      { name: 'implementation', type: 'address' },
+      { name: '_data', type: 'bytes' }
+    ],
+    stateMutability: 'payable'
+  }
+];
+
+// SimpleFactory (partial)
+export const SIMPLE_FACTORY_ABI = [
+  {
+    name: 'deploy',
+    type: 'function',
+    inputs: [
+      { name: '_bytecode', type: 'bytes' },
+      { name: '_salt', type: 'bytes32' }
+    ],
+    outputs: [{ name: 'addr_', type: 'address' }],
+    stateMutability: 'nonpayable'
+  }
+];
+
+// HybridDeleGator (partial)
+export const HYBRID_DELEGATOR_ABI = [
+  {
+    name: 'initialize',
+    type: 'function',
+    inputs: [
+      { name: '_owner', type: 'address' },
+      { name: '_keyIds', type: 'string[]' },
+      { name: '_xValues', type: 'uint256[]' },
+      { name: '_yValues', type: 'uint256[]' }
+    ],
+    outputs: []
+  },
+  {
+    name: 'owner',
+    type: 'function',
+    inputs: [],
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view'
+  },
+  {
+    name: 'execute',
+    type: 'function',
+    inputs: [
+      {
+        name: '_execution',
+        type: 'tuple',
+        components: [
+          { name: 'target', type: 'address' },
+          { name: 'value', type: 'uint256' },
+          { name: 'callData', type: 'bytes' }
+        ]
+      }
+    ],
+    outputs: [],
+    stateMutability: 'payable'
+  }
+];
+
+const PACKED_USER_OPERATION_COMPONENTS = [
+  { name: 'sender', type: 'address' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'initCode', type: 'bytes' },
+  { name: 'callData', type: 'bytes' },
+  { name: 'accountGasLimits', type: 'bytes32' },
+  { name: 'preVerificationGas', type: 'uint256' },
+  { name: 'gasFees', type: 'bytes32' },
+  { name: 'paymasterAndData', type: 'bytes' },
+  { name: 'signature', type: 'bytes' }
+];
+
+// EntryPoint v0.7 (partial)
+export const ENTRY_POINT_ABI = [
+  {
+    name: 'getNonce',
+    type: 'function',
+    inputs: [
+      { name: 'sender', type: 'address' },
+      { name: 'key', type: 'uint192' }
+    ],
+    outputs: [{ name: 'nonce', type: 'uint256' }],
+    stateMutability: 'view'
+  },
+  {
+    name: 'handleOps',
+    type: 'function',
+    inputs: [
+      { name: 'ops', type: 'tuple[]', components: PACKED_USER_OPERATION_COMPONENTS },
+      { name: 'beneficiary', type: 'address' }
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable'
+  },
+  {
+    name: 'UserOperationEvent',
+    type: 'event',
+    inputs: [
+      { name: 'userOpHash', type: 'bytes32', indexed: true },
+      { name: 'sender', type: 'address', indexed: true },
+      { name: 'paymaster', type: 'address', indexed: true },
+      { name: 'nonce', type: 'uint256', indexed: false },
+      { name: 'success', type: 'bool', indexed: false },
+      { name: 'actualGasCost', type: 'uint256', indexed: false },
+      { name: 'actualGasUsed', type: 'uint256', indexed: false }
+    ]
+  },
+  {
+    name: 'UserOperationRevertReason',
+    type: 'event',
+    inputs: [
+      { name: 'userOpHash', type: 'bytes32', indexed: true },
+      { name: 'sender', type: 'address', indexed: true },
+      { name: 'nonce', type: 'uint256', indexed: false },
+      { name: 'revertReason', type: 'bytes', indexed: false }
+    ]
+  },
+  {
+    name: 'FailedOp',
+    type: 'error',
+    inputs: [
+      { name: 'opIndex', type: 'uint256' },
+      { name: 'reason', type: 'string' }
+    ]
+  },
+  {
+    name: 'FailedOpWithRevert',
+    type: 'error',
+    inputs: [
+      { name: 'opIndex', type: 'uint256' },
+      { name: 'reason', type: 'string' },
+      { name: 'inner', type: 'bytes' }
+    ]
+  }
+];
+
+// DeleGatorCore signs user operations as EIP-712 PackedUserOperation structs,
+// with the EntryPoint in place of the signature field
+const PACKED_USER_OPERATION_TYPES = {
+  PackedUserOperation: [
+    ...PACKED_USER_OPERATION_COMPONENTS.filter(c => c.name !== 'signature'),
+    { name: 'entryPoint', type: 'address' }
+  ]
+};
+
+// Gas limits for owner calls (disableDelegation, incrementNonce). Fees are zero,
+// so these only bound the inner calls - nothing is prefunded or charged to the account.
+const SMART_ACCOUNT_VERIFICATION_GAS = 300_000n;
+const SMART_ACCOUNT_CALL_GAS = 300_000n;
+const SMART_ACCOUNT_PRE_VERIFICATION_GAS = 50_000n;
+
+/**
+ * Compute the counterfactual HybridDeleGator for an EOA owner
+ * 
+ * The account is an ERC1967Proxy pointing at HybridDeleGatorImpl, initialized with
+ * initialize(owner, [], [], []) (no P-256 keys) and deployed by SimpleFactory with CREATE2:
+ *   address = create2(SimpleFactory, salt, proxyCreationCode(implementation, initialize calldata))
+ * 
+ * The owner is baked into the creation code, so the address alone proves who controls it.
+ * HybridDeleGator.isValidSignature() accepts a 65-byte ECDSA signature from the owner,
+ * so delegations are still signed by the EOA with signDelegation().
+ * 
+ * @param {string} owner - EOA that owns the account
+ * @param {Object} [options]
+ * @param {bigint|number} [options.salt=0] - Deploy salt (one owner can have several accounts)
+ * @param {Object} [options.network] - Network from getNetwork()
+ * @returns {{ address: string, owner: string, implementation: string, factory: string, factoryData: string, initCode: string, salt: string, creationCode: string }}
+ */
+export function getSmartAccount(owner, { salt = 0n, network = getNetwork() } = {}) {
+  const { contracts } = network;
+  const deploySalt = pad(toHex(BigInt(salt)), { size: 32 });
+  
+  const initializeCalldata = encodeFunctionData({
+    abi: HYBRID_DELEGATOR_ABI,
+    functionName: 'initialize',
+    args: [owner, [], [], []]
+  });
+  
+  const creationCode = encodeDeployData({
+    abi: ERC1967_PROXY_ABI,
+    bytecode: ERC1967_PROXY_CREATION_CODE,
+    args: [contracts.HybridDeleGatorImpl, initializeCalldata]
+  });
+  
+  const address = getContractAddress({
+    opcode: 'CREATE2',
+    from: contracts.SimpleFactory,
+    salt: deploySalt,
+    bytecode: creationCode
+  });
+  
+  // ERC-4337 v0.7 splits initCode into factory + factoryData
+  const factoryData = encodeFunctionData({
+    abi: SIMPLE_FACTORY_ABI,
+    functionName: 'deploy',
+    args: [creationCode, deploySalt]
+  });
+  
+  return {
+    address,
+    owner: getAddress(owner),
+    implementation: contracts.HybridDeleGatorImpl,
+    factory: contracts.SimpleFactory,
+    factoryData,
+    initCode: concat([contracts.SimpleFactory, factoryData]),
+    salt: deploySalt,
+    creationCode
+  };
+}
+
+/**
+ * Read the owner of a deployed DeleGator
+ * @returns {Promise<string|null>} Owner address, or null if nothing is deployed at `address`
+ */
+export async function getSmartAccountOwner(publicClient, address) {
+  const code = await publicClient.getCode({ address });
+  if (!code || code === '0x') return null;
+  
+  return publicClient.readContract({
+    address,
+    abi: HYBRID_DELEGATOR_ABI,
+    functionName: 'owner'
+  });
+}
+
+/**
+ * Make a DeleGator call a contract, signed by its owner
+ * 
+ * DeleGator.execute() only accepts calls from the EntryPoint, so the owner wraps
+ * the call in a user operation and submits it with EntryPoint.handleOps() itself,
+ * acting as its own bundler. Gas fees in the operation are zero: the EntryPoint
+ * asks the account for no prefund, so the DeleGator needs no ETH and the owner's
+ * EOA pays for the handleOps transaction as usual.
+ * 
+ * handleOps() does not revert when the inner call does - check the receipt with
+ * getUserOperationResult().
+ * 
+ * @param {Object} publicClient
+ * @param {Object} walletClient - Owner of the DeleGator
+ * @param {Object} params
+ * @param {string} params.smartAccount - DeleGator address
+ * @param {string} params.target
+ * @param {bigint} [params.value=0n]
+ * @param {string} params.callData
+ * @param {Object} [network] - Network from getNetwork()
+ * @returns {Promise<string>} Transaction hash of the handleOps transaction
+ */
+export async function executeAsSmartAccount(publicClient, walletClient, { smartAccount, target, value = 0n, callData }, network = getNetwork()) {
+  const { contracts } = network;
+  const nonce = await publicClient.readContract({
+    address: contracts.EntryPoint,
+    abi: ENTRY_POINT_ABI,
+    functionName: 'getNonce',
+    args: [smartAccount, 0n]
+  });
+  
+  const userOp = {
+    sender: smartAccount,
+    nonce,
+    initCode: '0x',
+    callData: encodeFunctionData({
+      abi: HYBRID_DELEGATOR_ABI,
+      functionName: 'execute',
+      args: [{ target, value, callData }]
+    }),
+    accountGasLimits: concat([
+      pad(toHex(SMART_ACCOUNT_VERIFICATION_GAS), { size: 16 }),
+      pad(toHex(SMART_ACCOUNT_CALL_GAS), { size: 16 })
+    ]),
+    preVerificationGas: SMART_ACCOUNT_PRE_VERIFICATION_GAS,
+    gasFees: pad('0x', { size: 32 }),
+    paymasterAndData: '0x'
+  };
+  
+  // DeleGator domains set no salt (fields 0x0f), so leave it out of the struct
+  const { domain: { name, version, chainId, verifyingContract } } = await publicClient.getEip712Domain({ address: smartAccount });
+  userOp.signature = await walletClient.signTypedData({
+    domain: { name, version, chainId, verifyingContract },
+    types: PACKED_USER_OPERATION_TYPES,
+    primaryType: 'PackedUserOperation',
+    message: { ...userOp, entryPoint: contracts.EntryPoint }
+  });
+  
+  return walletClient.writeContract({
+    address: contracts.EntryPoint,
+    abi: ENTRY_POINT_ABI,
+    functionName: 'handleOps',
+    args: [[userOp], walletClient.account.address]
   });
+}
+
+/**
+ * Read the outcome of an executeAsSmartAccount() call from its receipt
+ * @returns {{ success: boolean, revertReason: string|null }}
+ */
+export function getUserOperationResult(receipt, smartAccount) {
+  const logs = parseEventLogs({ abi: ENTRY_POINT_ABI, logs: receipt.logs })
+    .filter(log => log.args.sender.toLowerCase() === smartAccount.toLowerCase());
+  
+  const event = logs.find(log => log.eventName === 'UserOperationEvent');
+  if (!event) return { success: false, revertReason: 'No UserOperationEvent in the receipt' };
+  if (event.args.success) return { success: true, revertReason: null };
   
-  return { publicClient, walletClient, account, chain };
+  const reason = logs.find(log => log.eventName === 'UserOperationRevertReason')?.args.revertReason;
+  if (!reason || reason === '0x') return { success: false, revertReason: 'reverted without a reason' };
+  try {
+    const { errorName, args } = decodeErrorResult({ abi: [], data: reason });
+    return { success: false, revertReason: errorName === 'Error' ? args[0] : `${errorName}(${args.join(', ')})` };
+  } catch {
+    return { success: false, revertReason: reason };
+  }
 }
 
 // =============================================================================
@@ -142,6 +585,63 @@ export function encodeERC20TransferAmountTerms(tokenAddress, amount) {
   );
 }
 
+/**
+ * Encode terms for ERC20PeriodTransferEnforcer
+ * 
+ * From the contract source (ERC20PeriodTransferEnforcer.sol getTermsInfo):
+ *   require(_terms.length == 116, "ERC20PeriodTransferEnforcer:invalid-terms-length");
+ *   token_ = address(bytes20(_terms[0:20]));
+ *   periodAmount_ = uint256(bytes32(_terms[20:52]));
+ *   periodDuration_ = uint256(bytes32(_terms[52:84]));
+ *   startDate_ = uint256(bytes32(_terms[84:116]));
+ * 
+ * So terms = encodePacked(address, uint256, uint256, uint256) = 20 + 32 + 32 + 32 = 116 bytes
+ * 
+ * Like ERC20TransferAmountEnforcer, it validates the token and the transfer
+ * selector. Up to periodAmount may be transferred per period; unused allowance
+ * does not roll over. Transfers before startDate revert.
+ * 
+ * @param {string} tokenAddress - ERC20 token address
+ * @param {bigint} periodAmount - Maximum transfer amount per period in wei
+ * @param {number} periodDuration - Period length in seconds
+ * @param {number} startDate - Unix timestamp of the first period's start
+ * @returns {string} Packed encoded terms (116 bytes)
+ */
+export function encodeERC20PeriodTransferTerms(tokenAddress, periodAmount, periodDuration, startDate) {
+  return encodePacked(
+    ['address', 'uint256', 'uint256', 'uint256'],
+    [tokenAddress, periodAmount, BigInt(periodDuration), BigInt(startDate)]
+  );
+}
+
+/**
+ * Decode ERC20PeriodTransferEnforcer terms
+ * @returns {{ token: string, periodAmount: bigint, periodDuration: number, startDate: number }}
+ */
+export function decodeERC20PeriodTransferTerms(terms) {
+  return {
+    token: getAddress('0x' + terms.slice(2, 42)),
+    periodAmount: BigInt('0x' + terms.slice(42, 106)),
+    periodDuration: Number(BigInt('0x' + terms.slice(106, 170))),
+    startDate: Number(BigInt('0x' + terms.slice(170, 234)))
+  };
+}
+
+/**
+ * Compute the current period of an ERC20PeriodTransferEnforcer allowance
+ * Matches the contract: currentPeriod = (block.timestamp - startDate) / periodDuration + 1
+ * 
+ * @param {{ periodDuration: number, startDate: number }} periodTerms - Decoded terms
+ * @param {number} [now] - Unix timestamp (defaults to the current time)
+ * @returns {{ currentPeriod: number, periodStart: number, periodEnd: number } | null} null before startDate
+ */
+export function getCurrentPeriod({ periodDuration, startDate }, now = Math.floor(Date.now() / 1000)) {
+  if (now < startDate) return null;
+  const index = Math.floor((now - startDate) / periodDuration);
+  const periodStart = startDate + index * periodDuration;
+  return { currentPeriod: index + 1, periodStart, periodEnd: periodStart + periodDuration };
+}
+
 /**
  * Encode terms for TimestampEnforcer
  * 
@@ -173,6 +673,18 @@ export function encodeTimestampTerms({ notBefore = 0, notAfter = 0 }) {
   );
 }
 
+/**
+ * Decode TimestampEnforcer terms
+ * @param {string} terms - Packed terms (32 bytes)
+ * @returns {{ notBefore: number, notAfter: number }} Unix seconds (0 = unbounded)
+ */
+export function decodeTimestampTerms(terms) {
+  return {
+    notBefore: Number(BigInt('0x' + terms.slice(2, 34))),
+    notAfter: Number(BigInt('0x' + terms.slice(34, 66)))
+  };
+}
+
 /**
  * Legacy function for backwards compatibility
  * @deprecated Use encodeTimestampTerms({ notBefore, notAfter }) instead
@@ -205,288 +717,2419 @@ export function encodeValueLteTerms(maxValue = 0n) {
   return padHex(numberToHex(maxValue), { size: 32 });
 }
 
+/**
+ * Encode terms for LimitedCallsEnforcer
+ * 
+ * From the contract source (LimitedCallsEnforcer.sol getTermsInfo):
+ *   require(_terms.length == 32, "LimitedCallsEnforcer:invalid-terms-length");
+ *   limit_ = uint256(bytes32(_terms));
+ * 
+ * Each redemption of the delegation counts as one call; the (limit+1)th reverts.
+ * 
+ * @param {number} maxCalls - Maximum number of redemptions
+ * @returns {string} ABI encoded terms (32 bytes)
+ */
+export function encodeLimitedCallsTerms(maxCalls) {
+  return padHex(numberToHex(BigInt(maxCalls)), { size: 32 });
+}
+
+/**
+ * Encode terms for NonceEnforcer
+ * 
+ * From the contract source (NonceEnforcer.sol):
+ *   require(_terms.length == 32, "NonceEnforcer:invalid-terms-length");
+ *   require(currentNonce[msg.sender][_delegator] == getTermsInfo(_terms), "NonceEnforcer:invalid-nonce");
+ * 
+ * The delegator calls incrementNonce(delegationManager) to invalidate every
+ * delegation bound to the previous nonce at once.
+ * 
+ * @param {bigint} nonce - The delegator's current nonce
+ * @returns {string} ABI encoded terms (32 bytes)
+ */
+export function encodeNonceTerms(nonce) {
+  return padHex(numberToHex(BigInt(nonce)), { size: 32 });
+}
+
 /**
  * Encode terms for RedeemerEnforcer (optional)
  * Restricts which addresses can redeem the delegation
+ * 
+ * From the contract source (RedeemerEnforcer.sol getTermsInfo):
+ *   require(_terms.length != 0 && _terms.length % 20 == 0, "RedeemerEnforcer:invalid-terms-length");
+ *   allowedRedeemers_[i] = address(bytes20(_terms[offset_:offset_ + 20]));
+ * 
+ * So terms are the addresses packed back to back (20 bytes each), NOT an ABI-encoded address[].
+ * 
  * @param {string[]} allowedRedeemers - List of addresses allowed to redeem
- * @returns {string} ABI-encoded terms
+ * @returns {string} Packed encoded terms (20 bytes per address)
  */
 export function encodeRedeemerTerms(allowedRedeemers) {
-  return encodeAbiParameters(
-    parseAbiParameters('address[]'),
-    [allowedRedeemers]
+  if (allowedRedeemers.length === 0) {
+    throw new Error('RedeemerEnforcer needs at least one redeemer');
+  }
+  return encodePacked(
+    allowedRedeemers.map(() => 'address'),
+    allowedRedeemers
   );
 }
 
-// =============================================================================
-// DELEGATION BUILDING
-// =============================================================================
-
 /**
- * Parse duration string to seconds
+ * Decode RedeemerEnforcer terms into the list of allowed redeemers
  */
-export function parseDuration(duration) {
-  const match = duration.match(/^(\d+)(s|m|h|d)$/);
-  if (!match) throw new Error('Invalid duration format. Use: 30s, 5m, 24h, 7d');
-  
-  const value = parseInt(match[1]);
-  const unit = match[2];
-  
-  const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
-  return value * multipliers[unit];
+export function decodeRedeemerTerms(terms) {
+  const hex = terms.slice(2);
+  const redeemers = [];
+  for (let i = 0; i < hex.length; i += 40) {
+    redeemers.push(getAddress('0x' + hex.slice(i, i + 40)));
+  }
+  return redeemers;
 }
 
 /**
- * Build a proper ERC-7710 compliant delegation with caveats
+ * Encode terms for AllowedCalldataEnforcer
  * 
- * SIMPLIFIED ENFORCER STACK (per Ryan's feedback):
- * 1. ERC20TransferAmountEnforcer - handles token address, transfer method, AND amount limit
- * 2. ValueLteEnforcer(0) - prevents ETH transfers (only ERC20)
- * 3. TimestampEnforcer - expiry time
+ * From the contract source (AllowedCalldataEnforcer.sol getTermsInfo):
+ *   require(_terms.length >= 33, "AllowedCalldataEnforcer:invalid-terms-size");
+ *   dataStart_ = uint256(bytes32(_terms[0:32]));
+ *   value_ = _terms[32:];
  * 
- * We DON'T need:
- * - AllowedMethodsEnforcer (ERC20TransferAmountEnforcer checks transfer selector)
- * - AllowedTargetsEnforcer (ERC20TransferAmountEnforcer checks token address)
- * - LimitedCallsEnforcer (not needed for this use case)
+ * The enforcer requires callData[dataStart:dataStart + value.length] == value.
  * 
- * @param {Object} params
- * @param {string} params.delegator - Address granting the delegation
- * @param {string} params.delegate - Address receiving the delegation
- * @param {string} [params.authority] - Parent delegation hash (ROOT_AUTHORITY for root)
- * @param {string|number} params.amount - Maximum USDC amount
- * @param {number} [params.expirySeconds] - Seconds until expiry
- * @returns {Object} Delegation object with proper caveat structure
+ * @param {number} dataStart - Byte offset into the execution calldata
+ * @param {string} value - Expected bytes at that offset
+ * @returns {string} Packed encoded terms (32 bytes + value)
  */
-export function buildDelegation({
-  delegator,
-  delegate,
-  authority = ROOT_AUTHORITY,
-  amount,
-  expirySeconds
-}) {
-  const caveats = [];
-  
-  // 1. ValueLteEnforcer(0) - MUST add first to prevent ETH transfers
-  // This ensures the delegation can only be used for ERC20 transfers, not ETH
-  caveats.push({
-    enforcer: DELEGATION_FRAMEWORK.ValueLteEnforcer,
-    terms: encodeValueLteTerms(0n),
-    args: '0x'
-  });
-  
-  // 2. ERC20TransferAmountEnforcer - limits total USDC transferred
-  // This enforcer handles:
-  //   - Token address validation (target must be USDC)
-  //   - Method validation (must be transfer(address,uint256))
-  //   - Amount tracking/limiting
-  if (amount) {
-    const amountWei = parseUnits(amount.toString(), USDC_DECIMALS);
-    caveats.push({
-      enforcer: DELEGATION_FRAMEWORK.ERC20TransferAmountEnforcer,
-      terms: encodeERC20TransferAmountTerms(USDC_ADDRESS, amountWei),
-      args: '0x'
-    });
-  }
-  
-  // 3. TimestampEnforcer - expiry time
-  // notBefore=0 (no minimum), notAfter=expiryTimestamp (must execute before this time)
-  if (expirySeconds) {
-    const expiryTimestamp = Math.floor(Date.now() / 1000) + expirySeconds;
-    caveats.push({
-      enforcer: DELEGATION_FRAMEWORK.TimestampEnforcer,
-      terms: encodeTimestampTerms({ notBefore: 0, notAfter: expiryTimestamp }),
-      args: '0x'
-    });
-  }
-  
-  return {
-    delegate,
-    delegator,
-    authority,
-    caveats,
-    salt: BigInt(Date.now()),
-    signature: '0x'
-  };
+export function encodeAllowedCalldataTerms(dataStart, value) {
+  return encodePacked(['uint256', 'bytes'], [BigInt(dataStart), value]);
 }
 
-// =============================================================================
-// EIP-712 SIGNING
-// =============================================================================
-
 /**
- * Compute the EIP-712 hash of a caveat
+ * Encode AllowedCalldataEnforcer terms pinning the recipient of transfer(address,uint256)
+ * The recipient is the first ABI word after the 4-byte selector.
  */
-export function hashCaveat(caveat) {
-  return keccak256(
-    encodeAbiParameters(
-      parseAbiParameters('bytes32, address, bytes32'),
-      [CAVEAT_TYPEHASH, caveat.enforcer, keccak256(caveat.terms)]
-    )
+export function encodeAllowedRecipientTerms(recipient) {
+  return encodeAllowedCalldataTerms(
+    4,
+    encodeAbiParameters(parseAbiParameters('address'), [recipient])
   );
 }
 
+// LogicalOrWrapperEnforcer terms: abi.encode(CaveatGroup[]) where CaveatGroup = (Caveat[] caveats)
+const CAVEAT_GROUPS_PARAMS = [{
+  type: 'tuple[]',
+  components: [
+    { name: 'caveats', type: 'tuple[]', components: [
+      { name: 'enforcer', type: 'address' },
+      { name: 'terms', type: 'bytes' },
+      { name: 'args', type: 'bytes' }
+    ]}
+  ]
+}];
+
+// LogicalOrWrapperEnforcer args: abi.encode(SelectedGroup) where SelectedGroup = (uint256 groupIndex, bytes[] caveatArgs)
+const SELECTED_GROUP_PARAMS = [{
+  type: 'tuple',
+  components: [
+    { name: 'groupIndex', type: 'uint256' },
+    { name: 'caveatArgs', type: 'bytes[]' }
+  ]
+}];
+
 /**
- * Compute the hash of a caveats array
+ * Encode terms for LogicalOrWrapperEnforcer
+ * 
+ * The wrapper passes if ANY one group of caveats passes (all caveats within
+ * the group must pass). The redeemer picks the group via the caveat's args,
+ * see encodeLogicalOrWrapperArgs().
+ * 
+ * @param {Object[][]} groups - Caveat groups ({ enforcer, terms, args? }[] each)
+ * @returns {string} ABI-encoded CaveatGroup[]
  */
-export function hashCaveatsArray(caveats) {
-  const caveatHashes = caveats.map(c => hashCaveat(c));
-  return keccak256(concat(caveatHashes));
+export function encodeLogicalOrWrapperTerms(groups) {
+  return encodeAbiParameters(CAVEAT_GROUPS_PARAMS, [
+    groups.map(group => ({
+      caveats: group.map(c => ({ enforcer: c.enforcer, terms: c.terms, args: c.args || '0x' }))
+    }))
+  ]);
 }
 
 /**
- * Compute the EIP-712 struct hash of a delegation
- * This matches EncoderLib._getDelegationHash()
+ * Decode LogicalOrWrapperEnforcer terms into caveat groups
  */
-export function getDelegationHash(delegation) {
-  return keccak256(
-    encodeAbiParameters(
-      parseAbiParameters('bytes32, address, address, bytes32, bytes32, uint256'),
-      [
-        DELEGATION_TYPEHASH,
-        delegation.delegate,
-        delegation.delegator,
-        delegation.authority,
-        hashCaveatsArray(delegation.caveats),
-        delegation.salt
-      ]
-    )
-  );
+export function decodeLogicalOrWrapperTerms(terms) {
+  const [groups] = decodeAbiParameters(CAVEAT_GROUPS_PARAMS, terms);
+  return groups.map(g => g.caveats.map(c => ({ enforcer: c.enforcer, terms: c.terms, args: c.args })));
 }
 
 /**
- * Sign a delegation using EIP-712 typed data
+ * Encode the redemption-time args for LogicalOrWrapperEnforcer
+ * Args are not part of the signed delegation, so the redeemer sets them per call.
  * 
- * @param {Object} delegation - The delegation to sign
- * @param {Object} walletClient - Viem wallet client
- * @returns {Object} Signed delegation with signature field populated
+ * @param {number} groupIndex - Index of the caveat group to evaluate
+ * @param {string[]} caveatArgs - Args for each caveat in that group
  */
-export async function signDelegation(delegation, walletClient) {
-  // Prepare caveats for EIP-712 (without args field, as per the type definition)
-  const caveatsForSigning = delegation.caveats.map(c => ({
-    enforcer: c.enforcer,
-    terms: c.terms
-  }));
-  
-  const signature = await walletClient.signTypedData({
-    domain: DELEGATION_DOMAIN,
-    types: EIP712_TYPES,
-    primaryType: 'Delegation',
+export function encodeLogicalOrWrapperArgs(groupIndex, caveatArgs) {
+  return encodeAbiParameters(SELECTED_GROUP_PARAMS, [{ groupIndex: BigInt(groupIndex), caveatArgs }]);
+}
+
+/**
+ * Build the caveat restricting USDC transfers to a fixed set of recipients
+ * 
+ * One recipient:  AllowedCalldataEnforcer pinning the transfer recipient
+ * Several:        LogicalOrWrapperEnforcer with one AllowedCalldataEnforcer group per
+ *                 recipient (multiple AllowedCalldata caveats would all have to match)
+ * 
+ * @param {string[]} recipients - Allowed transfer recipients
+ * @param {Object} [network] - Network from getNetwork()
+ * @returns {Object} Caveat
+ */
+export function buildAllowedRecipientsCaveat(recipients, network = getNetwork()) {
+  const { contracts } = network;
+  const recipientCaveats = recipients.map(r => ({
+    enforcer: contracts.AllowedCalldataEnforcer,
+    terms: encodeAllowedRecipientTerms(r),
+    args: '0x'
+  }));
+  
+  if (recipientCaveats.length === 1) {
+    return recipientCaveats[0];
+  }
+  
+  return {
+    enforcer: contracts.LogicalOrWrapperEnforcer,
+    terms: encodeLogicalOrWrapperTerms(recipientCaveats.map(c => [c])),
+    args: '0x'
+  };
+}
+
+/**
+ * Decode an AllowedCalldataEnforcer caveat that pins the transfer recipient
+ * @returns {string|null} Recipient address, or null if the terms constrain something else
+ */
+function decodeAllowedRecipientTerms(terms) {
+  // 32-byte dataStart + 32-byte ABI-encoded address
+  if (terms.length !== 2 + 128 || BigInt('0x' + terms.slice(2, 66)) !== 4n) return null;
+  const word = terms.slice(66);
+  if (!/^0{24}/.test(word)) return null;
+  return getAddress('0x' + word.slice(24));
+}
+
+/**
+ * Get the transfer recipients a delegation's caveats allow
+ * 
+ * @param {Object} delegation - Delegation to inspect
+ * @param {Object} [network] - Network from getNetwork()
+ * @returns {string[]|null} Allowed recipients, or null if recipients are unrestricted
+ */
+export function getAllowedRecipients(delegation, network = getNetwork()) {
+  const { contracts } = network;
+  let allowed = null;
+  
+  // Each matching caveat narrows the set further (all caveats must pass)
+  const narrow = (recipients) => {
+    allowed = allowed === null
+      ? recipients
+      : allowed.filter(a => recipients.some(r => r.toLowerCase() === a.toLowerCase()));
+  };
+  
+  for (const caveat of delegation.caveats) {
+    const enforcer = caveat.enforcer.toLowerCase();
+    
+    if (enforcer === contracts.AllowedCalldataEnforcer.toLowerCase()) {
+      const recipient = decodeAllowedRecipientTerms(caveat.terms);
+      if (recipient) narrow([recipient]);
+    }
+    
+    if (enforcer === contracts.LogicalOrWrapperEnforcer.toLowerCase()) {
+      const groups = decodeLogicalOrWrapperTerms(caveat.terms);
+      const recipients = groups.map(group =>
+        group.length === 1 && group[0].enforcer.toLowerCase() === contracts.AllowedCalldataEnforcer.toLowerCase()
+          ? decodeAllowedRecipientTerms(group[0].terms)
+          : null
+      );
+      // Only a wrapper made purely of recipient groups is a recipient allowlist
+      if (recipients.every(Boolean)) narrow(recipients);
+    }
+  }
+  
+  return allowed;
+}
+
+/**
+ * Fill in the redemption-time args of recipient allowlist caveats
+ * 
+ * LogicalOrWrapperEnforcer needs to be told which group to evaluate, so the
+ * group matching `to` is selected. Args are not signed, so the delegation
+ * hash and signature are unaffected.
+ * 
+ * @param {Object} delegation - Delegation to redeem
+ * @param {string} to - Transfer recipient
+ * @param {Object} [network] - Network from getNetwork()
+ * @returns {Object} Delegation with caveat args set
+ */
+export function withRecipientArgs(delegation, to, network = getNetwork()) {
+  const { contracts } = network;
+  
+  return {
+    ...delegation,
+    caveats: delegation.caveats.map(caveat => {
+      if (caveat.enforcer.toLowerCase() !== contracts.LogicalOrWrapperEnforcer.toLowerCase()) {
+        return caveat;
+      }
+      
+      const groups = decodeLogicalOrWrapperTerms(caveat.terms);
+      const groupIndex = groups.findIndex(group =>
+        group.length === 1 &&
+        group[0].enforcer.toLowerCase() === contracts.AllowedCalldataEnforcer.toLowerCase() &&
+        decodeAllowedRecipientTerms(group[0].terms)?.toLowerCase() === to.toLowerCase()
+      );
+      if (groupIndex === -1) return caveat;
+      
+      return { ...caveat, args: encodeLogicalOrWrapperArgs(groupIndex, ['0x']) };
+    })
+  };
+}
+
+// =============================================================================
+// CAVEAT REGISTRY
+// One entry per enforcer: how to encode, decode, display and check its terms.
+// decodeCaveat(), formatCaveat(), validateCaveats() - and through them
+// formatDelegation(), validateTransfer() and check-scope.mjs - all look
+// enforcers up here, so a registered enforcer is understood everywhere.
+// =============================================================================
+
+/**
+ * @typedef {Object} CaveatEnforcerEntry
+ * @property {string} name - Contract name, e.g. 'AllowedTargetsEnforcer'
+ * @property {string} [address] - Enforcer address on every network (default: network.contracts[name])
+ * @property {(terms: string, network: Object) => Object} decode - Terms to named values (throws on malformed terms)
+ * @property {(params: Object) => string} [encode] - Named values to terms, the inverse of decode
+ * @property {(decoded: Object, network: Object) => string[]} [format] - Display lines for decoded terms
+ * @property {(context: CaveatContext) => string[]} [validate] - Why the execution would be rejected (empty if it passes)
+ * @property {boolean} [singleCallOnly] - The enforcer reverts any execution mode but SINGLE_CALL_MODE
+ */
+
+/**
+ * What a validate() hook is given - validateTransfer() builds one for a USDC transfer
+ *
+ * @typedef {Object} CaveatContext
+ * @property {Object} caveat - The caveat being checked ({ enforcer, terms, args })
+ * @property {Object} terms - Its decoded terms
+ * @property {Object} delegation - Delegation the caveat belongs to
+ * @property {Object} network - Network from getNetwork()
+ * @property {number} now - Unix seconds
+ * @property {string} target - Execution target
+ * @property {bigint} value - Execution value (wei)
+ * @property {string} callData - Execution calldata
+ * @property {string} [to] - Transfer recipient
+ * @property {bigint} [amount] - Transfer amount (base units)
+ * @property {string} [redeemer] - Address calling redeemDelegations
+ * @property {number} [calls] - Redemptions the execution needs (default 1)
+ * @property {bigint} [spent] - Already spent under ERC20TransferAmountEnforcer
+ * @property {bigint} [periodTransferred] - Already transferred this ERC20PeriodTransferEnforcer period
+ * @property {bigint} [callCount] - Redemptions already made (LimitedCallsEnforcer)
+ * @property {bigint} [currentNonce] - Delegator's NonceEnforcer nonce (nonce not checked if omitted)
+ * @property {bigint} [blockNumber] - Current block (BlockNumberEnforcer not checked if omitted)
+ */
+
+// transfer(address,uint256) - the call validateTransfer() checks caveats against
+const ERC20_TRANSFER_ABI = [{
+  name: 'transfer',
+  type: 'function',
+  inputs: [
+    { name: 'to', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+  ],
+  outputs: [{ type: 'bool' }]
+}];
+
+// Packed terms are read by byte offset, like the enforcers' getTermsInfo()
+const termsHex = (terms, offset, size) =>
+  '0x' + terms.slice(2 + offset * 2, size === undefined ? undefined : 2 + (offset + size) * 2);
+const termsUint = (terms, offset, size) => BigInt(termsHex(terms, offset, size));
+const termsAddress = (terms, offset) => getAddress(termsHex(terms, offset, 20));
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+function assertTermsLength(terms, length, name) {
+  const actual = (terms.length - 2) / 2;
+  if (actual !== length) {
+    throw new Error(`${name}: terms must be ${length} bytes, got ${actual}`);
+  }
+}
+
+/**
+ * Split packed terms into fixed-size items (addresses, selectors)
+ */
+function splitTerms(terms, size, name) {
+  const length = (terms.length - 2) / 2;
+  if (length === 0 || length % size !== 0) {
+    throw new Error(`${name}: terms must be a non-empty multiple of ${size} bytes, got ${length}`);
+  }
+  return Array.from({ length: length / size }, (_, i) => termsHex(terms, i * size, size));
+}
+
+/**
+ * Token amount for display - USDC amounts formatted, other tokens in base units
+ */
+function formatTokenAmount(amount, token, network) {
+  return sameAddress(token, network.usdcAddress)
+    ? `${formatUnits(amount, USDC_DECIMALS)} USDC`
+    : `${amount} (base units of ${token})`;
+}
+
+const formatTime = (seconds) => new Date(seconds * 1000).toISOString();
+
+/**
+ * USDC streamed by an ERC20StreamingEnforcer so far (before subtracting what was spent)
+ */
+function getStreamedAmount({ initialAmount, maxAmount, amountPerSecond, startTime }, now) {
+  if (now < startTime) return 0n;
+  const streamed = initialAmount + amountPerSecond * BigInt(now - startTime);
+  return streamed > maxAmount ? maxAmount : streamed;
+}
+
+/**
+ * The framework's enforcers, registered at load time
+ * Terms layouts follow each enforcer's getTermsInfo() (Delegation Framework v1.3.0).
+ * @type {CaveatEnforcerEntry[]}
+ */
+const FRAMEWORK_ENFORCERS = [
+  {
+    name: 'ERC20TransferAmountEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 52, this.name);
+      return { token: termsAddress(terms, 0), maxAmount: termsUint(terms, 20, 32) };
+    },
+    encode: ({ token, maxAmount }) => encodeERC20TransferAmountTerms(token, BigInt(maxAmount)),
+    format: ({ token, maxAmount }, network) => [
+      `Token:  ${token}`,
+      `Amount: ${formatTokenAmount(maxAmount, token, network)} max`
+    ],
+    validate({ terms: { token, maxAmount }, target, amount = 0n, spent = 0n }) {
+      if (!sameAddress(target, token)) {
+        return [`Delegation only covers token ${token}, not ${target}`];
+      }
+      const remaining = spent >= maxAmount ? 0n : maxAmount - spent;
+      if (amount > maxAmount) {
+        return [`Transfer amount (${formatUnits(amount, USDC_DECIMALS)} USDC) exceeds delegated limit of ${formatUnits(maxAmount, USDC_DECIMALS)} USDC`];
+      }
+      if (amount > remaining) {
+        return [
+          `Transfer amount (${formatUnits(amount, USDC_DECIMALS)} USDC) exceeds remaining allowance of ${formatUnits(remaining, USDC_DECIMALS)} USDC ` +
+          `(${formatUnits(spent, USDC_DECIMALS)} of ${formatUnits(maxAmount, USDC_DECIMALS)} USDC already spent)`
+        ];
+      }
+      return [];
+    }
+  },
+  {
+    name: 'ERC20PeriodTransferEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 116, this.name);
+      return decodeERC20PeriodTransferTerms(terms);
+    },
+    encode: ({ token, periodAmount, periodDuration, startDate }) =>
+      encodeERC20PeriodTransferTerms(token, BigInt(periodAmount), periodDuration, startDate),
+    format: ({ token, periodAmount, periodDuration, startDate }, network) => [
+      `Token:  ${token}`,
+      `Amount: ${formatTokenAmount(periodAmount, token, network)} per ${formatPeriod(periodDuration)}`,
+      `Starts: ${formatTime(startDate)}`
+    ],
+    validate({ terms, target, now, amount = 0n, periodTransferred = 0n }) {
+      if (!sameAddress(target, terms.token)) {
+        return [`Periodic allowance only covers token ${terms.token}, not ${target}`];
+      }
+      const period = getCurrentPeriod(terms, now);
+      const periodLimit = formatUnits(terms.periodAmount, USDC_DECIMALS);
+      if (!period) {
+        return [`Periodic allowance not started (first period begins ${formatTime(terms.startDate)})`];
+      }
+      if (amount > terms.periodAmount) {
+        return [`Transfer amount (${formatUnits(amount, USDC_DECIMALS)} USDC) exceeds the per-period limit of ${periodLimit} USDC`];
+      }
+      const available = periodTransferred >= terms.periodAmount ? 0n : terms.periodAmount - periodTransferred;
+      if (amount > available) {
+        return [
+          `Transfer amount (${formatUnits(amount, USDC_DECIMALS)} USDC) exceeds this period's remaining ${formatUnits(available, USDC_DECIMALS)} USDC ` +
+          `(${periodLimit} USDC per period, resets ${formatTime(period.periodEnd)})`
+        ];
+      }
+      return [];
+    }
+  },
+  {
+    name: 'TimestampEnforcer',
+    decode(terms) {
+      assertTermsLength(terms, 32, this.name);
+      return decodeTimestampTerms(terms);
+    },
+    encode: encodeTimestampTerms,
+    format: ({ notBefore, notAfter }) => [
+      ...(notBefore > 0 ? [`Valid after: ${formatTime(notBefore)}`] : []),
+      ...(notAfter > 0 ? [`Expires: ${formatTime(notAfter)}`] : []),
+      ...(notBefore === 0 && notAfter === 0 ? ['No time limits'] : [])
+    ],
+    validate({ terms: { notBefore, notAfter }, now }) {
+      const errors = [];
+      if (notBefore > 0 && now <= notBefore) {
+        errors.push(`Delegation not yet active (valid after ${formatTime(notBefore)})`);
+      }
+      if (notAfter > 0 && now >= notAfter) {
+        errors.push('Delegation has expired');
+      }
+      return errors;
+    }
+  },
+  {
+    name: 'ValueLteEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 32, this.name);
+      return { maxValue: BigInt(terms) };
+    },
+    encode: ({ maxValue }) => encodeValueLteTerms(BigInt(maxValue)),
+    format: ({ maxValue }) => [
+      maxValue === 0n ? 'Max ETH: 0 (ERC20 only, no ETH transfers)' : `Max ETH: ${formatUnits(maxValue, 18)} ETH`
+    ],
+    validate: ({ terms: { maxValue }, value }) => value > maxValue
+      ? [`Execution value ${formatUnits(value, 18)} ETH exceeds the ${formatUnits(maxValue, 18)} ETH limit`]
+      : []
+  },
+  {
+    name: 'RedeemerEnforcer',
+    decode(terms) {
+      return { redeemers: splitTerms(terms, 20, this.name).map(getAddress) };
+    },
+    encode: ({ redeemers }) => encodeRedeemerTerms(redeemers),
+    format: ({ redeemers }) => [`Redeemers: ${redeemers.join(', ')}`],
+    validate: ({ terms: { redeemers }, redeemer }) => redeemer && !redeemers.some(r => sameAddress(r, redeemer))
+      ? [`Redeemer ${redeemer} is not allowed (allowed: ${redeemers.join(', ')})`]
+      : []
+  },
+  {
+    name: 'LimitedCallsEnforcer',
+    decode(terms) {
+      assertTermsLength(terms, 32, this.name);
+      return { maxCalls: BigInt(terms) };
+    },
+    encode: ({ maxCalls }) => encodeLimitedCallsTerms(maxCalls),
+    format: ({ maxCalls }) => [`Max calls: ${maxCalls}`],
+    validate({ terms: { maxCalls }, callCount = 0n, calls = 1 }) {
+      const left = callCount >= maxCalls ? 0n : maxCalls - callCount;
+      return BigInt(calls) > left
+        ? [`Delegation allows ${left} more redemption(s) of ${maxCalls}, this needs ${calls}`]
+        : [];
+    }
+  },
+  {
+    name: 'NonceEnforcer',
+    decode(terms) {
+      assertTermsLength(terms, 32, this.name);
+      return { nonce: BigInt(terms) };
+    },
+    encode: ({ nonce }) => encodeNonceTerms(nonce),
+    format: ({ nonce }) => [`Nonce: ${nonce} (revocable with bulk-revoke)`],
+    validate: ({ terms: { nonce }, currentNonce }) => currentNonce !== undefined && nonce !== currentNonce
+      ? [`Delegation was revoked in bulk (nonce ${nonce}, delegator is now at ${currentNonce})`]
+      : []
+  },
+  {
+    name: 'AllowedCalldataEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      if (terms.length < 2 + 66) {
+        throw new Error(`${this.name}: terms must be at least 33 bytes`);
+      }
+      const recipient = decodeAllowedRecipientTerms(terms);
+      return {
+        dataStart: Number(termsUint(terms, 0, 32)),
+        value: termsHex(terms, 32),
+        ...(recipient && { recipient })
+      };
+    },
+    encode: ({ dataStart, value, recipient }) => recipient
+      ? encodeAllowedRecipientTerms(recipient)
+      : encodeAllowedCalldataTerms(dataStart, value),
+    format: ({ dataStart, value, recipient }) => [
+      recipient ? `Recipients: ${recipient}` : `Calldata from byte ${dataStart}: ${value}`
+    ],
+    validate({ terms: { dataStart, value, recipient }, callData, to }) {
+      const start = 2 + dataStart * 2;
+      if (callData.slice(start, start + value.length - 2).toLowerCase() === value.slice(2).toLowerCase()) {
+        return [];
+      }
+      return [recipient
+        ? `Recipient ${to} is not an allowed payee (allowed: ${recipient})`
+        : `Calldata from byte ${dataStart} does not match the allowed value`];
+    }
+  },
+  {
+    name: 'LogicalOrWrapperEnforcer',
+    decode(terms, network) {
+      const groups = decodeLogicalOrWrapperTerms(terms).map(group =>
+        group.map(c => ({ ...decodeCaveat(c, network), args: c.args }))
+      );
+      // Only a wrapper made purely of recipient groups is a recipient allowlist
+      const recipients = groups.map(g => g.length === 1 && g[0].name === 'AllowedCalldataEnforcer' && g[0].recipient);
+      return { groups, ...(recipients.every(Boolean) && { recipients }) };
+    },
+    encode: ({ groups }) => encodeLogicalOrWrapperTerms(groups),
+    format: ({ groups, recipients }) => recipients
+      ? [`Recipients: ${recipients.join(', ')}`]
+      : [
+        `Any one of ${groups.length} caveat groups must pass:`,
+        ...groups.map((g, i) => `  ${i + 1}. ${g.map(c => c.name).join(' + ')}`)
+      ],
+    validate(context) {
+      const { terms: { groups, recipients }, to } = context;
+      const results = groups.map(group => validateCaveats(group, context));
+      if (results.some(errors => errors.length === 0)) return [];
+      if (recipients) {
+        return [`Recipient ${to} is not an allowed payee (allowed: ${recipients.join(', ')})`];
+      }
+      return [`No caveat group passes (${results.map((errors, i) => `${i + 1}: ${errors[0]}`).join('; ')})`];
+    }
+  },
+  {
+    name: 'AllowedTargetsEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      return { targets: splitTerms(terms, 20, this.name).map(getAddress) };
+    },
+    encode: ({ targets }) => encodePacked(targets.map(() => 'address'), targets),
+    format: ({ targets }) => [`Targets: ${targets.join(', ')}`],
+    validate: ({ terms: { targets }, target }) => targets.some(t => sameAddress(t, target))
+      ? []
+      : [`Target ${target} is not allowed (allowed: ${targets.join(', ')})`]
+  },
+  {
+    name: 'AllowedMethodsEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      return { selectors: splitTerms(terms, 4, this.name) };
+    },
+    // Selectors (0xa9059cbb) or signatures (transfer(address,uint256))
+    encode: ({ selectors }) => concat(selectors.map(s => /^0x[0-9a-fA-F]{8}$/.test(s) ? s : toFunctionSelector(s))),
+    format: ({ selectors }) => [`Methods: ${selectors.join(', ')}`],
+    validate({ terms: { selectors }, callData }) {
+      const selector = callData.slice(0, 10).toLowerCase();
+      return selectors.some(s => s.toLowerCase() === selector)
+        ? []
+        : [`Method ${selector} is not allowed (allowed: ${selectors.join(', ')})`];
+    }
+  },
+  {
+    name: 'ExactCalldataEnforcer',
+    singleCallOnly: true,
+    decode: (terms) => ({ callData: terms }),
+    encode: ({ callData }) => callData,
+    format: ({ callData }) => [`Exact calldata: ${callData.length > 74 ? `${callData.slice(0, 74)}...` : callData}`],
+    validate: ({ terms, callData }) => terms.callData.toLowerCase() === callData.toLowerCase()
+      ? []
+      : ['Calldata differs from the exact calldata the delegation allows']
+  },
+  {
+    name: 'ArgsEqualityCheckEnforcer',
+    decode: (terms) => ({ expectedArgs: terms }),
+    encode: ({ expectedArgs }) => expectedArgs,
+    format: ({ expectedArgs }) => [`Args must equal: ${expectedArgs}`],
+    validate: ({ terms: { expectedArgs }, caveat }) => (caveat.args || '0x').toLowerCase() === expectedArgs.toLowerCase()
+      ? []
+      : [`Caveat args must equal ${expectedArgs}`]
+  },
+  {
+    name: 'BlockNumberEnforcer',
+    decode(terms) {
+      assertTermsLength(terms, 32, this.name);
+      return { afterBlock: termsUint(terms, 0, 16), beforeBlock: termsUint(terms, 16, 16) };
+    },
+    encode: ({ afterBlock = 0n, beforeBlock = 0n }) =>
+      encodePacked(['uint128', 'uint128'], [BigInt(afterBlock), BigInt(beforeBlock)]),
+    format: ({ afterBlock, beforeBlock }) => [
+      ...(afterBlock > 0n ? [`Valid after block: ${afterBlock}`] : []),
+      ...(beforeBlock > 0n ? [`Valid before block: ${beforeBlock}`] : [])
+    ],
+    validate({ terms: { afterBlock, beforeBlock }, blockNumber }) {
+      if (blockNumber === undefined) return [];
+      const errors = [];
+      if (afterBlock > 0n && blockNumber <= afterBlock) {
+        errors.push(`Delegation not yet active (valid after block ${afterBlock})`);
+      }
+      if (beforeBlock > 0n && blockNumber >= beforeBlock) {
+        errors.push(`Delegation expired at block ${beforeBlock}`);
+      }
+      return errors;
+    }
+  },
+  {
+    name: 'IdEnforcer',
+    decode(terms) {
+      assertTermsLength(terms, 32, this.name);
+      return { id: BigInt(terms) };
+    },
+    encode: ({ id }) => padHex(numberToHex(BigInt(id)), { size: 32 }),
+    format: ({ id }) => [`Id: ${id} (only one delegation per id can be redeemed)`]
+  },
+  {
+    name: 'DeployedEnforcer',
+    decode(terms) {
+      if (terms.length < 2 + 104) {
+        throw new Error(`${this.name}: terms must be at least 52 bytes`);
+      }
+      return { contract: termsAddress(terms, 0), salt: termsHex(terms, 20, 32), bytecode: termsHex(terms, 52) };
+    },
+    encode: ({ contract, salt, bytecode }) => encodePacked(['address', 'bytes32', 'bytes'], [contract, salt, bytecode]),
+    format: ({ contract, salt }) => [`Deploys: ${contract} (salt ${salt})`]
+  },
+  {
+    name: 'OwnershipTransferEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 20, this.name);
+      return { contract: termsAddress(terms, 0) };
+    },
+    encode: ({ contract }) => getAddress(contract),
+    format: ({ contract }) => [`Ownership transfer of: ${contract}`],
+    validate: ({ terms: { contract }, target, callData }) =>
+      sameAddress(target, contract) && callData.slice(0, 10).toLowerCase() === toFunctionSelector('transferOwnership(address)')
+        ? []
+        : [`Delegation only allows transferOwnership on ${contract}`]
+  },
+  {
+    name: 'NativeTokenTransferAmountEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 32, this.name);
+      return { maxAmount: BigInt(terms) };
+    },
+    encode: ({ maxAmount }) => padHex(numberToHex(BigInt(maxAmount)), { size: 32 }),
+    format: ({ maxAmount }) => [`Max ETH: ${formatUnits(maxAmount, 18)} ETH in total`],
+    validate: ({ terms: { maxAmount }, value }) => value > maxAmount
+      ? [`Execution value ${formatUnits(value, 18)} ETH exceeds the ${formatUnits(maxAmount, 18)} ETH allowance`]
+      : []
+  },
+  {
+    name: 'NativeTokenPeriodTransferEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 96, this.name);
+      return {
+        periodAmount: termsUint(terms, 0, 32),
+        periodDuration: Number(termsUint(terms, 32, 32)),
+        startDate: Number(termsUint(terms, 64, 32))
+      };
+    },
+    encode: ({ periodAmount, periodDuration, startDate }) =>
+      encodePacked(['uint256', 'uint256', 'uint256'], [BigInt(periodAmount), BigInt(periodDuration), BigInt(startDate)]),
+    format: ({ periodAmount, periodDuration, startDate }) => [
+      `Amount: ${formatUnits(periodAmount, 18)} ETH per ${formatPeriod(periodDuration)}`,
+      `Starts: ${formatTime(startDate)}`
+    ],
+    validate: ({ terms: { periodAmount }, value }) => value > periodAmount
+      ? [`Execution value ${formatUnits(value, 18)} ETH exceeds the per-period limit of ${formatUnits(periodAmount, 18)} ETH`]
+      : []
+  },
+  {
+    name: 'NativeTokenStreamingEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 128, this.name);
+      return {
+        initialAmount: termsUint(terms, 0, 32),
+        maxAmount: termsUint(terms, 32, 32),
+        amountPerSecond: termsUint(terms, 64, 32),
+        startTime: Number(termsUint(terms, 96, 32))
+      };
+    },
+    encode: ({ initialAmount, maxAmount, amountPerSecond, startTime }) => encodePacked(
+      ['uint256', 'uint256', 'uint256', 'uint256'],
+      [BigInt(initialAmount), BigInt(maxAmount), BigInt(amountPerSecond), BigInt(startTime)]
+    ),
+    format: ({ initialAmount, maxAmount, amountPerSecond, startTime }) => [
+      `Stream: ${formatUnits(initialAmount, 18)} ETH, then ${formatUnits(amountPerSecond, 18)} ETH/s from ${formatTime(startTime)}`,
+      `Max:    ${formatUnits(maxAmount, 18)} ETH`
+    ],
+    validate({ terms, value, now }) {
+      const streamed = getStreamedAmount(terms, now);
+      return value > streamed
+        ? [`Execution value ${formatUnits(value, 18)} ETH exceeds the ${formatUnits(streamed, 18)} ETH streamed so far`]
+        : [];
+    }
+  },
+  {
+    name: 'NativeTokenPaymentEnforcer',
+    decode(terms) {
+      assertTermsLength(terms, 52, this.name);
+      return { recipient: termsAddress(terms, 0), amount: termsUint(terms, 20, 32) };
+    },
+    encode: ({ recipient, amount }) => encodePacked(['address', 'uint256'], [recipient, BigInt(amount)]),
+    format: ({ recipient, amount }) => [`Payment: ${formatUnits(amount, 18)} ETH to ${recipient} per redemption`],
+    validate: ({ caveat }) => !caveat.args || caveat.args === '0x'
+      ? ['NativeTokenPaymentEnforcer needs a payment delegation in the caveat args']
+      : []
+  },
+  {
+    name: 'NativeBalanceChangeEnforcer',
+    decode(terms) {
+      assertTermsLength(terms, 53, this.name);
+      return {
+        change: Number(termsUint(terms, 0, 1)) === 0 ? 'increase' : 'decrease',
+        recipient: termsAddress(terms, 1),
+        balance: termsUint(terms, 21, 32)
+      };
+    },
+    encode: ({ change, recipient, balance }) => encodePacked(
+      ['uint8', 'address', 'uint256'],
+      [change === 'decrease' ? 1 : 0, recipient, BigInt(balance)]
+    ),
+    format: ({ change, recipient, balance }) => [
+      `ETH balance of ${recipient} must ${change === 'increase' ? 'increase by at least' : 'decrease by at most'} ${formatUnits(balance, 18)} ETH`
+    ]
+  },
+  {
+    name: 'ERC20BalanceChangeEnforcer',
+    decode(terms) {
+      assertTermsLength(terms, 73, this.name);
+      return {
+        change: Number(termsUint(terms, 0, 1)) === 0 ? 'increase' : 'decrease',
+        token: termsAddress(terms, 1),
+        recipient: termsAddress(terms, 21),
+        balance: termsUint(terms, 41, 32)
+      };
+    },
+    encode: ({ change, token, recipient, balance }) => encodePacked(
+      ['uint8', 'address', 'address', 'uint256'],
+      [change === 'decrease' ? 1 : 0, token, recipient, BigInt(balance)]
+    ),
+    format: ({ change, token, recipient, balance }, network) => [
+      `Balance of ${recipient} must ${change === 'increase' ? 'increase by at least' : 'decrease by at most'} ` +
+      formatTokenAmount(balance, token, network)
+    ]
+  },
+  {
+    name: 'ERC20StreamingEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 148, this.name);
+      return {
+        token: termsAddress(terms, 0),
+        initialAmount: termsUint(terms, 20, 32),
+        maxAmount: termsUint(terms, 52, 32),
+        amountPerSecond: termsUint(terms, 84, 32),
+        startTime: Number(termsUint(terms, 116, 32))
+      };
+    },
+    encode: ({ token, initialAmount, maxAmount, amountPerSecond, startTime }) => encodePacked(
+      ['address', 'uint256', 'uint256', 'uint256', 'uint256'],
+      [token, BigInt(initialAmount), BigInt(maxAmount), BigInt(amountPerSecond), BigInt(startTime)]
+    ),
+    format: ({ token, initialAmount, maxAmount, amountPerSecond, startTime }, network) => [
+      `Token:  ${token}`,
+      `Stream: ${formatTokenAmount(initialAmount, token, network)}, then ${formatTokenAmount(amountPerSecond, token, network)}/s from ${formatTime(startTime)}`,
+      `Max:    ${formatTokenAmount(maxAmount, token, network)}`
+    ],
+    validate({ terms, target, now, amount = 0n }) {
+      if (!sameAddress(target, terms.token)) {
+        return [`Stream only covers token ${terms.token}, not ${target}`];
+      }
+      // Upper bound - the enforcer also subtracts what was already spent
+      const streamed = getStreamedAmount(terms, now);
+      return amount > streamed
+        ? [`Transfer amount exceeds the ${formatUnits(streamed, USDC_DECIMALS)} USDC streamed so far`]
+        : [];
+    }
+  },
+  {
+    name: 'ERC721TransferEnforcer',
+    singleCallOnly: true,
+    decode(terms) {
+      assertTermsLength(terms, 52, this.name);
+      return { token: termsAddress(terms, 0), tokenId: termsUint(terms, 20, 32) };
+    },
+    encode: ({ token, tokenId }) => encodePacked(['address', 'uint256'], [token, BigInt(tokenId)]),
+    format: ({ token, tokenId }) => [`NFT: #${tokenId} of ${token}`],
+    validate: ({ terms: { token, tokenId }, target }) => sameAddress(target, token)
+      ? []
+      : [`Delegation only allows transferring token #${tokenId} of ${token}`]
+  }
+];
+
+const CAVEAT_ENFORCERS = new Map();
+
+/**
+ * Register (or replace) a caveat enforcer
+ * 
+ * Enforcers outside the framework pass their deployed `address`; framework
+ * enforcers are found through network.contracts by name. Registering an
+ * existing name replaces the entry, later registrations win address lookups.
+ * 
+ * @example
+ *   registerCaveatEnforcer({
+ *     name: 'MyAllowlistEnforcer',
+ *     address: '0x...',
+ *     decode: (terms) => ({ allowed: getAddress('0x' + terms.slice(26)) }),
+ *     format: ({ allowed }) => [`Allowed: ${allowed}`],
+ *     validate: ({ terms, to }) => to === terms.allowed ? [] : [`${to} is not allowed`]
+ *   });
+ * 
+ * @param {CaveatEnforcerEntry} entry
+ * @returns {CaveatEnforcerEntry} The registered entry
+ */
+export function registerCaveatEnforcer(entry) {
+  if (!entry?.name || typeof entry.decode !== 'function') {
+    throw new Error('A caveat enforcer needs a name and a decode(terms) function');
+  }
+  if (entry.address !== undefined && !isAddress(entry.address)) {
+    throw new Error(`Invalid address for ${entry.name}: ${entry.address}`);
+  }
+  CAVEAT_ENFORCERS.delete(entry.name);
+  CAVEAT_ENFORCERS.set(entry.name, entry);
+  return entry;
+}
+
+FRAMEWORK_ENFORCERS.forEach(registerCaveatEnforcer);
+
+/**
+ * Find the registry entry for an enforcer address
+ * @returns {CaveatEnforcerEntry|null}
+ */
+export function getCaveatEnforcer(enforcer, network = getNetwork()) {
+  for (const entry of [...CAVEAT_ENFORCERS.values()].reverse()) {
+    const address = entry.address || network.contracts[entry.name];
+    if (address && sameAddress(address, enforcer)) return entry;
+  }
+  return null;
+}
+
+/**
+ * Registered enforcers with their address on a network (null if not deployed there)
+ */
+export function listCaveatEnforcers(network = getNetwork()) {
+  return [...CAVEAT_ENFORCERS.values()].map(({ name, address }) => ({
+    name,
+    address: address || network.contracts[name] || null
+  }));
+}
+
+/**
+ * Look up the name of an enforcer address ('Unknown' if not registered)
+ */
+export function getEnforcerName(enforcer, network = getNetwork()) {
+  return getCaveatEnforcer(enforcer, network)?.name
+    || Object.entries(network.contracts).find(([_, addr]) => sameAddress(addr, enforcer))?.[0]
+    || 'Unknown';
+}
+
+/**
+ * Decode a caveat's terms into plain values for machine-readable output
+ * Amounts stay in base units (bigint), times in unix seconds. Unregistered
+ * enforcers (or terms that fail to decode) come back with just name, enforcer
+ * and terms.
+ */
+export function decodeCaveat(caveat, network = getNetwork()) {
+  const entry = getCaveatEnforcer(caveat.enforcer, network);
+  const decoded = { name: getEnforcerName(caveat.enforcer, network), enforcer: caveat.enforcer, terms: caveat.terms };
+  if (!entry) return decoded;
+
+  try {
+    return { ...decoded, ...entry.decode(caveat.terms, network) };
+  } catch (e) {
+    return { ...decoded, decodeError: e.message };
+  }
+}
+
+/**
+ * Display lines for a caveat's terms (without its name)
+ */
+export function formatCaveat(caveat, network = getNetwork()) {
+  const entry = getCaveatEnforcer(caveat.enforcer, network);
+  if (!entry) {
+    return [`Terms: ${caveat.terms.length > 74 ? `${caveat.terms.slice(0, 74)}...` : caveat.terms} (enforcer not registered)`];
+  }
+
+  try {
+    const decoded = entry.decode(caveat.terms, network);
+    return entry.format
+      ? entry.format(decoded, network)
+      : Object.entries(decoded).map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+  } catch (e) {
+    return [`Terms: ${caveat.terms.slice(0, 20)}... (${e.message})`];
+  }
+}
+
+/**
+ * Run the validate() hook of every caveat against an execution
+ * Caveats without a hook (or an entry) are not checked client-side.
+ * 
+ * @param {Object[]} caveats - Caveats to check ({ enforcer, terms, args })
+ * @param {Omit<CaveatContext, 'caveat' | 'terms'>} context - The execution and on-chain state
+ * @returns {string[]} Reasons the execution would be rejected
+ */
+export function validateCaveats(caveats, context) {
+  return caveats.flatMap(caveat => {
+    const entry = getCaveatEnforcer(caveat.enforcer, context.network);
+    if (!entry?.validate) return [];
+
+    let terms;
+    try {
+      terms = entry.decode(caveat.terms, context.network);
+    } catch (e) {
+      return [`${entry.name}: invalid terms (${e.message})`];
+    }
+    return entry.validate({ ...context, caveat, terms });
+  });
+}
+
+/**
+ * Names of the enforcers of a delegation that only accept single-call executions
+ * A BATCH_CALL_MODE redemption reverts if any hop has one. Caveats wrapped in a
+ * LogicalOrWrapperEnforcer count too - the wrapper runs them with the same mode.
+ *
+ * @param {Object} delegation
+ * @param {Object} [network] - Network from getNetwork()
+ * @returns {string[]}
+ */
+export function getSingleCallOnlyEnforcers(delegation, network = getNetwork()) {
+  const names = new Set();
+  const visit = (caveat) => {
+    const entry = getCaveatEnforcer(caveat.enforcer, network);
+    if (entry?.singleCallOnly) names.add(entry.name);
+    if (entry?.name === 'LogicalOrWrapperEnforcer') {
+      try {
+        decodeLogicalOrWrapperTerms(caveat.terms).flat().forEach(visit);
+      } catch (e) {
+        // Malformed terms - validateCaveats() reports them
+      }
+    }
+  };
+  delegation.caveats.forEach(visit);
+  return [...names];
+}
+
+// =============================================================================
+// DELEGATION BUILDING
+// =============================================================================
+
+/**
+ * Parse duration string to seconds
+ */
+export function parseDuration(duration) {
+  const match = duration.match(/^(\d+)(s|m|h|d)$/);
+  if (!match) throw new Error('Invalid duration format. Use: 30s, 5m, 24h, 7d');
+  
+  const value = parseInt(match[1]);
+  const unit = match[2];
+  
+  const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
+  return value * multipliers[unit];
+}
+
+/**
+ * Parse a point in time to a unix timestamp (seconds)
+ * Accepts a duration from now (30m, 2h, 7d), unix seconds, or an ISO 8601 date.
+ */
+export function parseTimestamp(value) {
+  const str = String(value).trim();
+  if (/^\d+(s|m|h|d)$/.test(str)) {
+    return Math.floor(Date.now() / 1000) + parseDuration(str);
+  }
+  if (/^\d+$/.test(str)) {
+    return parseInt(str);
+  }
+  const ms = Date.parse(str);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid time "${str}". Use a duration (2h), unix seconds, or an ISO date`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Parse a comma-separated address list (e.g. from a CLI flag)
+ */
+export function parseAddressList(value) {
+  const addresses = String(value).split(',').map(a => a.trim()).filter(Boolean);
+  for (const address of addresses) {
+    if (!isAddress(address)) throw new Error(`Invalid address: ${address}`);
+  }
+  if (addresses.length === 0) throw new Error('Address list is empty');
+  return addresses;
+}
+
+/**
+ * Parse a decimal USDC amount into base units, exactly
+ * 
+ * Amounts stay decimal strings from the command line to here: parseUnits()
+ * rounds digits beyond the token's decimals, and JS numbers carry binary
+ * fractions (0.1 + 0.2 = 0.30000000000000004) and switch to exponent notation
+ * (1e21), so anything that is not an exact amount is rejected instead.
+ * Numbers are accepted only if their decimal form is such an amount.
+ * 
+ * @param {string|number|bigint} value - "12.5", "1000", 12.5; a bigint is already base units
+ * @param {string} [label='amount'] - Name used in error messages (e.g. the CLI flag)
+ * @returns {bigint} Base units (6 decimals), greater than zero
+ * @throws {Error} Saying what is wrong with the amount
+ */
+export function parseUSDCAmount(value, label = 'amount') {
+  if (typeof value === 'bigint') {
+    if (value <= 0n) throw new Error(`Invalid ${label}: ${value} base units - must be greater than 0`);
+    return value;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error(`Invalid ${label}: expected a decimal USDC amount like "12.5", got ${value === null ? 'null' : typeof value}`);
+  }
+  
+  const str = String(value).trim();
+  if (/^[+-]?(\d+\.?\d*|\.\d+)e[+-]?\d+$/i.test(str)) {
+    throw new Error(`Invalid ${label} "${str}": exponent notation is not accepted - write the amount out in full`);
+  }
+  if (str.startsWith('-')) {
+    throw new Error(`Invalid ${label} "${str}": must be greater than 0`);
+  }
+  const match = str.match(/^(\d+)(?:\.(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid ${label} "${str}": expected a decimal USDC amount like "12.5"`);
+  }
+  const decimals = match[2]?.length ?? 0;
+  if (decimals > USDC_DECIMALS) {
+    throw new Error(
+      `Invalid ${label} "${str}": USDC has ${USDC_DECIMALS} decimal places, got ${decimals}` +
+      (typeof value === 'number' ? ' (pass amounts as strings to avoid floating-point error)' : '')
+    );
+  }
+  
+  const amount = parseUnits(str, USDC_DECIMALS);
+  if (amount === 0n) {
+    throw new Error(`Invalid ${label} "${str}": must be greater than 0`);
+  }
+  return amount;
+}
+
+/**
+ * Base-unit arguments of the library functions must be bigint - a string or
+ * number here is a caller that skipped parseUSDCAmount()
+ */
+function assertBaseUnits(value, name) {
+  if (typeof value !== 'bigint') {
+    throw new TypeError(`${name} must be a bigint in USDC base units (see parseUSDCAmount), got ${typeof value}`);
+  }
+}
+
+/**
+ * Build a proper ERC-7710 compliant delegation with caveats
+ * 
+ * SIMPLIFIED ENFORCER STACK (per Ryan's feedback):
+ * 1. ERC20TransferAmountEnforcer - handles token address, transfer method, AND amount limit
+ * 2. ValueLteEnforcer(0) - prevents ETH transfers (only ERC20)
+ * 3. TimestampEnforcer - expiry time
+ * 
+ * We DON'T need:
+ * - AllowedMethodsEnforcer (ERC20TransferAmountEnforcer checks transfer selector)
+ * - AllowedTargetsEnforcer (ERC20TransferAmountEnforcer checks token address)
+ * - LimitedCallsEnforcer (not needed for this use case)
+ * 
+ * OPTIONAL CAVEATS (treasury policy):
+ * - ERC20PeriodTransferEnforcer - N USDC per period (long-lived agent budgets)
+ * - TimestampEnforcer afterThreshold - delayed activation (notBefore)
+ * - RedeemerEnforcer - only listed addresses may redeem
+ * - LimitedCallsEnforcer - redeemable at most N times
+ * - NonceEnforcer - revocable in bulk by bumping the delegator's nonce
+ * - AllowedCalldataEnforcer / LogicalOrWrapperEnforcer - fixed set of payees
+ * 
+ * @param {Object} params
+ * @param {string} params.delegator - Address granting the delegation
+ * @param {string} params.delegate - Address receiving the delegation
+ * @param {string} [params.authority] - Parent delegation hash (ROOT_AUTHORITY for root)
+ * @param {bigint} [params.amount] - Maximum USDC amount (base units, see parseUSDCAmount)
+ * @param {number} [params.expirySeconds] - Seconds until expiry
+ * @param {bigint} [params.periodAmount] - Maximum USDC amount per period (base units)
+ * @param {number} [params.periodSeconds] - Period length in seconds (required with periodAmount)
+ * @param {number} [params.periodStart] - Unix timestamp the first period starts (defaults to notBefore, else now)
+ * @param {number} [params.notBefore] - Unix timestamp before which the delegation cannot be used
+ * @param {string[]} [params.redeemers] - Addresses allowed to redeem (RedeemerEnforcer)
+ * @param {string[]} [params.allowedRecipients] - Addresses USDC may be transferred to
+ * @param {number} [params.maxCalls] - Maximum number of redemptions (LimitedCallsEnforcer)
+ * @param {bigint} [params.nonce] - Delegator's current NonceEnforcer nonce (see getDelegatorNonce)
+ * @param {Object} [params.network] - Network from getNetwork()
+ * @returns {Object} Delegation object with proper caveat structure
+ */
+export function buildDelegation({
+  delegator,
+  delegate,
+  authority = ROOT_AUTHORITY,
+  amount,
+  expirySeconds,
+  periodAmount,
+  periodSeconds,
+  periodStart,
+  notBefore,
+  redeemers,
+  allowedRecipients,
+  maxCalls,
+  nonce,
+  network = getNetwork()
+}) {
+  const { contracts } = network;
+  const caveats = [];
+  const now = Math.floor(Date.now() / 1000);
+  const expiryTimestamp = expirySeconds ? now + expirySeconds : 0;
+  
+  if (notBefore && expiryTimestamp && notBefore >= expiryTimestamp) {
+    throw new Error(
+      `Start time ${new Date(notBefore * 1000).toISOString()} is not before expiry ` +
+      `${new Date(expiryTimestamp * 1000).toISOString()}`
+    );
+  }
+  
+  // 1. ValueLteEnforcer(0) - MUST add first to prevent ETH transfers
+  // This ensures the delegation can only be used for ERC20 transfers, not ETH
+  caveats.push({
+    enforcer: contracts.ValueLteEnforcer,
+    terms: encodeValueLteTerms(0n),
+    args: '0x'
+  });
+  
+  // 2. ERC20TransferAmountEnforcer - limits total USDC transferred
+  // This enforcer handles:
+  //   - Token address validation (target must be USDC)
+  //   - Method validation (must be transfer(address,uint256))
+  //   - Amount tracking/limiting
+  if (amount !== undefined) {
+    assertBaseUnits(amount, 'amount');
+    caveats.push({
+      enforcer: contracts.ERC20TransferAmountEnforcer,
+      terms: encodeERC20TransferAmountTerms(network.usdcAddress, amount),
+      args: '0x'
+    });
+  }
+  
+  // 2b. ERC20PeriodTransferEnforcer - per-period USDC budget
+  // Also validates token address and transfer method, so it can stand alone
+  // or be combined with the lifetime cap above.
+  if (periodAmount !== undefined) {
+    assertBaseUnits(periodAmount, 'periodAmount');
+    if (!periodSeconds) {
+      throw new Error('A period length is required with a per-period amount');
+    }
+    caveats.push({
+      enforcer: contracts.ERC20PeriodTransferEnforcer,
+      terms: encodeERC20PeriodTransferTerms(
+        network.usdcAddress,
+        periodAmount,
+        periodSeconds,
+        periodStart || notBefore || now
+      ),
+      args: '0x'
+    });
+  }
+  
+  // 3. TimestampEnforcer - time window
+  // notBefore (0 = no minimum), notAfter=expiryTimestamp (must execute before this time)
+  if (expiryTimestamp || notBefore) {
+    caveats.push({
+      enforcer: contracts.TimestampEnforcer,
+      terms: encodeTimestampTerms({ notBefore: notBefore || 0, notAfter: expiryTimestamp }),
+      args: '0x'
+    });
+  }
+  
+  // 4. RedeemerEnforcer - only these addresses may call redeemDelegations
+  if (redeemers?.length) {
+    caveats.push({
+      enforcer: contracts.RedeemerEnforcer,
+      terms: encodeRedeemerTerms(redeemers),
+      args: '0x'
+    });
+  }
+  
+  // 5. Recipient allowlist - transfer(address,uint256) may only pay these addresses
+  if (allowedRecipients?.length) {
+    caveats.push(buildAllowedRecipientsCaveat(allowedRecipients, network));
+  }
+  
+  // 6. LimitedCallsEnforcer - at most N redemptions
+  if (maxCalls) {
+    caveats.push({
+      enforcer: contracts.LimitedCallsEnforcer,
+      terms: encodeLimitedCallsTerms(maxCalls),
+      args: '0x'
+    });
+  }
+  
+  // 7. NonceEnforcer - bulk-revoke kill switch
+  if (nonce !== undefined) {
+    caveats.push({
+      enforcer: contracts.NonceEnforcer,
+      terms: encodeNonceTerms(nonce),
+      args: '0x'
+    });
+  }
+  
+  return {
+    delegate,
+    delegator,
+    authority,
+    caveats,
+    salt: BigInt(Date.now()),
+    signature: '0x'
+  };
+}
+
+// =============================================================================
+// EIP-712 SIGNING
+// =============================================================================
+
+/**
+ * Compute the EIP-712 hash of a caveat
+ */
+export function hashCaveat(caveat) {
+  return keccak256(
+    encodeAbiParameters(
+      parseAbiParameters('bytes32, address, bytes32'),
+      [CAVEAT_TYPEHASH, caveat.enforcer, keccak256(caveat.terms)]
+    )
+  );
+}
+
+/**
+ * Compute the hash of a caveats array
+ */
+export function hashCaveatsArray(caveats) {
+  const caveatHashes = caveats.map(c => hashCaveat(c));
+  return keccak256(concat(caveatHashes));
+}
+
+/**
+ * Compute the EIP-712 struct hash of a delegation
+ * This matches EncoderLib._getDelegationHash()
+ */
+export function getDelegationHash(delegation) {
+  return keccak256(
+    encodeAbiParameters(
+      parseAbiParameters('bytes32, address, address, bytes32, bytes32, uint256'),
+      [
+        DELEGATION_TYPEHASH,
+        delegation.delegate,
+        delegation.delegator,
+        delegation.authority,
+        hashCaveatsArray(delegation.caveats),
+        delegation.salt
+      ]
+    )
+  );
+}
+
+/**
+ * Build the EIP-712 typed data for a delegation
+ * Caveats are hashed without the args field, as per the type definition.
+ * 
+ * @param {Object} delegation - The delegation
+ * @param {Object} [network] - Network whose chainId goes into the EIP-712 domain
+ * @returns {Object} Typed data for signTypedData / hashTypedData / recoverTypedDataAddress
+ */
+export function getDelegationTypedData(delegation, network = getNetwork()) {
+  return {
+    domain: getDelegationDomain(network),
+    types: EIP712_TYPES,
+    primaryType: 'Delegation',
     message: {
       delegate: delegation.delegate,
-      delegator: delegation.delegator,
-      authority: delegation.authority,
-      caveats: caveatsForSigning,
-      salt: delegation.salt
-    }
+      delegator: delegation.delegator,
+      authority: delegation.authority,
+      caveats: delegation.caveats.map(c => ({
+        enforcer: c.enforcer,
+        terms: c.terms
+      })),
+      salt: delegation.salt
+    }
+  };
+}
+
+/**
+ * Sign a delegation using EIP-712 typed data
+ * 
+ * @param {Object} delegation - The delegation to sign
+ * @param {Object} walletClient - Viem wallet client
+ * @param {Object} [network] - Network whose chainId goes into the EIP-712 domain
+ * @returns {Object} Signed delegation with signature field populated
+ */
+export async function signDelegation(delegation, walletClient, network = getNetwork()) {
+  const signature = await walletClient.signTypedData(getDelegationTypedData(delegation, network));
+  
+  return { ...delegation, signature };
+}
+
+// ERC-1271 magic value: bytes4(keccak256("isValidSignature(bytes32,bytes)"))
+export const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+const ERC1271_ABI = [
+  {
+    name: 'isValidSignature',
+    type: 'function',
+    inputs: [
+      { name: 'hash', type: 'bytes32' },
+      { name: 'signature', type: 'bytes' }
+    ],
+    outputs: [{ name: 'magicValue', type: 'bytes4' }],
+    stateMutability: 'view'
+  }
+];
+
+/**
+ * Verify that a delegation's signature was produced by its delegator
+ * 
+ * Mirrors DelegationManager.redeemDelegations():
+ *   - Delegator with no code (EOA): ECDSA-recover the EIP-712 typed data hash
+ *   - Delegator with code (DeleGator smart account): ERC-1271 isValidSignature
+ * 
+ * Without a publicClient only the ECDSA check is possible, so a smart-account
+ * signature comes back as `method: 'unverified'` - unless the file records the
+ * account's `_meta.smartAccount` (create-delegation.mjs --smart-account). Then the
+ * owner signature is checked against the counterfactual address (`method: 'counterfactual'`);
+ * the account must still be deployed before the delegation can be redeemed.
+ * 
+ * @param {Object} delegation - Signed delegation
+ * @param {Object} [options]
+ * @param {Object} [options.publicClient] - Viem public client (enables the ERC-1271 check)
+ * @param {Object} [options.network] - Network whose EIP-712 domain was signed
+ * @returns {Promise<{ valid: boolean, method: 'ecdsa'|'erc1271'|'counterfactual'|'unverified', signer?: string, reason?: string }>}
+ */
+export async function verifyDelegationSignature(delegation, { publicClient, network = getNetwork() } = {}) {
+  if (!delegation.signature || delegation.signature === '0x') {
+    return { valid: false, method: 'unverified', reason: 'Delegation is not signed' };
+  }
+  
+  const typedData = getDelegationTypedData(delegation, network);
+  
+  if (publicClient) {
+    const code = await publicClient.getCode({ address: delegation.delegator });
+    if (code && code !== '0x') {
+      let magicValue;
+      try {
+        magicValue = await publicClient.readContract({
+          address: delegation.delegator,
+          abi: ERC1271_ABI,
+          functionName: 'isValidSignature',
+          args: [hashTypedData(typedData), delegation.signature]
+        });
+      } catch (e) {
+        return { valid: false, method: 'erc1271', reason: `isValidSignature reverted: ${e.shortMessage || e.message}` };
+      }
+      
+      const valid = magicValue.toLowerCase() === ERC1271_MAGIC_VALUE;
+      return valid
+        ? { valid, method: 'erc1271', signer: delegation.delegator }
+        : { valid, method: 'erc1271', reason: `isValidSignature returned ${magicValue}` };
+    }
+  }
+  
+  let signer;
+  try {
+    signer = await recoverTypedDataAddress({ ...typedData, signature: delegation.signature });
+  } catch (e) {
+    return { valid: false, method: 'ecdsa', reason: `Malformed signature: ${e.shortMessage || e.message}` };
+  }
+  
+  if (signer.toLowerCase() === delegation.delegator.toLowerCase()) {
+    return { valid: true, method: 'ecdsa', signer };
+  }
+  
+  // Undeployed DeleGator: the owner is committed to by the CREATE2 address
+  const smartAccount = delegation._meta?.smartAccount;
+  if (smartAccount && signer.toLowerCase() === smartAccount.owner.toLowerCase()) {
+    const { address } = getSmartAccount(smartAccount.owner, { salt: BigInt(smartAccount.salt), network });
+    if (address.toLowerCase() === delegation.delegator.toLowerCase()) {
+      return {
+        valid: true,
+        method: 'counterfactual',
+        signer,
+        reason: publicClient
+          ? `DeleGator ${address} is not deployed yet`
+          : `DeleGator ${address} deployment not checked (offline)`
+      };
+    }
+  }
+  
+  if (!publicClient) {
+    return {
+      valid: false,
+      method: 'unverified',
+      signer,
+      reason: `Recovered signer ${signer} is not the delegator; if the delegator is a smart account, verify with an RPC (ERC-1271)`
+    };
+  }
+  
+  return { valid: false, method: 'ecdsa', signer, reason: `Signed by ${signer}, not the delegator ${delegation.delegator}` };
+}
+
+/**
+ * Legacy hash function for backwards compatibility
+ * @deprecated Use getDelegationHash instead
+ */
+export function hashDelegation(delegation) {
+  return getDelegationHash(delegation);
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * A limit of the effective scope and the delegation that sets it
+ *
+ * @typedef {Object} ScopeLimit
+ * @property {*} value - The effective limit
+ * @property {number} hop - Chain index (0 = leaf) of the tightest delegation
+ */
+
+/**
+ * What a delegation chain allows once every hop's caveats are applied
+ * DelegationManager enforces the caveats of every hop, so each limit is the
+ * tightest one in the chain. null means no hop constrains it.
+ *
+ * @typedef {Object} EffectiveScope
+ * @property {ScopeLimit|null} amount - Lowest lifetime cap, base units (ERC20TransferAmountEnforcer)
+ * @property {{ periodAmount: bigint, periodDuration: number, hop: number }[]} periods - Every
+ *   per-period cap (ERC20PeriodTransferEnforcer); caps over different periods are not comparable
+ * @property {ScopeLimit|null} notBefore - Latest start, unix seconds (TimestampEnforcer)
+ * @property {ScopeLimit|null} expiry - Earliest expiry, unix seconds (TimestampEnforcer)
+ * @property {ScopeLimit|null} maxValue - Lowest native value limit, wei (ValueLteEnforcer)
+ * @property {ScopeLimit|null} maxCalls - Fewest redemptions (LimitedCallsEnforcer)
+ * @property {(ScopeLimit & { hops: number[] })|null} tokens - Tokens every ERC20 limit covers
+ * @property {(ScopeLimit & { hops: number[] })|null} redeemers - Addresses every RedeemerEnforcer allows
+ * @property {(ScopeLimit & { hops: number[] })|null} recipients - Payees every recipient allowlist allows
+ */
+
+/**
+ * Compute the effective scope of a delegation chain
+ * 
+ * Only the signed caveats are considered - on-chain usage (spent allowance,
+ * calls made) is read by getCaveatState(). For the address sets `hop` is the
+ * hop with the smallest list and `hops` every hop that has one.
+ * 
+ * @param {Object[]} chain - Delegations, leaf to root (see loadDelegationChain)
+ * @param {Object} [network] - Network from getNetwork()
+ * @returns {EffectiveScope}
+ */
+export function getEffectiveScope(chain, network = getNetwork()) {
+  const scope = {
+    amount: null,
+    periods: [],
+    notBefore: null,
+    expiry: null,
+    maxValue: null,
+    maxCalls: null,
+    tokens: null,
+    redeemers: null,
+    recipients: null
+  };
+  const setSizes = {};
+  
+  const lowest = (key, value, hop) => {
+    if (scope[key] === null || value < scope[key].value) scope[key] = { value, hop };
+  };
+  const highest = (key, value, hop) => {
+    if (scope[key] === null || value > scope[key].value) scope[key] = { value, hop };
+  };
+  const intersect = (key, addresses, hop) => {
+    const current = scope[key];
+    if (current === null) {
+      scope[key] = { value: addresses.map(a => getAddress(a)), hop, hops: [hop] };
+      setSizes[key] = addresses.length;
+      return;
+    }
+    current.value = current.value.filter(a => addresses.some(b => sameAddress(a, b)));
+    if (!current.hops.includes(hop)) current.hops.push(hop);
+    if (addresses.length < setSizes[key]) {
+      current.hop = hop;
+      setSizes[key] = addresses.length;
+    }
+  };
+  
+  chain.forEach((delegation, hop) => {
+    for (const caveat of delegation.caveats) {
+      const { name, decodeError, ...terms } = decodeCaveat(caveat, network);
+      if (decodeError) continue;
+      
+      if (name === 'ERC20TransferAmountEnforcer') {
+        lowest('amount', terms.maxAmount, hop);
+        intersect('tokens', [terms.token], hop);
+      } else if (name === 'ERC20PeriodTransferEnforcer') {
+        scope.periods.push({ periodAmount: terms.periodAmount, periodDuration: terms.periodDuration, hop });
+        intersect('tokens', [terms.token], hop);
+      } else if (name === 'TimestampEnforcer') {
+        if (terms.notBefore > 0) highest('notBefore', terms.notBefore, hop);
+        if (terms.notAfter > 0) lowest('expiry', terms.notAfter, hop);
+      } else if (name === 'ValueLteEnforcer') {
+        lowest('maxValue', terms.maxValue, hop);
+      } else if (name === 'LimitedCallsEnforcer') {
+        lowest('maxCalls', terms.maxCalls, hop);
+      } else if (name === 'RedeemerEnforcer') {
+        intersect('redeemers', terms.redeemers, hop);
+      }
+    }
+    
+    const recipients = getAllowedRecipients(delegation, network);
+    if (recipients) intersect('recipients', recipients, hop);
+  });
+  
+  return scope;
+}
+
+/**
+ * Validate a sub-delegation against the effective scope of its whole chain
+ * 
+ * Sub-delegations can only NARROW scope, never expand. The sub-delegation is
+ * compared with the tightest limit of the parent and every ancestor above it,
+ * so a cap set two hops up counts even if the parent has none. Two kinds of
+ * violation are reported:
+ *   - wider: a limit the sub-delegation sets is looser than the chain's
+ *     (amount, per-period amount, expiry, start, ETH value, calls, redeemers,
+ *     recipients)
+ *   - dead:  with the chain's caveats applied it could never be redeemed
+ *     (chain already expired, start not before expiry, no common token,
+ *     redeemer or recipient, zero cap or calls)
+ * Limits the sub-delegation omits are inherited - the chain still enforces them.
+ * Hops are numbered in the resulting chain: the sub-delegation is hop 0,
+ * its parent hop 1.
+ * 
+ * @param {Object|Object[]} parent - Parent delegation (with its embedded `_chain`), or its chain leaf to root
+ * @param {Object} subDelegation - Built sub-delegation (buildDelegation() result), or buildDelegation() parameters
+ * @param {Object} [network] - Network from getNetwork()
+ * @param {Object} [options]
+ * @param {number} [options.now] - Unix seconds (defaults to the current time)
+ * @returns {{ valid: boolean, errors: string[], violations: { constraint: string, kind: 'wider'|'dead', message: string }[], scope: EffectiveScope }}
+ *   `scope` is the effective scope of the resulting chain
+ */
+export function validateSubDelegationScope(parent, subDelegation, network = getNetwork(), {
+  now = Math.floor(Date.now() / 1000)
+} = {}) {
+  const parentChain = Array.isArray(parent) ? parent : loadDelegationChain(parent);
+  const sub = subDelegation.caveats
+    ? subDelegation
+    : buildDelegation({ delegator: parentChain[0].delegate, delegate: ANY_DELEGATE, ...subDelegation, network });
+  
+  // Parent chain hops shift by one once the sub-delegation is the leaf
+  const shift = (limit) => limit && { ...limit, hop: limit.hop + 1, ...(limit.hops && { hops: limit.hops.map(h => h + 1) }) };
+  const own = getEffectiveScope([sub], network);
+  const inherited = Object.fromEntries(Object.entries(getEffectiveScope(parentChain, network)).map(([key, limit]) =>
+    [key, key === 'periods' ? limit.map(shift) : shift(limit)]
+  ));
+  const scope = getEffectiveScope([sub, ...parentChain], network);
+  
+  const violations = [];
+  const wider = (constraint, message) => violations.push({ constraint, kind: 'wider', message });
+  const dead = (constraint, message) => violations.push({ constraint, kind: 'dead', message });
+  const by = (hop) => hop === 0 ? 'this sub-delegation' : hop === 1 ? 'the parent (hop 1)' : `hop ${hop}`;
+  const usdc = (amount) => `${formatUnits(amount, USDC_DECIMALS)} USDC`;
+  const eth = (value) => `${formatUnits(value, 18)} ETH`;
+  
+  // Wider: every limit the sub-delegation sets must be within the chain's
+  if (own.amount && inherited.amount && own.amount.value > inherited.amount.value) {
+    wider('amount', `Amount: ${usdc(own.amount.value)} exceeds the ${usdc(inherited.amount.value)} cap set by ${by(inherited.amount.hop)}`);
+  }
+  for (const period of own.periods) {
+    const perPeriod = `${usdc(period.periodAmount)} per ${formatPeriod(period.periodDuration)}`;
+    if (inherited.amount && period.periodAmount > inherited.amount.value) {
+      wider('periodAmount', `Per-period amount: ${perPeriod} exceeds the ${usdc(inherited.amount.value)} lifetime cap set by ${by(inherited.amount.hop)}`);
+    }
+    for (const limit of inherited.periods) {
+      // A longer period spans several of the ancestor's periods
+      const periods = BigInt(Math.ceil(period.periodDuration / limit.periodDuration));
+      const allowed = limit.periodAmount * periods;
+      if (period.periodAmount > allowed) {
+        wider('periodAmount',
+          `Per-period amount: ${perPeriod} exceeds the ${usdc(limit.periodAmount)} per ${formatPeriod(limit.periodDuration)} ` +
+          `set by ${by(limit.hop)}${periods > 1n ? ` (${usdc(allowed)} over ${periods} of its periods)` : ''}`);
+      }
+    }
+  }
+  if (own.expiry && inherited.expiry && own.expiry.value > inherited.expiry.value) {
+    wider('expiry', `Expiry: ${formatTime(own.expiry.value)} is after the chain's expiry ${formatTime(inherited.expiry.value)} set by ${by(inherited.expiry.hop)}`);
+  }
+  if (own.notBefore && inherited.notBefore && own.notBefore.value < inherited.notBefore.value) {
+    wider('notBefore', `Start: ${formatTime(own.notBefore.value)} is before the chain's start ${formatTime(inherited.notBefore.value)} set by ${by(inherited.notBefore.hop)}`);
+  }
+  if (own.maxValue && inherited.maxValue && own.maxValue.value > inherited.maxValue.value) {
+    wider('maxValue', `ETH value: ${eth(own.maxValue.value)} exceeds the ${eth(inherited.maxValue.value)} limit set by ${by(inherited.maxValue.hop)}`);
+  }
+  if (own.maxCalls && inherited.maxCalls && own.maxCalls.value > inherited.maxCalls.value) {
+    wider('maxCalls', `Max calls: ${own.maxCalls.value} exceeds the ${inherited.maxCalls.value} redemption(s) allowed by ${by(inherited.maxCalls.hop)}`);
+  }
+  for (const [key, label] of [['redeemers', 'Redeemers'], ['recipients', 'Recipients']]) {
+    if (!own[key] || !inherited[key] || scope[key].value.length === 0) continue;
+    const outside = own[key].value.filter(a => !inherited[key].value.some(b => sameAddress(a, b)));
+    if (outside.length > 0) {
+      wider(key, `${label}: ${outside.join(', ')} not allowed by the chain (${inherited[key].value.join(', ') || 'none'})`);
+    }
+  }
+  
+  // Dead on arrival: the chain's caveats together leave nothing to redeem
+  const expired = [inherited.expiry, own.expiry].find(limit => limit && limit.value <= now);
+  if (expired) {
+    dead('expiry', `Expired: ${by(expired.hop)} expired at ${formatTime(expired.value)}`);
+  } else if (scope.notBefore && scope.expiry && scope.notBefore.value >= scope.expiry.value) {
+    dead('notBefore',
+      `Never active: starts ${formatTime(scope.notBefore.value)} (${by(scope.notBefore.hop)}) ` +
+      `but expires ${formatTime(scope.expiry.value)} (${by(scope.expiry.hop)})`);
+  }
+  if (scope.tokens && scope.tokens.value.length === 0) {
+    const tokens = ({ value }) => value.join(', ') || 'no common token';
+    dead('token',
+      own.tokens && inherited.tokens
+        ? `Token: this sub-delegation covers ${tokens(own.tokens)} but the chain covers ${tokens(inherited.tokens)}`
+        : `Token: the token limits of hops ${scope.tokens.hops.join(', ')} cover no common token`);
+  }
+  if (scope.amount && scope.amount.value === 0n) {
+    dead('amount', `Amount: ${by(scope.amount.hop)} allows 0 USDC`);
+  }
+  if (scope.maxCalls && scope.maxCalls.value === 0n) {
+    dead('maxCalls', `Max calls: ${by(scope.maxCalls.hop)} allows no redemptions`);
+  }
+  for (const [key, label, noun] of [['redeemers', 'Redeemers', 'redeemer'], ['recipients', 'Recipients', 'recipient']]) {
+    if (scope[key] && scope[key].value.length === 0) {
+      dead(key, `${label}: no ${noun} is allowed by every hop (hops ${scope[key].hops.join(', ')})`);
+    }
+  }
+  
+  return {
+    valid: violations.length === 0,
+    errors: violations.map(v => v.message),
+    violations,
+    scope
+  };
+}
+
+/**
+ * How much of a parent's lifetime cap its sub-delegations have handed out
+ *
+ * @typedef {Object} DelegationBudget
+ * @property {string} parentHash
+ * @property {ScopeLimit|null} cap - Lifetime cap of the parent chain, base units
+ *   (hop 0 = the parent); null when no hop caps it
+ * @property {bigint} allocated - Summed caps of the live sub-delegations
+ * @property {bigint|null} unallocated - Cap left to hand out (0n once over-allocated); null without a cap
+ * @property {bigint} overAllocated - How far `allocated` exceeds the cap (0n if it does not)
+ * @property {{ hash: string, delegate: string, allocation: bigint|null, inherited: boolean, expired: boolean, revoked: boolean }[]} children
+ *   Every sub-delegation of the parent. `allocation` is its effective cap (null when
+ *   neither it nor the chain has one), `inherited` marks a cap taken from the chain.
+ */
+
+/**
+ * Sum the caps of the sub-delegations issued under one parent
+ *
+ * Sibling sub-delegations (same `authority`) each get their own
+ * ERC20TransferAmountEnforcer allowance, but every redemption also spends
+ * the parent's - nothing on-chain stops the siblings' caps from adding up to
+ * more than the parent can ever pay out. A sub-delegation without a lifetime
+ * cap of its own can spend the whole chain cap and counts at that amount.
+ * Expired and revoked sub-delegations are listed but allocate nothing.
+ *
+ * @param {Object|Object[]} parent - Parent delegation (with its embedded `_chain`), or its chain leaf to root
+ * @param {Object[]} delegations - Candidate sub-delegations (JSON or parsed); those whose
+ *   authority is not the parent's hash are ignored, so the whole store can be passed
+ * @param {Object} [network] - Network from getNetwork()
+ * @param {Object} [options]
+ * @param {number} [options.now] - Unix seconds (defaults to the current time)
+ * @param {string[]} [options.revoked] - Hashes known to be disabled on-chain
+ * @returns {DelegationBudget}
+ */
+export function getDelegationBudget(parent, delegations, network = getNetwork(), {
+  now = Math.floor(Date.now() / 1000),
+  revoked = []
+} = {}) {
+  const parentChain = Array.isArray(parent) ? parent : loadDelegationChain(parent);
+  const parentHash = getDelegationHash(parentChain[0]).toLowerCase();
+  const { amount: cap } = getEffectiveScope(parentChain, network);
+  const isRevoked = (hash) => revoked.some(h => h.toLowerCase() === hash);
+
+  const seen = new Set();
+  const children = [];
+  for (const raw of delegations) {
+    const delegation = parseDelegation(raw);
+    if (delegation.authority.toLowerCase() !== parentHash) continue;
+    const hash = getDelegationHash(delegation).toLowerCase();
+    if (seen.has(hash)) continue;
+    seen.add(hash);
+
+    const { amount, expiry } = getEffectiveScope([delegation], network);
+    let allocation = cap ? cap.value : null;
+    if (amount && (allocation === null || amount.value < allocation)) allocation = amount.value;
+    children.push({
+      hash,
+      delegate: delegation.delegate,
+      allocation,
+      inherited: !amount && cap !== null,
+      expired: expiry !== null && expiry.value <= now,
+      revoked: isRevoked(hash)
+    });
+  }
+
+  const allocated = children
+    .filter(c => !c.expired && !c.revoked && c.allocation !== null)
+    .reduce((sum, c) => sum + c.allocation, 0n);
+  const overAllocated = cap && allocated > cap.value ? allocated - cap.value : 0n;
+
+  return {
+    parentHash,
+    cap,
+    allocated,
+    unallocated: cap ? (overAllocated > 0n ? 0n : cap.value - allocated) : null,
+    overAllocated,
+    children
+  };
+}
+
+/**
+ * Validate a transfer against delegation caveats
+ * 
+ * Runs validateCaveats() for a USDC transfer(to, amount) call.
+ * ERC20TransferAmountEnforcer caps the cumulative amount, so pass the amount
+ * already spent (see getERC20TransferAmountSpent) to check the true remaining
+ * allowance. Without it only the lifetime cap is checked.
+ * 
+ * @param {Object} delegation - Delegation to check
+ * @param {string} to - Recipient address
+ * @param {bigint} amount - USDC amount in base units (see parseUSDCAmount; 0n checks only the recipient)
+ * @param {Object} [network] - Network from getNetwork()
+ * @param {Object} [options]
+ * @param {bigint} [options.spent] - Amount already spent under this delegation (base units)
+ * @param {string} [options.redeemer] - Address calling redeemDelegations (checked against RedeemerEnforcer)
+ * @param {bigint} [options.periodTransferred] - Amount already transferred in the current
+ *   ERC20PeriodTransferEnforcer period (base units, see getERC20PeriodTransferState)
+ * @param {bigint} [options.callCount] - Redemptions already made (LimitedCallsEnforcer)
+ * @param {number} [options.calls] - Redemptions this transfer needs (one per batch entry)
+ * @param {bigint} [options.currentNonce] - Delegator's current NonceEnforcer nonce
+ * @param {bigint} [options.blockNumber] - Current block (BlockNumberEnforcer)
+ */
+export function validateTransfer(delegation, to, amount, network = getNetwork(), {
+  spent = 0n,
+  redeemer,
+  periodTransferred = 0n,
+  callCount = 0n,
+  calls = 1,
+  currentNonce,
+  blockNumber
+} = {}) {
+  assertBaseUnits(amount, 'amount');
+  
+  // Every caveat is checked by its registry entry (see CAVEAT REGISTRY)
+  const errors = validateCaveats(delegation.caveats, {
+    delegation,
+    network,
+    now: Math.floor(Date.now() / 1000),
+    target: network.usdcAddress,
+    value: 0n,
+    callData: encodeFunctionData({ abi: ERC20_TRANSFER_ABI, functionName: 'transfer', args: [to, amount] }),
+    to,
+    amount,
+    redeemer,
+    calls,
+    spent,
+    periodTransferred,
+    callCount,
+    currentNonce,
+    blockNumber
   });
   
-  return { ...delegation, signature };
+  return { valid: errors.length === 0, errors };
 }
 
 /**
- * Legacy hash function for backwards compatibility
- * @deprecated Use getDelegationHash instead
+ * Parse a payouts CSV into transfer entries
+ * 
+ * Format: one `address,amount` per line. Blank lines, `#` comments and an
+ * optional `to,amount` / `address,amount` header are ignored.
+ * 
+ * @param {string} csv - CSV file contents
+ * @returns {{ to: string, amount: string }[]} Transfers in file order (amounts as written)
  */
-export function hashDelegation(delegation) {
-  return getDelegationHash(delegation);
+export function parsePayoutsCsv(csv) {
+  const payouts = [];
+  const lines = csv.split(/\r?\n/);
+  
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    
+    const [to, amount, ...rest] = trimmed.split(',').map(f => f.trim());
+    if (index === 0 && /^(to|address|recipient)$/i.test(to)) return;
+    
+    if (rest.length > 0 || !amount) {
+      throw new Error(`Line ${index + 1}: expected "address,amount", got "${trimmed}"`);
+    }
+    if (!isAddress(to)) {
+      throw new Error(`Line ${index + 1}: invalid recipient address ${to}`);
+    }
+    try {
+      parseUSDCAmount(amount);
+    } catch (e) {
+      throw new Error(`Line ${index + 1}: ${e.message}`);
+    }
+    
+    payouts.push({ to, amount });
+  });
+  
+  if (payouts.length === 0) {
+    throw new Error('Payouts file contains no transfers');
+  }
+  
+  return payouts;
 }
 
 // =============================================================================
-// VALIDATION
+// DELEGATION CHAINS
 // =============================================================================
 
 /**
- * Validate sub-delegation scope against parent
- * Sub-delegations can only NARROW scope, never expand
+ * Parse a delegation loaded from JSON (string salt) into its in-memory form
+ */
+export function parseDelegation(raw) {
+  return {
+    ...raw,
+    salt: BigInt(raw.salt)
+  };
+}
+
+/**
+ * Walk the embedded `_chain.parent` links of a delegation file
+ * 
+ * create-subdelegation.mjs embeds the full parent (including the parent's own
+ * `_chain`) so a delegation file carries every ancestor up to the root.
+ * 
+ * @param {Object} raw - Delegation as loaded from JSON
+ * @returns {Object[]} Delegations ordered leaf to root, as redeemDelegations expects
+ */
+export function loadDelegationChain(raw) {
+  const chain = [];
+  let current = raw;
+  
+  while (current) {
+    chain.push(parseDelegation(current));
+    current = current._chain?.parent;
+  }
+  
+  return chain;
+}
+
+/**
+ * Validate the links of a delegation chain (leaf to root)
+ * 
+ * Per DelegationManager.redeemDelegations():
+ *   - Each delegation's authority must be the hash of the next one up
+ *   - The last delegation must have ROOT_AUTHORITY
+ *   - Each delegator must be the delegate of its parent (or the parent uses ANY_DELEGATE)
+ * 
+ * @param {Object[]} delegationChain - Array of delegations, leaf to root
+ * @returns {{ valid: boolean, errors: string[] }}
  */
-export function validateSubDelegationScope(parentDelegation, subDelegationParams) {
+export function validateDelegationChain(delegationChain) {
   const errors = [];
   
-  // Find parent caveats by enforcer address
-  const findCaveat = (enforcer) => 
-    parentDelegation.caveats.find(c => c.enforcer.toLowerCase() === enforcer.toLowerCase());
+  if (delegationChain.length === 0) {
+    errors.push('Delegation chain is empty');
+    return { valid: false, errors };
+  }
   
-  // Check amount
-  const parentAmountCaveat = findCaveat(DELEGATION_FRAMEWORK.ERC20TransferAmountEnforcer);
-  if (parentAmountCaveat && subDelegationParams.amount) {
-    // Decode parent terms: encodePacked(address[20], uint256[32]) = 52 bytes
-    // Amount is bytes 20-52 (the uint256)
-    const parentAmount = BigInt('0x' + parentAmountCaveat.terms.slice(42)); // Skip 0x + 40 hex chars (20 bytes)
-    const subAmount = parseUnits(subDelegationParams.amount.toString(), USDC_DECIMALS);
-    if (subAmount > parentAmount) {
-      errors.push(`Sub-delegation amount (${subDelegationParams.amount}) exceeds parent scope`);
+  for (let i = 0; i < delegationChain.length - 1; i++) {
+    const child = delegationChain[i];
+    const parent = delegationChain[i + 1];
+    const parentHash = getDelegationHash(parent);
+    
+    if (child.authority.toLowerCase() !== parentHash.toLowerCase()) {
+      errors.push(`Hop ${i}: authority ${child.authority} does not match parent hash ${parentHash}`);
+    }
+    
+    if (
+      parent.delegate.toLowerCase() !== ANY_DELEGATE.toLowerCase() &&
+      child.delegator.toLowerCase() !== parent.delegate.toLowerCase()
+    ) {
+      errors.push(`Hop ${i}: delegator ${child.delegator} is not the delegate of its parent (${parent.delegate})`);
     }
   }
   
-  // Check expiry
-  const parentExpiryCaveat = findCaveat(DELEGATION_FRAMEWORK.TimestampEnforcer);
-  if (parentExpiryCaveat && subDelegationParams.expirySeconds) {
-    // Decode parent terms: encodePacked(uint128 afterThreshold, uint128 beforeThreshold)
-    // beforeThreshold (expiry) is LAST 16 bytes (chars 34-66)
-    const parentExpiry = Number(BigInt('0x' + parentExpiryCaveat.terms.slice(34, 66)));
-    const subExpiry = Math.floor(Date.now() / 1000) + subDelegationParams.expirySeconds;
-    if (parentExpiry > 0 && subExpiry > parentExpiry) {
-      errors.push(`Sub-delegation expiry exceeds parent expiry`);
-    }
+  const root = delegationChain[delegationChain.length - 1];
+  if (root.authority.toLowerCase() !== ROOT_AUTHORITY) {
+    errors.push(`Chain does not end at a root delegation (missing parent for authority ${root.authority})`);
   }
   
   return { valid: errors.length === 0, errors };
 }
 
 /**
- * Validate a transfer against delegation caveats
+ * Check that a delegation file (and every embedded parent) was signed for a network
+ * 
+ * The EIP-712 domain includes the chainId, so a signature made for one chain
+ * will never validate on another. `_meta.chainId` records where it was signed.
+ * 
+ * @param {Object} raw - Delegation as loaded from JSON
+ * @param {Object} network - Network from getNetwork()
+ * @returns {{ valid: boolean, errors: string[] }}
  */
-export function validateTransfer(delegation, to, amount) {
+export function validateDelegationNetwork(raw, network) {
   const errors = [];
-  const amountWei = parseUnits(amount.toString(), USDC_DECIMALS);
-  const now = Math.floor(Date.now() / 1000);
+  let current = raw;
+  let hop = 0;
   
-  for (const caveat of delegation.caveats) {
-    const enforcerLower = caveat.enforcer.toLowerCase();
-    
-    // Check ERC20 amount limit
-    if (enforcerLower === DELEGATION_FRAMEWORK.ERC20TransferAmountEnforcer.toLowerCase()) {
-      // Terms: encodePacked(address[20], uint256[32])
-      const maxAmount = BigInt('0x' + caveat.terms.slice(42));
-      if (amountWei > maxAmount) {
-        errors.push(`Transfer amount exceeds delegated limit of ${formatUnits(maxAmount, USDC_DECIMALS)} USDC`);
-      }
+  while (current) {
+    const chainId = current._meta?.chainId;
+    if (chainId !== undefined && Number(chainId) !== network.chain.id) {
+      errors.push(
+        `${hop === 0 ? 'Delegation' : `Hop ${hop}`} was signed for chain ${chainId}` +
+        ` but ${network.name} is chain ${network.chain.id}`
+      );
     }
-    
-    // Check timestamp constraints
-    if (enforcerLower === DELEGATION_FRAMEWORK.TimestampEnforcer.toLowerCase()) {
-      // Terms: encodePacked(uint128 timestampAfterThreshold, uint128 timestampBeforeThreshold)
-      // First 16 bytes (chars 2-34): after threshold (must be AFTER this time)
-      // Last 16 bytes (chars 34-66): before threshold (must be BEFORE this time, i.e., expiry)
-      const timestampAfterThreshold = Number(BigInt('0x' + caveat.terms.slice(2, 34)));
-      const timestampBeforeThreshold = Number(BigInt('0x' + caveat.terms.slice(34, 66)));
-      
-      // Check if too early
-      if (timestampAfterThreshold > 0 && now <= timestampAfterThreshold) {
-        errors.push(`Delegation not yet active (valid after ${new Date(timestampAfterThreshold * 1000).toISOString()})`);
-      }
-      
-      // Check if expired
-      if (timestampBeforeThreshold > 0 && now >= timestampBeforeThreshold) {
-        errors.push('Delegation has expired');
+    current = current._chain?.parent;
+    hop++;
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build the parent/child graph of a set of delegations
+ * 
+ * Edges come from `authority`: a delegation whose authority is another
+ * delegation's hash is its child. Parents embedded under `_chain.parent`
+ * are added too, so a directory of leaf files still yields the full tree.
+ * 
+ * @param {Object[]} raws - Delegations as loaded from JSON
+ * @returns {Map<string, { hash: string, delegation: Object, parentHash: string|null, children: string[] }>}
+ *          Nodes keyed by lowercase delegation hash
+ */
+export function buildDelegationGraph(raws) {
+  const graph = new Map();
+  
+  for (const raw of raws) {
+    for (const delegation of loadDelegationChain(raw)) {
+      const hash = getDelegationHash(delegation).toLowerCase();
+      if (graph.has(hash)) continue;
+      graph.set(hash, {
+        hash,
+        delegation,
+        parentHash: delegation.authority.toLowerCase() === ROOT_AUTHORITY ? null : delegation.authority.toLowerCase(),
+        children: []
+      });
+    }
+  }
+  
+  for (const node of graph.values()) {
+    if (node.parentHash && graph.has(node.parentHash)) {
+      graph.get(node.parentHash).children.push(node.hash);
+    }
+  }
+  
+  return graph;
+}
+
+/**
+ * List every delegation derived from `hash` (breadth-first)
+ * These all stop working when `hash` is disabled, since redemption
+ * walks the chain up through it.
+ * 
+ * @param {Map} graph - From buildDelegationGraph()
+ * @param {string} hash - Delegation hash
+ * @returns {{ hash: string, delegation: Object, depth: number }[]}
+ */
+export function getDelegationDescendants(graph, hash) {
+  const descendants = [];
+  const queue = (graph.get(hash.toLowerCase())?.children || []).map(h => ({ hash: h, depth: 1 }));
+  
+  while (queue.length > 0) {
+    const { hash: next, depth } = queue.shift();
+    const node = graph.get(next);
+    descendants.push({ hash: next, delegation: node.delegation, depth });
+    queue.push(...node.children.map(h => ({ hash: h, depth: depth + 1 })));
+  }
+  
+  return descendants;
+}
+
+/**
+ * List the known ancestors of `hash`, nearest first
+ * @param {Map} graph - From buildDelegationGraph()
+ * @param {string} hash - Delegation hash
+ * @returns {string[]} Ancestor hashes present in the graph
+ */
+export function getDelegationAncestors(graph, hash) {
+  const ancestors = [];
+  let parentHash = graph.get(hash.toLowerCase())?.parentHash;
+  
+  while (parentHash && graph.has(parentHash)) {
+    ancestors.push(parentHash);
+    parentHash = graph.get(parentHash).parentHash;
+  }
+  
+  return ancestors;
+}
+
+// =============================================================================
+// ON-CHAIN STATE
+// =============================================================================
+
+// ERC20TransferAmountEnforcer (partial)
+// mapping(address delegationManager => mapping(bytes32 delegationHash => uint256 amount)) public spentMap;
+export const ERC20_TRANSFER_AMOUNT_ENFORCER_ABI = [
+  {
+    name: 'spentMap',
+    type: 'function',
+    inputs: [
+      { name: 'delegationManager', type: 'address' },
+      { name: 'delegationHash', type: 'bytes32' }
+    ],
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view'
+  }
+];
+
+/**
+ * Read how much USDC has already been transferred under a delegation
+ * 
+ * The enforcer keys its spend by (DelegationManager, delegation hash), so each
+ * hop of a chain has its own counter.
+ * 
+ * @param {Object} publicClient - Viem public client
+ * @param {Object} delegation - Delegation to look up
+ * @param {Object} [network] - Network from getNetwork()
+ * @returns {Promise<bigint|null>} Spent amount in base units, or null if the
+ *   delegation has no ERC20TransferAmountEnforcer caveat
+ */
+export async function getERC20TransferAmountSpent(publicClient, delegation, network = getNetwork()) {
+  const { contracts } = network;
+  const hasAmountCaveat = delegation.caveats.some(c =>
+    c.enforcer.toLowerCase() === contracts.ERC20TransferAmountEnforcer.toLowerCase()
+  );
+  if (!hasAmountCaveat) return null;
+  
+  return publicClient.readContract({
+    address: contracts.ERC20TransferAmountEnforcer,
+    abi: ERC20_TRANSFER_AMOUNT_ENFORCER_ABI,
+    functionName: 'spentMap',
+    args: [contracts.DelegationManager, getDelegationHash(delegation)]
+  });
+}
+
+// ERC20PeriodTransferEnforcer (partial)
+// mapping(address delegationManager => mapping(bytes32 delegationHash => PeriodicAllowance)) public periodicAllowances;
+export const ERC20_PERIOD_TRANSFER_ENFORCER_ABI = [
+  {
+    name: 'periodicAllowances',
+    type: 'function',
+    inputs: [
+      { name: 'delegationManager', type: 'address' },
+      { name: 'delegationHash', type: 'bytes32' }
+    ],
+    outputs: [
+      { name: 'periodAmount', type: 'uint256' },
+      { name: 'periodDuration', type: 'uint256' },
+      { name: 'startDate', type: 'uint256' },
+      { name: 'lastTransferPeriod', type: 'uint256' },
+      { name: 'transferredInCurrentPeriod', type: 'uint256' }
+    ],
+    stateMutability: 'view'
+  }
+];
+
+/**
+ * Read the current period's usage of an ERC20PeriodTransferEnforcer allowance
+ * 
+ * The enforcer only records the period of the last transfer, so usage counts
+ * toward the current period only if that last transfer happened in it.
+ * 
+ * @param {Object} publicClient - Viem public client
+ * @param {Object} delegation - Delegation to look up
+ * @param {Object} [network] - Network from getNetwork()
+ * @returns {Promise<Object|null>} Period state, or null if the delegation has no
+ *   ERC20PeriodTransferEnforcer caveat
+ */
+export async function getERC20PeriodTransferState(publicClient, delegation, network = getNetwork()) {
+  const { contracts } = network;
+  const caveat = delegation.caveats.find(c =>
+    c.enforcer.toLowerCase() === contracts.ERC20PeriodTransferEnforcer.toLowerCase()
+  );
+  if (!caveat) return null;
+  
+  const terms = decodeERC20PeriodTransferTerms(caveat.terms);
+  const [, , , lastTransferPeriod, transferredInCurrentPeriod] = await publicClient.readContract({
+    address: contracts.ERC20PeriodTransferEnforcer,
+    abi: ERC20_PERIOD_TRANSFER_ENFORCER_ABI,
+    functionName: 'periodicAllowances',
+    args: [contracts.DelegationManager, getDelegationHash(delegation)]
+  });
+  
+  const period = getCurrentPeriod(terms);
+  const transferred = period && Number(lastTransferPeriod) === period.currentPeriod
+    ? transferredInCurrentPeriod
+    : 0n;
+  
+  return {
+    ...terms,
+    ...period,
+    transferredInCurrentPeriod: transferred,
+    available: period ? terms.periodAmount - transferred : 0n
+  };
+}
+
+// LimitedCallsEnforcer (partial)
+// mapping(address delegationManager => mapping(bytes32 delegationHash => uint256 count)) public callCounts;
+export const LIMITED_CALLS_ENFORCER_ABI = [
+  {
+    name: 'callCounts',
+    type: 'function',
+    inputs: [
+      { name: 'delegationManager', type: 'address' },
+      { name: 'delegationHash', type: 'bytes32' }
+    ],
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view'
+  }
+];
+
+// NonceEnforcer (partial)
+// mapping(address delegationManager => mapping(address delegator => uint256 nonce)) public currentNonce;
+export const NONCE_ENFORCER_ABI = [
+  {
+    name: 'currentNonce',
+    type: 'function',
+    inputs: [
+      { name: 'delegationManager', type: 'address' },
+      { name: 'delegator', type: 'address' }
+    ],
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view'
+  },
+  {
+    name: 'incrementNonce',
+    type: 'function',
+    inputs: [{ name: '_delegationManager', type: 'address' }],
+    outputs: []
+  }
+];
+
+/**
+ * Read how many times a delegation has been redeemed (LimitedCallsEnforcer)
+ * @returns {Promise<bigint|null>} Call count, or null if the delegation has no LimitedCallsEnforcer caveat
+ */
+export async function getLimitedCallsCount(publicClient, delegation, network = getNetwork()) {
+  const { contracts } = network;
+  const hasLimit = delegation.caveats.some(c =>
+    c.enforcer.toLowerCase() === contracts.LimitedCallsEnforcer.toLowerCase()
+  );
+  if (!hasLimit) return null;
+  
+  return publicClient.readContract({
+    address: contracts.LimitedCallsEnforcer,
+    abi: LIMITED_CALLS_ENFORCER_ABI,
+    functionName: 'callCounts',
+    args: [contracts.DelegationManager, getDelegationHash(delegation)]
+  });
+}
+
+/**
+ * Read a delegator's current NonceEnforcer nonce
+ * Delegations bound to any other nonce are revoked.
+ */
+export async function getDelegatorNonce(publicClient, delegator, network = getNetwork()) {
+  const { contracts } = network;
+  return publicClient.readContract({
+    address: contracts.NonceEnforcer,
+    abi: NONCE_ENFORCER_ABI,
+    functionName: 'currentNonce',
+    args: [contracts.DelegationManager, delegator]
+  });
+}
+
+/**
+ * Read all on-chain caveat state relevant to validateTransfer()
+ * Only enforcers present in the delegation are queried.
+ * 
+ * @returns {Promise<{ spent: bigint, periodTransferred: bigint, callCount: bigint, currentNonce: bigint|undefined }>}
+ */
+export async function getCaveatState(publicClient, delegation, network = getNetwork()) {
+  const { contracts } = network;
+  const hasNonce = delegation.caveats.some(c =>
+    c.enforcer.toLowerCase() === contracts.NonceEnforcer.toLowerCase()
+  );
+  
+  const [spent, periodState, callCount, currentNonce] = await Promise.all([
+    getERC20TransferAmountSpent(publicClient, delegation, network),
+    getERC20PeriodTransferState(publicClient, delegation, network),
+    getLimitedCallsCount(publicClient, delegation, network),
+    hasNonce ? getDelegatorNonce(publicClient, delegation.delegator, network) : undefined
+  ]);
+  
+  return {
+    spent: spent ?? 0n,
+    periodTransferred: periodState?.transferredInCurrentPeriod ?? 0n,
+    callCount: callCount ?? 0n,
+    currentNonce
+  };
+}
+
+// DelegationManager (partial)
+// mapping(bytes32 delegationHash => bool isDisabled) public disabledDelegations;
+const DELEGATION_MANAGER_STATE_ABI = [
+  {
+    name: 'disabledDelegations',
+    type: 'function',
+    inputs: [{ name: 'delegationHash', type: 'bytes32' }],
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view'
+  }
+];
+
+const ERC20_BALANCE_ABI = [
+  {
+    name: 'balanceOf',
+    type: 'function',
+    inputs: [{ name: 'account', type: 'address' }],
+    outputs: [{ type: 'uint256' }],
+    stateMutability: 'view'
+  }
+];
+
+/**
+ * Check whether a delegation was revoked with DelegationManager.disableDelegation()
+ */
+export async function isDelegationDisabled(publicClient, delegation, network = getNetwork()) {
+  return publicClient.readContract({
+    address: network.contracts.DelegationManager,
+    abi: DELEGATION_MANAGER_STATE_ABI,
+    functionName: 'disabledDelegations',
+    args: [getDelegationHash(delegation)]
+  });
+}
+
+/**
+ * Read an address's USDC balance on a network
+ */
+export async function getUSDCBalance(publicClient, address, network = getNetwork()) {
+  return publicClient.readContract({
+    address: network.usdcAddress,
+    abi: ERC20_BALANCE_ABI,
+    functionName: 'balanceOf',
+    args: [address]
+  });
+}
+
+// =============================================================================
+// PREFLIGHT
+// Everything redeemDelegations() needs from the chain, checked before sending
+// =============================================================================
+
+/**
+ * Collect every enforcer a chain relies on, including those nested in
+ * LogicalOrWrapperEnforcer caveat groups
+ */
+function collectEnforcers(chain, network) {
+  const { contracts } = network;
+  const enforcers = new Set();
+  const visit = (caveats) => {
+    for (const caveat of caveats) {
+      enforcers.add(getAddress(caveat.enforcer));
+      if (caveat.enforcer.toLowerCase() === contracts.LogicalOrWrapperEnforcer.toLowerCase()) {
+        decodeLogicalOrWrapperTerms(caveat.terms).forEach(visit);
       }
     }
-    
-    // ValueLteEnforcer doesn't need client-side validation for transfers
-    // (we always use value=0 for ERC20 transfers)
+  };
+  chain.forEach(d => visit(d.caveats));
+  return [...enforcers];
+}
+
+/**
+ * Check on-chain readiness of a delegation chain before redemption
+ * 
+ * Checks:
+ *   - delegator-deployed:  the root delegator has code (DelegationManager executes through it)
+ *   - usdc-balance:        the root delegator holds at least `amount` USDC
+ *   - not-disabled:        no hop is in DelegationManager.disabledDelegations
+ *   - contracts-deployed:  DelegationManager and every enforcer in the chain have code
+ * 
+ * RPC failures mark the affected check as failed rather than throwing.
+ * 
+ * @param {Object} publicClient - Viem public client
+ * @param {Object[]} chain - Delegations leaf to root (see loadDelegationChain)
+ * @param {Object} [options]
+ * @param {bigint} [options.amount] - USDC amount to be transferred, base units (balance check skipped if omitted)
+ * @param {Object} [options.network] - Network from getNetwork()
+ * @returns {Promise<{ passed: boolean, checks: { name: string, subject: string, passed: boolean, detail: string }[] }>}
+ */
+export async function preflightDelegation(publicClient, chain, { amount, network = getNetwork() } = {}) {
+  const { contracts } = network;
+  const root = chain[chain.length - 1];
+  const checks = [];
+  
+  const run = async (name, subject, fn) => {
+    try {
+      checks.push({ name, subject, ...(await fn()) });
+    } catch (e) {
+      checks.push({ name, subject, passed: false, detail: `RPC error: ${e.shortMessage || e.message}` });
+    }
+  };
+  
+  const hasCode = async (address) => {
+    const code = await publicClient.getCode({ address });
+    return Boolean(code && code !== '0x');
+  };
+  
+  await run('delegator-deployed', root.delegator, async () => (await hasCode(root.delegator))
+    ? { passed: true, detail: 'Contract deployed' }
+    : { passed: false, detail: 'No code - the delegator must be a deployed DeleGator smart account' }
+  );
+  
+  if (amount !== undefined) {
+    assertBaseUnits(amount, 'amount');
+    await run('usdc-balance', root.delegator, async () => {
+      const needed = amount;
+      const balance = await getUSDCBalance(publicClient, root.delegator, network);
+      return {
+        passed: balance >= needed,
+        detail: `${formatUnits(balance, USDC_DECIMALS)} USDC held, ${formatUnits(needed, USDC_DECIMALS)} USDC needed`
+      };
+    });
   }
   
-  return { valid: errors.length === 0, errors };
+  for (let i = 0; i < chain.length; i++) {
+    const label = i === 0 ? 'Delegation' : `Hop ${i}`;
+    await run('not-disabled', getDelegationHash(chain[i]), async () => (await isDelegationDisabled(publicClient, chain[i], network))
+      ? { passed: false, detail: `${label} was revoked (disableDelegation)` }
+      : { passed: true, detail: `${label} is active` }
+    );
+  }
+  
+  const required = [contracts.DelegationManager, ...collectEnforcers(chain, network)];
+  for (const address of required) {
+    const name = getEnforcerName(address, network);
+    await run('contracts-deployed', address, async () => (await hasCode(address))
+      ? { passed: true, detail: `${name} deployed` }
+      : { passed: false, detail: `${name} has no code on ${network.chain.name}` }
+    );
+  }
+  
+  return { passed: checks.every(c => c.passed), checks };
 }
 
 // =============================================================================
 // DISPLAY FORMATTING
 // =============================================================================
 
+/**
+ * Format a period length in seconds for display (e.g. 86400 -> "day", 7200 -> "2h")
+ */
+export function formatPeriod(seconds) {
+  const named = { 3600: 'hour', 86400: 'day', 604800: 'week' };
+  if (named[seconds]) return named[seconds];
+  if (seconds % 86400 === 0) return `${seconds / 86400}d`;
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds % 60 === 0) return `${seconds / 60}m`;
+  return `${seconds}s`;
+}
+
 /**
  * Format delegation for human-readable display
  */
-export function formatDelegation(delegation) {
+export function formatDelegation(delegation, network = getNetwork()) {
   const lines = [
     `Delegator: ${delegation.delegator}`,
     `Delegate:  ${delegation.delegate}`,
@@ -496,43 +3139,8 @@ export function formatDelegation(delegation) {
   ];
   
   for (const caveat of delegation.caveats) {
-    const enforcerName = Object.entries(DELEGATION_FRAMEWORK)
-      .find(([_, addr]) => addr.toLowerCase() === caveat.enforcer.toLowerCase())?.[0] 
-      || 'Unknown';
-    
-    lines.push(`  - ${enforcerName}`);
-    
-    // Decode and display specific caveats
-    try {
-      if (enforcerName === 'ERC20TransferAmountEnforcer') {
-        // encodePacked(address[20], uint256[32])
-        const token = '0x' + caveat.terms.slice(2, 42);
-        const amount = BigInt('0x' + caveat.terms.slice(42));
-        lines.push(`    Token:  ${token}`);
-        lines.push(`    Amount: ${formatUnits(amount, USDC_DECIMALS)} USDC max`);
-      }
-      if (enforcerName === 'TimestampEnforcer') {
-        // encodePacked(uint128 afterThreshold, uint128 beforeThreshold)
-        const afterThreshold = Number(BigInt('0x' + caveat.terms.slice(2, 34)));
-        const beforeThreshold = Number(BigInt('0x' + caveat.terms.slice(34, 66)));
-        if (afterThreshold > 0) {
-          lines.push(`    Valid after: ${new Date(afterThreshold * 1000).toISOString()}`);
-        }
-        if (beforeThreshold > 0) {
-          lines.push(`    Expires: ${new Date(beforeThreshold * 1000).toISOString()}`);
-        }
-      }
-      if (enforcerName === 'ValueLteEnforcer') {
-        const maxValue = BigInt(caveat.terms);
-        if (maxValue === 0n) {
-          lines.push(`    Max ETH: 0 (ERC20 only, no ETH transfers)`);
-        } else {
-          lines.push(`    Max ETH: ${formatUnits(maxValue, 18)} ETH`);
-        }
-      }
-    } catch (e) {
-      lines.push(`    Terms: ${caveat.terms.slice(0, 20)}...`);
-    }
+    lines.push(`  - ${getEnforcerName(caveat.enforcer, network)}`);
+    lines.push(...formatCaveat(caveat, network).map(line => `    ${line}`));
   }
   
   lines.push(`Hash:      ${getDelegationHash(delegation)}`);
@@ -550,25 +3158,74 @@ export function formatDelegation(delegation) {
 /**
  * Encode a single call execution for ERC-7579
  * Mode: 0x00 (default execution, single call)
+ * 
+ * Per ExecutionLib.decodeSingle: encodePacked(target, value, callData) =
+ * 20 bytes + 32 bytes + callData (not ABI-encoded - enforcers read the
+ * value and calldata at fixed offsets)
  */
 export function encodeSingleExecution(target, value, data) {
+  return encodePacked(['address', 'uint256', 'bytes'], [target, value, data]);
+}
+
+/**
+ * Encode a batch of call executions for ERC-7579
+ * Per ExecutionLib.decodeBatch: abi.encode(Execution[]) where
+ *   Execution = (address target, uint256 value, bytes callData)
+ * 
+ * Use with BATCH_CALL_MODE. Note that ERC20TransferAmountEnforcer and
+ * ValueLteEnforcer only accept the single call type (onlySingleCallTypeMode),
+ * so delegations using the default enforcer stack must batch at the
+ * redeemDelegations level instead (one single-call execution per entry).
+ * getSingleCallOnlyEnforcers() lists what stands in the way.
+ * 
+ * @param {{ target: string, value: bigint, callData: string }[]} executions
+ * @returns {string} ABI-encoded Execution[]
+ */
+export function encodeBatchExecution(executions) {
   return encodeAbiParameters(
-    parseAbiParameters('address target, uint256 value, bytes data'),
-    [target, value, data]
+    [{
+      type: 'tuple[]',
+      components: [
+        { name: 'target', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'callData', type: 'bytes' }
+      ]
+    }],
+    [executions.map(e => ({ target: e.target, value: e.value ?? 0n, callData: e.callData }))]
   );
 }
 
 /**
- * Build the permission context for redeemDelegations
- * This encodes the delegation chain for validation
+ * ABI components of the on-chain Delegation struct (with nested Caveat[])
+ * Matches DelegationManager.sol / IDelegationManager.Delegation
+ */
+export const DELEGATION_ABI_COMPONENTS = [
+  { name: 'delegate', type: 'address' },
+  { name: 'delegator', type: 'address' },
+  { name: 'authority', type: 'bytes32' },
+  { name: 'caveats', type: 'tuple[]', components: [
+    { name: 'enforcer', type: 'address' },
+    { name: 'terms', type: 'bytes' },
+    { name: 'args', type: 'bytes' }
+  ]},
+  { name: 'salt', type: 'uint256' },
+  { name: 'signature', type: 'bytes' }
+];
+
+const PERMISSION_CONTEXT_PARAMS = [{ type: 'tuple[]', components: DELEGATION_ABI_COMPONENTS }];
+
+/**
+ * Build the ABI-encoded permission context for redeemDelegations
+ * The context is an array of Delegation structs, leaf to root
+ * 
+ * Per DelegationManager.sol:
+ *   Delegation[] memory delegations_ = abi.decode(_permissionContexts[batchIndex_], (Delegation[]));
  * 
  * @param {Object[]} delegationChain - Array of delegations, leaf to root
- * @returns {string} Encoded permission context
+ * @returns {string} ABI-encoded Delegation[]
  */
 export function encodePermissionContext(delegationChain) {
-  // The permission context is the ABI-encoded delegation array
-  // Each delegation in the chain is encoded as a tuple
-  const encoded = delegationChain.map(d => ({
+  const delegations = delegationChain.map(d => ({
     delegate: d.delegate,
     delegator: d.delegator,
     authority: d.authority,
@@ -577,13 +3234,35 @@ export function encodePermissionContext(delegationChain) {
       terms: c.terms,
       args: c.args || '0x'
     })),
-    salt: d.salt.toString(),
+    salt: typeof d.salt === 'bigint' ? d.salt : BigInt(d.salt),
     signature: d.signature
   }));
   
-  // For now, return stringified for reference
-  // In production, this would be proper ABI encoding
-  return JSON.stringify(encoded);
+  return encodeAbiParameters(PERMISSION_CONTEXT_PARAMS, [delegations]);
+}
+
+/**
+ * Decode a permission context back into delegation objects
+ * Useful for inspecting redeemDelegations calldata taken from a mempool or explorer
+ * 
+ * @param {string} permissionContext - ABI-encoded Delegation[]
+ * @returns {Object[]} Delegations, leaf to root (salt as bigint)
+ */
+export function decodePermissionContext(permissionContext) {
+  const [delegations] = decodeAbiParameters(PERMISSION_CONTEXT_PARAMS, permissionContext);
+  
+  return delegations.map(d => ({
+    delegate: d.delegate,
+    delegator: d.delegator,
+    authority: d.authority,
+    caveats: d.caveats.map(c => ({
+      enforcer: c.enforcer,
+      terms: c.terms,
+      args: c.args
+    })),
+    salt: d.salt,
+    signature: d.signature
+  }));
 }
 
 /**
@@ -0,0 +1,142 @@
+/**
+ * Typed errors thrown by DelegationClient (see client.mjs)
+ *
+ * Every error carries a stable `code` so callers can branch without parsing
+ * messages, and `details` - the individual reasons (caveat violations, failed
+ * checks) the CLIs print as a bullet list.
+ */
+
+/**
+ * Process exit code per error code - one per failure class, so orchestration
+ * can branch on `$?`. 1 is anything unexpected.
+ */
+export const EXIT_CODES = {
+  DELEGATION_ERROR: 1,
+  CONFIG_ERROR: 2,
+  NOT_FOUND: 3,
+  NETWORK_MISMATCH: 4,
+  NOT_AUTHORIZED: 5,
+  VALIDATION_FAILED: 6,
+  INVALID_SIGNATURE: 7,
+  PREFLIGHT_FAILED: 8,
+  SIMULATION_FAILED: 9,
+  TRANSACTION_FAILED: 10,
+  RPC_ERROR: 11
+};
+
+export class DelegationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Stable machine-readable code
+   * @param {string[]} [options.details] - Individual reasons
+   * @param {Error} [options.cause] - Underlying error (RPC, viem)
+   */
+  constructor(message, { code = 'DELEGATION_ERROR', details = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+
+  get exitCode() {
+    return EXIT_CODES[this.code] ?? 1;
+  }
+
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message, details: this.details };
+  }
+}
+
+/** Missing or unusable configuration or arguments (no private key, bad flags) */
+export class ConfigError extends DelegationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFIG_ERROR', ...options });
+  }
+}
+
+/** Delegation file or stored hash could not be loaded */
+export class NotFoundError extends DelegationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+/** Delegation was signed for a different chain or DelegationManager */
+export class NetworkMismatchError extends DelegationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NETWORK_MISMATCH', ...options });
+  }
+}
+
+/** The signer is not the delegate (redeem, sub-delegate) or delegator (revoke) */
+export class NotAuthorizedError extends DelegationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_AUTHORIZED', ...options });
+  }
+}
+
+/** Scope widening, caveat violations or a broken chain - `details` lists each one */
+export class ValidationError extends DelegationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VALIDATION_FAILED', ...options });
+  }
+}
+
+/** Sibling sub-delegations would allocate more than the parent's cap - `budget` holds the allocation */
+export class BudgetExceededError extends ValidationError {
+  constructor(message, { budget = null, ...options } = {}) {
+    super(message, options);
+    this.budget = budget;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), budget: this.budget };
+  }
+}
+
+/** A signature the DelegationManager would reject */
+export class SignatureError extends DelegationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_SIGNATURE', ...options });
+  }
+}
+
+/** One or more preflight checks failed - `checks` holds the full report */
+export class PreflightError extends DelegationError {
+  constructor(message, { checks = [], ...options } = {}) {
+    super(message, { code: 'PREFLIGHT_FAILED', ...options });
+    this.checks = checks;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), checks: this.checks };
+  }
+}
+
+/** eth_call of redeemDelegations reverted */
+export class SimulationError extends DelegationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'SIMULATION_FAILED', ...options });
+  }
+}
+
+/** Broadcast failed or the transaction reverted */
+export class TransactionError extends DelegationError {
+  constructor(message, { transactionHash = null, blockNumber = null, ...options } = {}) {
+    super(message, { code: 'TRANSACTION_FAILED', ...options });
+    this.transactionHash = transactionHash;
+    this.blockNumber = blockNumber;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), transactionHash: this.transactionHash, blockNumber: this.blockNumber };
+  }
+}
+
+/** A required on-chain read failed (RPC unreachable) */
+export class RpcError extends DelegationError {
+  constructor(message, options = {}) {
+    super(message, { code: 'RPC_ERROR', ...options });
+  }
+}
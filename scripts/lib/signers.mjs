@@ -0,0 +1,344 @@
+/**
+ * Signer backends
+ *
+ * The scripts sign with the first configured backend:
+ *
+ *   PRIVATE_KEY        Raw key in the environment (testnets, CI)
+ *   KEYSTORE_PATH      Encrypted JSON keystore (Web3 Secret Storage v3, as written by
+ *                      create-keystore.mjs, geth or `cast wallet import`). The passphrase
+ *                      comes from KEYSTORE_PASSWORD or is prompted for on the terminal.
+ *   REMOTE_SIGNER_URL  JSON-RPC signer (Web3Signer, Clef, ... - or anvil as a local
+ *                      stand-in) that signs with eth_signTypedData_v4, eth_signTransaction
+ *                      and personal_sign. REMOTE_SIGNER_ADDRESS selects the account
+ *                      (default: the first of eth_accounts).
+ *
+ * Every backend yields a viem Account, so getClients(), signDelegation() and
+ * DelegationClient work the same with all of them - only a keystore holds the
+ * key in this process, and only after decrypting it in memory.
+ */
+
+import { readFileSync } from 'fs';
+import { createCipheriv, createDecipheriv, pbkdf2Sync, randomBytes, randomUUID, scryptSync } from 'crypto';
+import {
+  bytesToHex,
+  concat,
+  createClient,
+  formatTransactionRequest,
+  getAddress,
+  getTypesForEIP712Domain,
+  hexToBytes,
+  http,
+  isAddress,
+  keccak256,
+  numberToHex,
+  serializeTypedData,
+  toHex
+} from 'viem';
+import { privateKeyToAccount, toAccount } from 'viem/accounts';
+import { ConfigError, NotAuthorizedError, RpcError } from './errors.mjs';
+
+export const SIGNER_REQUIRED = 'No signer configured - set PRIVATE_KEY, KEYSTORE_PATH or REMOTE_SIGNER_URL';
+
+// geth's "standard" scrypt parameters
+const SCRYPT_DEFAULTS = { n: 262144, r: 8, p: 1, dklen: 32 };
+
+// =============================================================================
+// ENCRYPTED KEYSTORE (Web3 Secret Storage v3)
+// =============================================================================
+
+function deriveKeystoreKey(password, { kdf, kdfparams }) {
+  const secret = Buffer.from(password.normalize('NFKD'), 'utf8');
+  const salt = Buffer.from(kdfparams.salt, 'hex');
+
+  if (kdf === 'scrypt') {
+    const { n, r, p, dklen } = kdfparams;
+    try {
+      return scryptSync(secret, salt, dklen, { N: n, r, p, maxmem: 128 * n * r + 64 * 1024 * 1024 });
+    } catch (e) {
+      // OpenSSL also enforces RFC 7914's n < 2^(16r)
+      throw new ConfigError(`Unsupported keystore scrypt parameters (n=${n}, r=${r}, p=${p}): ${e.message}`);
+    }
+  }
+  if (kdf === 'pbkdf2') {
+    if (kdfparams.prf !== 'hmac-sha256') {
+      throw new ConfigError(`Unsupported keystore pbkdf2 prf: ${kdfparams.prf} (expected hmac-sha256)`);
+    }
+    return pbkdf2Sync(secret, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+  }
+  throw new ConfigError(`Unsupported keystore kdf: ${kdf} (expected scrypt or pbkdf2)`);
+}
+
+/**
+ * The crypto section of a v3 keystore, once every field decryptKeystore() reads is there
+ * @throws {ConfigError} Not a keystore, or one with missing fields
+ */
+function getKeystoreCrypto(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new ConfigError('Not a v3 keystore: expected a JSON object');
+  }
+  const crypto = json.crypto || json.Crypto;
+  const fields = {
+    version: json.version !== undefined,
+    crypto: Boolean(crypto) && typeof crypto === 'object',
+    'crypto.cipher': typeof crypto?.cipher === 'string',
+    'crypto.cipherparams.iv': typeof crypto?.cipherparams?.iv === 'string',
+    'crypto.ciphertext': typeof crypto?.ciphertext === 'string',
+    'crypto.kdf': typeof crypto?.kdf === 'string',
+    'crypto.kdfparams': Boolean(crypto?.kdfparams) && typeof crypto.kdfparams.salt === 'string',
+    'crypto.mac': typeof crypto?.mac === 'string'
+  };
+  // Without a crypto section, naming each of its fields adds nothing
+  const missing = Object.keys(fields)
+    .filter(field => !fields[field])
+    .filter(field => fields.crypto || !field.startsWith('crypto.'));
+  if (missing.length > 0) {
+    throw new ConfigError(`Not a v3 keystore: missing ${missing.join(', ')}`);
+  }
+  if (Number(json.version) !== 3) {
+    throw new ConfigError(`Unsupported keystore version: ${json.version} (expected 3)`);
+  }
+  return crypto;
+}
+
+const keystoreMac = (derivedKey, ciphertext) =>
+  keccak256(concat([bytesToHex(derivedKey.subarray(16, 32)), bytesToHex(ciphertext)])).slice(2);
+
+/**
+ * Decrypt a v3 keystore
+ *
+ * @param {Object|string} keystore - Keystore JSON (object or string)
+ * @param {string} password
+ * @returns {string} Private key (0x-prefixed)
+ * @throws {ConfigError} Wrong passphrase (MAC mismatch), not a keystore or unsupported format
+ */
+export function decryptKeystore(keystore, password) {
+  let json = keystore;
+  if (typeof keystore === 'string') {
+    try {
+      json = JSON.parse(keystore);
+    } catch (e) {
+      throw new ConfigError(`Not a v3 keystore: ${e.message}`, { cause: e });
+    }
+  }
+
+  const crypto = getKeystoreCrypto(json);
+  if (crypto.cipher !== 'aes-128-ctr') {
+    throw new ConfigError(`Unsupported keystore cipher: ${crypto.cipher} (expected aes-128-ctr)`);
+  }
+
+  const derivedKey = deriveKeystoreKey(password, crypto);
+  const ciphertext = Buffer.from(crypto.ciphertext, 'hex');
+  if (keystoreMac(derivedKey, ciphertext) !== crypto.mac.toLowerCase()) {
+    throw new ConfigError('Wrong keystore passphrase (MAC mismatch)');
+  }
+
+  const decipher = createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, 'hex'));
+  const privateKey = toHex(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+
+  if (json.address && privateKeyToAccount(privateKey).address.toLowerCase() !== `0x${json.address.replace(/^0x/, '')}`.toLowerCase()) {
+    throw new ConfigError(`Keystore decrypts to a key that is not ${json.address}`);
+  }
+  return privateKey;
+}
+
+/**
+ * Encrypt a private key as a v3 keystore (scrypt, aes-128-ctr)
+ *
+ * @param {string} privateKey - 0x-prefixed private key
+ * @param {string} password
+ * @param {Object} [kdfparams] - scrypt cost, default geth's n=262144, r=8, p=1
+ * @returns {Object} Keystore JSON
+ */
+export function encryptKeystore(privateKey, password, kdfparams = {}) {
+  const params = { ...SCRYPT_DEFAULTS, ...kdfparams, salt: randomBytes(32).toString('hex') };
+  const derivedKey = deriveKeystoreKey(password, { kdf: 'scrypt', kdfparams: params });
+  const iv = randomBytes(16);
+  const cipher = createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(hexToBytes(privateKey)), cipher.final()]);
+
+  return {
+    version: 3,
+    id: randomUUID(),
+    address: privateKeyToAccount(privateKey).address.slice(2).toLowerCase(),
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams: params,
+      mac: keystoreMac(derivedKey, ciphertext)
+    }
+  };
+}
+
+/**
+ * Load and decrypt a keystore file into a viem account
+ *
+ * @param {string} path - Keystore file
+ * @param {string} password
+ * @returns {import('viem').LocalAccount}
+ */
+export function keystoreAccount(path, password) {
+  let keystore;
+  try {
+    keystore = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`Cannot read keystore ${path}: ${e.message}`);
+  }
+  return privateKeyToAccount(decryptKeystore(keystore, password));
+}
+
+/**
+ * Read a passphrase from the terminal without echoing it
+ *
+ * @param {string} question - Printed on stderr (stdout stays clean for --json)
+ * @returns {Promise<string>}
+ * @throws {ConfigError} When stdin is not a terminal, or on Ctrl-C
+ */
+export function promptPassphrase(question) {
+  const { stdin, stderr } = process;
+  if (!stdin.isTTY) {
+    return Promise.reject(new ConfigError('KEYSTORE_PASSWORD required - stdin is not a terminal to prompt on'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let input = '';
+    const done = (error) => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      stderr.write('\n');
+      error ? reject(error) : resolve(input);
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n' || char === '\u0004') return done();
+        if (char === '\u0003') return done(new ConfigError('Passphrase entry cancelled'));
+        if (char === '\u007f' || char === '\b') input = input.slice(0, -1);
+        else input += char;
+      }
+    };
+
+    stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+// =============================================================================
+// REMOTE SIGNER (JSON-RPC)
+// =============================================================================
+
+/**
+ * Account whose signatures come from a JSON-RPC signer
+ *
+ * Delegations are signed with eth_signTypedData_v4, transactions with
+ * eth_signTransaction (the signed transaction is broadcast through the
+ * network's RPC as usual) and messages with personal_sign. The key never
+ * leaves the signer.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Signer endpoint
+ * @param {string} [options.address] - Account to sign with (default: first of eth_accounts)
+ * @param {Object<string, string>} [options.headers] - Extra HTTP headers (e.g. Authorization)
+ * @returns {Promise<import('viem').LocalAccount>}
+ */
+export async function remoteSignerAccount({ url, address, headers }) {
+  const signer = createClient({
+    transport: http(url, { retryCount: 0, ...(headers && { fetchOptions: { headers } }) })
+  });
+
+  const request = async (method, params) => {
+    try {
+      return await signer.request({ method, params });
+    } catch (e) {
+      throw new RpcError(`Remote signer ${method} failed`, {
+        details: [`${url}: ${e.details || e.shortMessage || e.message}`],
+        cause: e
+      });
+    }
+  };
+
+  const accounts = (await request('eth_accounts', [])).map(a => getAddress(a));
+  if (!address) {
+    if (accounts.length === 0) {
+      throw new ConfigError(`Remote signer ${url} lists no accounts - set REMOTE_SIGNER_ADDRESS`);
+    }
+    address = accounts[0];
+  } else if (!isAddress(address)) {
+    throw new ConfigError(`Invalid REMOTE_SIGNER_ADDRESS: ${address}`);
+  } else if (accounts.length > 0 && !accounts.some(a => a.toLowerCase() === address.toLowerCase())) {
+    throw new NotAuthorizedError(`Remote signer ${url} does not hold ${address}`, {
+      details: [`Accounts: ${accounts.join(', ')}`]
+    });
+  }
+  address = getAddress(address);
+
+  return toAccount({
+    address,
+
+    async signMessage({ message }) {
+      const data = typeof message === 'string' ? toHex(message) : typeof message.raw === 'string' ? message.raw : bytesToHex(message.raw);
+      return request('personal_sign', [data, address]);
+    },
+
+    async signTypedData({ domain = {}, types, primaryType, message }) {
+      const typedData = serializeTypedData({
+        domain,
+        types: { EIP712Domain: getTypesForEIP712Domain({ domain }), ...types },
+        primaryType,
+        message
+      });
+      return request('eth_signTypedData_v4', [address, typedData]);
+    },
+
+    async signTransaction(transaction) {
+      return request('eth_signTransaction', [{
+        ...formatTransactionRequest({ ...transaction, from: address }),
+        chainId: numberToHex(transaction.chainId)
+      }]);
+    }
+  });
+}
+
+// =============================================================================
+// BACKEND SELECTION
+// =============================================================================
+
+/**
+ * Resolve the configured signer backend into a viem account
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - PRIVATE_KEY, KEYSTORE_PATH, KEYSTORE_PASSWORD,
+ *   REMOTE_SIGNER_URL, REMOTE_SIGNER_ADDRESS
+ * @param {(question: string) => Promise<string>} [options.prompt] - Asks for the keystore
+ *   passphrase when KEYSTORE_PASSWORD is unset (default: hidden terminal prompt)
+ * @returns {Promise<import('viem').Account | null>} null when no backend is configured
+ */
+export async function loadSigner({ env = process.env, prompt = promptPassphrase } = {}) {
+  if (env.PRIVATE_KEY) {
+    return privateKeyToAccount(env.PRIVATE_KEY);
+  }
+  if (env.KEYSTORE_PATH) {
+    const password = env.KEYSTORE_PASSWORD ?? await prompt(`Passphrase for ${env.KEYSTORE_PATH}: `);
+    return keystoreAccount(env.KEYSTORE_PATH, password);
+  }
+  if (env.REMOTE_SIGNER_URL) {
+    return remoteSignerAccount({ url: env.REMOTE_SIGNER_URL, address: env.REMOTE_SIGNER_ADDRESS });
+  }
+  return null;
+}
+
+/**
+ * loadSigner(), but a missing backend is a ConfigError
+ * @returns {Promise<import('viem').Account>}
+ */
+export async function requireSigner(options) {
+  const account = await loadSigner(options);
+  if (!account) {
+    throw new ConfigError(SIGNER_REQUIRED);
+  }
+  return account;
+}
@@ -0,0 +1,209 @@
+/**
+ * Local delegation store
+ *
+ * create-delegation.mjs and create-subdelegation.mjs save every delegation here
+ * as <delegationHash>.json - the same JSON they write with --output - so the
+ * other scripts can take `--hash 0x...` instead of a file path.
+ *
+ * Location: ~/.usdc-delegations (override with the DELEGATION_STORE env var)
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { basename, join } from 'path';
+import {
+  getDelegationHash,
+  parseDelegation,
+  decodeTimestampTerms,
+  getNetwork,
+  NETWORKS,
+  ROOT_AUTHORITY
+} from './delegation.mjs';
+
+export function getStoreDir() {
+  return process.env.DELEGATION_STORE || join(homedir(), '.usdc-delegations');
+}
+
+/**
+ * Save a serialized delegation (as written by the create scripts) under its hash
+ * @param {Object} raw - Delegation JSON (salt as string)
+ * @returns {{ hash: string, path: string }}
+ */
+export function saveDelegation(raw) {
+  const dir = getStoreDir();
+  mkdirSync(dir, { recursive: true });
+
+  const hash = getDelegationHash(parseDelegation(raw)).toLowerCase();
+  const path = join(dir, `${hash}.json`);
+  writeFileSync(path, JSON.stringify(raw, null, 2));
+
+  return { hash, path };
+}
+
+/**
+ * Load every delegation file in a directory
+ * Other JSON (receipts, payouts) is skipped. A file that is not valid JSON or
+ * holds a delegation that cannot be hashed (malformed salt, caveats or
+ * addresses) is skipped with a warning naming it, so one bad file does not
+ * hide the rest of the directory.
+ *
+ * @param {string} dir - Directory to scan
+ * @param {Object} [options]
+ * @param {(message: string) => void} [options.warn] - Gets one message per skipped file
+ *   (default: console.warn - stderr, since stdout carries --json output and the MCP protocol)
+ * @returns {{ hash: string, path: string, raw: Object }[]}
+ */
+export function loadDelegationDirectory(dir, { warn = console.warn } = {}) {
+  if (!existsSync(dir)) return [];
+
+  const entries = [];
+  for (const f of readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    const path = join(dir, f);
+    try {
+      const raw = JSON.parse(readFileSync(path, 'utf8'));
+      if (!isDelegationJson(raw)) continue;
+      entries.push({ path, raw, hash: getDelegationHash(parseDelegation(raw)).toLowerCase() });
+    } catch (e) {
+      warn(`⚠️  Skipping ${path}: ${e.shortMessage || e.message}`);
+    }
+  }
+  return entries;
+}
+
+function isDelegationJson(raw) {
+  return Boolean(raw && raw.delegator && raw.delegate && raw.authority && Array.isArray(raw.caveats));
+}
+
+/**
+ * List the delegations in the store
+ * @param {Object} [options] - See loadDelegationDirectory()
+ * @returns {{ hash: string, path: string, raw: Object }[]}
+ */
+export function listStoredDelegations(options) {
+  return loadDelegationDirectory(getStoreDir(), options);
+}
+
+/**
+ * File stored delegations under their current hash
+ *
+ * Delegations saved before DELEGATION_TYPEHASH / CAVEAT_TYPEHASH were fixed
+ * to match DelegationManager are named by (and carry a `_meta.delegationHash`
+ * of) a hash the contracts never used. Each is moved to <hash>.json with
+ * `_meta.delegationHash` updated. Sub-delegations whose `authority` is not the
+ * hash of their embedded parent were signed against such a hash and can never
+ * be redeemed - they are reported, not changed, and must be re-created.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report without touching any file
+ * @returns {{ rekeyed: { from: string, to: string }[], stale: { hash: string, authority: string, parentHash: string }[] }}
+ */
+export function rekeyStore({ dryRun = false } = {}) {
+  const dir = getStoreDir();
+  const rekeyed = [];
+  const stale = [];
+
+  for (const { path, raw, hash } of loadDelegationDirectory(dir)) {
+    const parent = raw._chain?.parent;
+    if (parent) {
+      let parentHash;
+      try {
+        parentHash = getDelegationHash(parseDelegation(parent)).toLowerCase();
+      } catch (e) {
+        console.warn(`⚠️  Cannot hash the parent embedded in ${path}: ${e.shortMessage || e.message}`);
+      }
+      if (parentHash && raw.authority.toLowerCase() !== parentHash) {
+        stale.push({ hash, authority: raw.authority.toLowerCase(), parentHash });
+      }
+    }
+
+    const from = basename(path, '.json').toLowerCase();
+    if (from === hash && (!raw._meta || raw._meta.delegationHash?.toLowerCase() === hash)) continue;
+
+    rekeyed.push({ from, to: hash });
+    if (dryRun) continue;
+    const updated = raw._meta ? { ...raw, _meta: { ...raw._meta, delegationHash: hash } } : raw;
+    writeFileSync(join(dir, `${hash}.json`), JSON.stringify(updated, null, 2));
+    if (from !== hash) unlinkSync(path);
+  }
+
+  return { rekeyed, stale };
+}
+
+/**
+ * Load a stored delegation by hash
+ * A unique prefix of the hash (at least 8 hex digits) is enough.
+ *
+ * @param {string} hash - Delegation hash or prefix
+ * @returns {Object} Delegation JSON
+ */
+export function loadStoredDelegation(hash) {
+  const needle = hash.toLowerCase();
+  if (!/^0x[0-9a-f]{8,64}$/.test(needle)) {
+    throw new Error(`Invalid delegation hash "${hash}"`);
+  }
+
+  const exact = join(getStoreDir(), `${needle}.json`);
+  if (existsSync(exact)) {
+    return JSON.parse(readFileSync(exact, 'utf8'));
+  }
+
+  const matches = listStoredDelegations().filter(d => d.hash.startsWith(needle));
+  if (matches.length === 0) {
+    throw new Error(`No delegation ${hash} in ${getStoreDir()}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Hash prefix ${hash} is ambiguous (${matches.length} delegations) - use more digits`);
+  }
+  return matches[0].raw;
+}
+
+/**
+ * Read a delegation from --hash (store) or a file path
+ * @param {Object} options
+ * @param {string} [options.file] - Path to delegation JSON
+ * @param {string} [options.hash] - Delegation hash in the store
+ * @returns {Object} Delegation JSON
+ */
+export function readDelegationInput({ file, hash }) {
+  if (hash) return loadStoredDelegation(hash);
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+/**
+ * Summarize a stored delegation for listing
+ *
+ * Status from the TimestampEnforcer window:
+ *   pending - before notBefore
+ *   expired - at or after the expiry
+ *   active  - otherwise
+ * Revocation is on-chain state and is layered on by the caller.
+ *
+ * @param {Object} raw - Delegation JSON
+ * @param {number} [now] - Unix seconds
+ */
+export function summarizeDelegation(raw, now = Math.floor(Date.now() / 1000)) {
+  const delegation = parseDelegation(raw);
+  const networkName = raw._meta?.network;
+  const network = NETWORKS[networkName] ? getNetwork(networkName) : getNetwork();
+
+  const timestamp = delegation.caveats.find(c =>
+    c.enforcer.toLowerCase() === network.contracts.TimestampEnforcer.toLowerCase()
+  );
+  const { notBefore, notAfter } = timestamp ? decodeTimestampTerms(timestamp.terms) : { notBefore: 0, notAfter: 0 };
+
+  let status = 'active';
+  if (notAfter > 0 && now >= notAfter) status = 'expired';
+  else if (notBefore > 0 && now <= notBefore) status = 'pending';
+
+  return {
+    hash: getDelegationHash(delegation).toLowerCase(),
+    network: networkName || network.name,
+    delegator: delegation.delegator,
+    delegate: delegation.delegate,
+    root: delegation.authority.toLowerCase() === ROOT_AUTHORITY,
+    notBefore,
+    expiry: notAfter,
+    status,
+    createdAt: raw._meta?.createdAt || null
+  };
+}
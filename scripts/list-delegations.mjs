@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * List delegations in the local store
+ *
+ * create-delegation.mjs and create-subdelegation.mjs save every delegation to
+ * ~/.usdc-delegations (or DELEGATION_STORE). Use the hashes shown here with
+ * `--hash` on any other script.
+ *
+ * Status is derived from the TimestampEnforcer window (active, pending, expired).
+ * With --check (implied by --status revoked), disabledDelegations is read for every
+ * hop of each delegation's chain and revoked delegations are marked as such.
+ *
+ * --rekey moves delegations stored before the delegation hash fix to their
+ * current hash and names sub-delegations signed against an old parent hash
+ * (see rekeyStore). Nothing else is listed; add --dry-run to only report.
+ *
+ * Usage:
+ *   node list-delegations.mjs
+ *   node list-delegations.mjs --delegate 0x... --status active
+ *   node list-delegations.mjs --expires-before 24h
+ *   node list-delegations.mjs --status revoked --network base
+ *   node list-delegations.mjs --status active --json
+ *   node list-delegations.mjs --rekey --dry-run
+ */
+
+import 'dotenv/config';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import {
+  getPublicClient,
+  loadDelegationChain,
+  isDelegationDisabled,
+  parseTimestamp,
+  getNetwork,
+  NETWORKS
+} from './lib/delegation.mjs';
+import { getStoreDir, listStoredDelegations, rekeyStore, summarizeDelegation } from './lib/store.mjs';
+import { ConfigError } from './lib/errors.mjs';
+import { run, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
+
+const STATUSES = ['active', 'pending', 'expired', 'revoked'];
+
+const argv = yargs(hideBin(process.argv))
+  .option('delegator', {
+    type: 'string',
+    description: 'Only delegations from this address'
+  })
+  .option('delegate', {
+    type: 'string',
+    description: 'Only delegations to this address'
+  })
+  .option('status', {
+    type: 'string',
+    description: 'Only delegations with this status',
+    choices: STATUSES
+  })
+  .option('expires-before', {
+    type: 'string',
+    description: 'Only delegations expiring before this time (duration from now, unix seconds, or ISO date)'
+  })
+  .option('expires-after', {
+    type: 'string',
+    description: 'Only delegations expiring after this time (delegations without expiry always match)'
+  })
+  .option('network', {
+    type: 'string',
+    description: 'Only delegations signed for this network',
+    choices: Object.keys(NETWORKS)
+  })
+  .option('check', {
+    type: 'boolean',
+    description: 'Read disabledDelegations on-chain to find revoked delegations',
+    default: false
+  })
+  .option('rekey', {
+    type: 'boolean',
+    description: 'File delegations stored before the delegation hash fix under their current hash',
+    default: false
+  })
+  .option('dry-run', {
+    type: 'boolean',
+    description: 'With --rekey: report what would be moved without touching the store',
+    default: false,
+    implies: 'rekey'
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
+  .help()
+  .argv;
+
+const shortHash = (hash) => `${hash.slice(0, 10)}…${hash.slice(-6)}`;
+const shortAddress = (address) => `${address.slice(0, 8)}…${address.slice(-4)}`;
+
+/**
+ * True if the delegation or any hop above it was disabled
+ */
+async function isChainRevoked(raw, network) {
+  const publicClient = getPublicClient(network);
+  const results = await Promise.all(
+    loadDelegationChain(raw).map(d => isDelegationDisabled(publicClient, d, network))
+  );
+  return results.some(Boolean);
+}
+
+/**
+ * Parse an --expires-* value, as a usage error if invalid
+ */
+function parseExpiryFilter(value, flag) {
+  if (!value) return null;
+  try {
+    return parseTimestamp(value);
+  } catch (e) {
+    throw new ConfigError(`Invalid --${flag}: ${e.message}`);
+  }
+}
+
+/**
+ * --rekey: move old-hash files and name the sub-delegations that must be re-created
+ */
+function rekey() {
+  const { rekeyed, stale } = rekeyStore({ dryRun: argv.dryRun });
+
+  if (argv.json) {
+    printJson({ store: getStoreDir(), dryRun: argv.dryRun, rekeyed, stale });
+    return;
+  }
+
+  if (rekeyed.length === 0) {
+    console.log('  Every stored delegation is filed under its current hash');
+  }
+  for (const { from, to } of rekeyed) {
+    console.log(`  ${argv.dryRun ? 'Would move' : 'Moved'} ${shortHash(from)} → ${to}`);
+  }
+  if (stale.length > 0) {
+    console.log('\n⚠️  Signed against an old parent hash - these can never be redeemed, re-create them:');
+    for (const { hash, authority, parentHash } of stale) {
+      console.log(`  ${hash}\n    authority ${authority}, parent is ${parentHash}`);
+    }
+  }
+}
+
+async function main() {
+  // Human output only - with --json the rows are printed at the end
+  const log = argv.json ? () => {} : console.log;
+
+  log('🗄️  Stored Delegations\n');
+  log(`📂 Store: ${getStoreDir()}\n`);
+
+  if (argv.rekey) {
+    rekey();
+    return;
+  }
+
+  const stored = listStoredDelegations();
+  const expiresBefore = parseExpiryFilter(argv.expiresBefore, 'expires-before');
+  const expiresAfter = parseExpiryFilter(argv.expiresAfter, 'expires-after');
+
+  let rows = stored
+    .map(entry => ({ ...summarizeDelegation(entry.raw), raw: entry.raw }))
+    .filter(d => !argv.delegator || d.delegator.toLowerCase() === argv.delegator.toLowerCase())
+    .filter(d => !argv.delegate || d.delegate.toLowerCase() === argv.delegate.toLowerCase())
+    .filter(d => !argv.network || d.network === argv.network)
+    .filter(d => expiresBefore === null || (d.expiry > 0 && d.expiry < expiresBefore))
+    .filter(d => expiresAfter === null || d.expiry === 0 || d.expiry > expiresAfter);
+
+  // Revocation is on-chain state - only read it when asked
+  if (argv.check || argv.status === 'revoked') {
+    log('🔍 Checking disabledDelegations on-chain...\n');
+    await Promise.all(rows.map(async (row) => {
+      try {
+        if (await isChainRevoked(row.raw, getNetwork(row.network))) {
+          row.status = 'revoked';
+        }
+      } catch (e) {
+        row.checkError = e.shortMessage || e.message;
+      }
+    }));
+  }
+
+  if (argv.status) {
+    rows = rows.filter(d => d.status === argv.status);
+  }
+
+  rows.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+  if (argv.json) {
+    printJson({
+      store: getStoreDir(),
+      stored: stored.length,
+      delegations: rows.map(({ raw, ...row }) => row)
+    });
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log(stored.length === 0
+      ? '  No delegations stored yet - create one with create-delegation.mjs'
+      : `  No delegations match (${stored.length} stored)`);
+    return;
+  }
+
+  const icons = { active: '✅', pending: '⏳', expired: '⌛', revoked: '🚫' };
+  console.log('  Hash                 Type  Network       Delegator      Delegate       Expires                   Status');
+  console.log('  ───────────────────  ────  ────────────  ─────────────  ─────────────  ────────────────────────  ──────────');
+  for (const d of rows) {
+    const expires = d.expiry > 0 ? new Date(d.expiry * 1000).toISOString() : 'never';
+    console.log(
+      `  ${shortHash(d.hash).padEnd(19)}  ${(d.root ? 'root' : 'sub').padEnd(4)}  ${d.network.padEnd(12)}  ` +
+      `${shortAddress(d.delegator).padEnd(13)}  ${shortAddress(d.delegate).padEnd(13)}  ${expires.padEnd(24)}  ` +
+      `${icons[d.status]} ${d.status}${d.checkError ? ' (⚠️  on-chain check failed)' : ''}`
+    );
+  }
+  console.log(`\n  ${rows.length} of ${stored.length} delegation(s)`);
+  console.log('\n💡 Use a hash (or its first 8+ hex digits) with any script: --hash 0x...');
+}
+
+run(main);
@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/**
+ * Model Context Protocol server for the delegation skill (stdio)
+ *
+ * Exposes the scripts as MCP tools with JSON Schema inputs and structured
+ * JSON results, so agents call them directly instead of parsing stdout:
+ *
+ *   create_delegation     DelegationClient.create()
+ *   create_subdelegation  DelegationClient.subDelegate()
+ *   check_scope           DelegationClient.check()
+ *   execute_transfer      DelegationClient.transfer()
+ *   revoke_delegation     DelegationClient.revoke()
+ *
+ * Signing tools use the signer configured in the environment (PRIVATE_KEY,
+ * KEYSTORE_PATH + KEYSTORE_PASSWORD or REMOTE_SIGNER_URL - see lib/signers.mjs);
+ * check_scope works without one. stdin carries the protocol, so a keystore
+ * passphrase cannot be prompted for.
+ * Nothing is broadcast unless a call asks for it (execute_transfer mode "execute",
+ * revoke_delegation execute: true).
+ *
+ * Usage (e.g. in an MCP client config):
+ *   { "command": "node", "args": ["scripts/mcp-server.mjs"], "env": { "PRIVATE_KEY": "0x..." } }
+ */
+
+import 'dotenv/config';
+import { readFileSync, realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  decodeCaveat,
+  NETWORKS,
+  DEFAULT_NETWORK
+} from './lib/delegation.mjs';
+import { DelegationClient } from './lib/client.mjs';
+import { loadSigner } from './lib/signers.mjs';
+import { DelegationError } from './lib/errors.mjs';
+import { toJson } from './lib/cli.mjs';
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// =============================================================================
+// INPUT SCHEMAS
+// =============================================================================
+
+const ADDRESS = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+const DURATION = { type: 'string', pattern: '^\\d+(s|m|h|d)$', description: 'Duration, e.g. 30m, 24h, 7d' };
+const USDC_AMOUNT = { type: 'string', pattern: '^[0-9]+(\\.[0-9]{1,6})?$', description: 'USDC amount as a decimal string, e.g. "100" or "12.5" (at most 6 decimal places)' };
+const DELEGATION_INPUT = {
+  type: ['string', 'object'],
+  description: 'Delegation hash (or 8+ digit prefix) in the local store, path to a delegation file, or the delegation JSON'
+};
+const NETWORK = {
+  type: 'string',
+  enum: Object.keys(NETWORKS),
+  description: `Network (default: ${DEFAULT_NETWORK})`
+};
+
+// Caveats shared by create_delegation and create_subdelegation
+const SCOPE_PROPERTIES = {
+  amount: { ...USDC_AMOUNT, description: 'Lifetime USDC cap (ERC20TransferAmountEnforcer)' },
+  expiry: { ...DURATION, description: 'Expiry from now, e.g. 24h, 7d (TimestampEnforcer)' },
+  periodAmount: { ...USDC_AMOUNT, description: 'USDC cap per period (ERC20PeriodTransferEnforcer); requires period' },
+  period: { ...DURATION, description: 'Period length for periodAmount, e.g. 1d' },
+  notBefore: { type: 'string', description: 'Delayed activation: duration from now (2h), unix seconds, or ISO date' },
+  redeemers: { type: 'array', items: ADDRESS, description: 'Only these addresses may redeem (RedeemerEnforcer)' },
+  recipients: { type: 'array', items: ADDRESS, description: 'USDC may only be transferred to these addresses' },
+  maxCalls: { type: 'integer', minimum: 1, description: 'Maximum number of redemptions (LimitedCallsEnforcer)' },
+  nonce: { type: 'boolean', description: "Bind to the delegator's NonceEnforcer nonce so bulk-revoke can invalidate it" },
+  store: { type: 'boolean', description: 'Save to the local delegation store (default true)' },
+  network: NETWORK
+};
+
+export const TOOLS = [
+  {
+    name: 'create_delegation',
+    description: 'Create and sign a scoped USDC delegation from the signer (or its DeleGator smart account) to a delegate. ' +
+      'Returns the signed delegation JSON and its hash. Nothing is sent on-chain.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        delegate: { ...ADDRESS, description: 'Address of the delegate (agent)' },
+        ...SCOPE_PROPERTIES,
+        smartAccount: { type: 'boolean', description: 'Delegate from the DeleGator smart account owned by the signer (required for redemption)' },
+        accountSalt: { type: 'integer', minimum: 0, description: 'Deploy salt of the smart account (default 0)' }
+      },
+      required: ['delegate', 'expiry']
+    }
+  },
+  {
+    name: 'create_subdelegation',
+    description: 'Sub-delegate part of a delegation the signer is the delegate of. Scope can only be narrowed - ' +
+      'amount, expiry and other caveats must stay within the parent and every ancestor, and a sub-delegation ' +
+      'that could never be redeemed is refused. Sibling sub-delegations of the same parent in the local store are ' +
+      'summed with this one: caps adding up to more than the parent\'s are returned as warnings (refused with strict). ' +
+      'Nothing is sent on-chain.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        parent: { ...DELEGATION_INPUT, description: `Parent delegation. ${DELEGATION_INPUT.description}` },
+        delegate: { ...ADDRESS, description: 'Address of the sub-delegate' },
+        ...SCOPE_PROPERTIES,
+        strict: { type: 'boolean', description: "Refuse instead of warn when sibling sub-delegations in the local store would allocate more than the parent's cap. Only stored siblings are counted, so store: false is refused" }
+      },
+      required: ['parent', 'delegate', 'expiry']
+    }
+  },
+  {
+    name: 'check_scope',
+    description: 'Inspect a delegation: signature validity, caveats, on-chain usage (spent amount, period usage, ' +
+      'redemptions, nonce), whether it matches the network, every hop of its chain and the effective scope of the ' +
+      'whole chain (tightest cap, remaining allowance, expiry, start, redeemers, recipients, each with the hop that ' +
+      'sets it). Read-only; no private key needed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        delegation: DELEGATION_INPUT,
+        network: NETWORK
+      },
+      required: ['delegation']
+    }
+  },
+  {
+    name: 'execute_transfer',
+    description: 'Redeem a delegation (the signer must be its delegate) for USDC transfers. mode "validate" checks every ' +
+      'caveat of the chain, "simulate" adds preflight checks and an eth_call, "execute" broadcasts redeemDelegations ' +
+      'and returns the receipt.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        delegation: DELEGATION_INPUT,
+        to: { ...ADDRESS, description: 'Recipient (single transfer)' },
+        amount: { ...USDC_AMOUNT, description: 'USDC amount (single transfer)' },
+        transfers: {
+          type: 'array',
+          description: 'Several transfers in one transaction (instead of to/amount)',
+          items: {
+            type: 'object',
+            properties: { to: ADDRESS, amount: USDC_AMOUNT },
+            required: ['to', 'amount']
+          },
+          minItems: 1
+        },
+        batchCall: { type: 'boolean', description: 'Custom caveat sets only: redeem as one BATCH_CALL_MODE execution. Always refused for delegations these tools create - leave unset to pay several transfers' },
+        mode: { type: 'string', enum: ['validate', 'simulate', 'execute'], description: 'Default: validate' },
+        network: NETWORK
+      },
+      required: ['delegation']
+    }
+  },
+  {
+    name: 'revoke_delegation',
+    description: 'Revoke delegations created by the signer with DelegationManager.disableDelegation(). Every ' +
+      'sub-delegation dies with them. Without execute: true, only reports which delegations and delegates lose access.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        delegations: { type: 'array', items: DELEGATION_INPUT, minItems: 1, description: 'Delegations to revoke' },
+        dir: { type: 'string', description: 'Directory of delegation files to search for sub-delegations (default: the local store)' },
+        check: { type: 'boolean', description: 'Include the on-chain status of every affected delegation' },
+        execute: { type: 'boolean', description: 'Send the revocation transactions (default false)' },
+        network: NETWORK
+      },
+      required: ['delegations']
+    }
+  }
+];
+
+// =============================================================================
+// RESULT SERIALIZATION
+// =============================================================================
+
+function errorResult(e) {
+  const error = e instanceof DelegationError
+    ? e.toJSON()
+    : { name: 'Error', code: 'INTERNAL_ERROR', message: e.shortMessage || e.message, details: [] };
+  const structuredContent = toJson({ error });
+  return {
+    isError: true,
+    content: [{ type: 'text', text: JSON.stringify(structuredContent, null, 2) }],
+    structuredContent
+  };
+}
+
+// Loaded on first use, so check_scope works without a signer configured. A failed
+// load (remote signer unreachable, no keystore passphrase) is not cached - the next
+// signing call tries again
+let signer;
+const getSigner = () => (signer ??= loadSigner().catch((e) => {
+  signer = undefined;
+  throw e;
+}));
+
+const clientFor = async (args, { sign = true } = {}) => new DelegationClient({
+  account: sign ? await getSigner() : undefined,
+  network: args.network || DEFAULT_NETWORK,
+  store: args.store ?? true
+});
+
+const summarize = (network) => (delegation) => ({
+  delegator: delegation.delegator,
+  delegate: delegation.delegate,
+  authority: delegation.authority,
+  caveats: delegation.caveats.map(c => decodeCaveat(c, network))
+});
+
+// =============================================================================
+// TOOL HANDLERS
+// =============================================================================
+
+export const HANDLERS = {
+  async create_delegation(args) {
+    const client = await clientFor(args);
+    const result = await client.create(args);
+    return {
+      hash: result.hash,
+      delegator: result.delegator,
+      smartAccount: result.smartAccount && { address: result.smartAccount.address, owner: result.smartAccount.owner },
+      nonce: result.nonce,
+      stored: result.stored,
+      warnings: result.warnings,
+      delegation: result.json
+    };
+  },
+
+  async create_subdelegation(args) {
+    const client = await clientFor(args);
+    const result = await client.subDelegate(args.parent, args);
+    return {
+      hash: result.hash,
+      parentHash: result.parentHash,
+      delegator: result.delegator,
+      nonce: result.nonce,
+      budget: result.budget,
+      stored: result.stored,
+      warnings: result.warnings,
+      delegation: result.json
+    };
+  },
+
+  async check_scope(args) {
+    const client = await clientFor(args, { sign: false });
+    const result = await client.check(args.delegation);
+    return {
+      hash: result.hash,
+      root: result.root,
+      ...summarize(client.network)(result.delegation),
+      chain: result.chain,
+      chainValidation: result.chainValidation,
+      effectiveScope: result.effectiveScope,
+      signature: result.signature,
+      networkValidation: result.networkValidation,
+      state: result.state,
+      stateErrors: result.stateErrors,
+      security: result.security
+    };
+  },
+
+  async execute_transfer(args) {
+    const mode = args.mode || 'validate';
+    const client = await clientFor(args);
+    const result = await client.transfer(args.delegation, {
+      ...(args.transfers ? { transfers: args.transfers } : { to: args.to, amount: args.amount }),
+      batchCall: args.batchCall,
+      simulate: mode === 'simulate',
+      execute: mode === 'execute'
+    });
+    return {
+      status: result.status,
+      delegationHash: result.delegationHash,
+      hops: result.chain.length,
+      transfers: result.transfers,
+      total: result.total,
+      stateByHop: result.stateByHop,
+      ...(result.preflight && { preflight: result.preflight }),
+      ...(result.receipt && { receipt: result.receipt }),
+      warnings: result.warnings
+    };
+  },
+
+  async revoke_delegation(args) {
+    const client = await clientFor(args);
+    const result = await client.revoke(args.delegations, { dir: args.dir, execute: args.execute });
+
+    let status;
+    if (args.check || args.execute) {
+      try {
+        status = (await client.getRevocationStatus(result)).map(({ hash, role, status, revokedAncestor }) => ({
+          hash, role, status, ...(revokedAncestor && { revokedAncestor })
+        }));
+      } catch (e) {
+        status = { error: e.shortMessage || e.message };
+      }
+    }
+
+    return {
+      executed: Boolean(args.execute),
+      targets: result.targets.map(t => ({
+        hash: t.hash,
+        delegate: t.delegation.delegate,
+        downstream: t.descendants.map(d => ({ hash: d.hash, delegate: d.delegation.delegate, depth: d.depth }))
+      })),
+      delegatesLosingAccess: result.delegatesLosingAccess,
+      results: result.results,
+      failed: result.failed,
+      ...(status && { status })
+    };
+  }
+};
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * MCP server with the tools registered, not yet connected to a transport
+ * @returns {Server}
+ */
+export function createServer() {
+  const server = new Server(
+    { name: 'usdc-delegation', version },
+    { capabilities: { tools: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const handler = HANDLERS[name];
+    if (!handler) {
+      return errorResult(new DelegationError(`Unknown tool: ${name}`, { code: 'UNKNOWN_TOOL' }));
+    }
+
+    try {
+      const structuredContent = toJson(await handler(args));
+      return {
+        content: [{ type: 'text', text: JSON.stringify(structuredContent, null, 2) }],
+        structuredContent
+      };
+    } catch (e) {
+      return errorResult(e);
+    }
+  });
+
+  return server;
+}
+
+// Only serve stdio when run directly - tests import createServer()
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // stdout carries the protocol - diagnostics go to stderr
+  await createServer().connect(new StdioServerTransport());
+  console.error(`usdc-delegation MCP server ${version} on stdio (${DEFAULT_NETWORK})`);
+}
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Preflight check before redeeming a delegation
+ *
+ * Verifies on-chain what redeemDelegations() needs to succeed:
+ *   - The root delegator is a deployed contract (DeleGator smart account)
+ *   - The root delegator holds at least --amount USDC
+ *   - Neither the delegation nor any ancestor is in disabledDelegations
+ *   - DelegationManager and every enforcer in the chain are deployed
+ *
+ * Exits 8 if any check fails (4 on a network mismatch). No private key needed.
+ *
+ * Usage:
+ *   node preflight.mjs --delegation ./delegation.json --amount 50
+ *   node preflight.mjs --delegation ./subdelegation.json --amount 50 --json
+ */
+
+import 'dotenv/config';
+import { formatUnits } from 'viem';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import {
+  getPublicClient,
+  getDelegationHash,
+  loadDelegationChain,
+  validateDelegationNetwork,
+  preflightDelegation,
+  parseUSDCAmount,
+  getNetwork,
+  USDC_DECIMALS,
+  NETWORKS,
+  DEFAULT_NETWORK
+} from './lib/delegation.mjs';
+import { readDelegationInput } from './lib/store.mjs';
+import { NetworkMismatchError, NotFoundError, PreflightError, ValidationError } from './lib/errors.mjs';
+import { run, fail, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
+
+const argv = yargs(hideBin(process.argv))
+  .option('delegation', {
+    type: 'string',
+    description: 'Path to delegation JSON file'
+  })
+  .option('hash', {
+    type: 'string',
+    description: 'Hash of a delegation in the local store (instead of --delegation)'
+  })
+  .option('amount', {
+    type: 'string',
+    description: 'USDC amount about to be transferred (checks the delegator balance)'
+  })
+  .option('json', JSON_OPTION)
+  .option('network', {
+    type: 'string',
+    description: 'Network to use',
+    choices: Object.keys(NETWORKS),
+    default: DEFAULT_NETWORK
+  })
+  .check(argv => {
+    if (!argv.delegation === !argv.hash) {
+      throw new Error('Provide either --delegation <file> or --hash <hash>');
+    }
+    return true;
+  })
+  .fail(failUsage)
+  .help()
+  .argv;
+
+const CHECK_LABELS = {
+  'delegator-deployed': 'Delegator deployed',
+  'usdc-balance': 'USDC balance',
+  'not-disabled': 'Not revoked',
+  'contracts-deployed': 'Contract deployed'
+};
+
+async function main() {
+  let raw;
+  try {
+    raw = readDelegationInput({ file: argv.delegation, hash: argv.hash });
+  } catch (e) {
+    throw new NotFoundError(`Could not load delegation: ${e.message}`, { cause: e });
+  }
+  const chain = loadDelegationChain(raw);
+
+  let amount;
+  if (argv.amount !== undefined) {
+    try {
+      amount = parseUSDCAmount(argv.amount, '--amount');
+    } catch (e) {
+      throw new ValidationError(e.message, { cause: e });
+    }
+  }
+
+  const network = getNetwork(argv.network);
+  const publicClient = getPublicClient(network);
+
+  const networkValidation = validateDelegationNetwork(raw, network);
+  const { passed, checks } = networkValidation.valid
+    ? await preflightDelegation(publicClient, chain, { amount, network })
+    : { passed: false, checks: networkValidation.errors.map(e => ({ name: 'network', passed: false, detail: e })) };
+
+  const report = {
+    passed,
+    network: network.name,
+    chainId: network.chain.id,
+    delegationHash: getDelegationHash(chain[0]),
+    delegator: chain[chain.length - 1].delegator,
+    amount: amount !== undefined ? formatUnits(amount, USDC_DECIMALS) : null,
+    checks,
+    checkedAt: new Date().toISOString()
+  };
+
+  const failed = checks.filter(c => !c.passed);
+  const error = !networkValidation.valid
+    ? new NetworkMismatchError(`Delegation does not belong to ${network.name}`, { details: networkValidation.errors })
+    : passed
+      ? null
+      : new PreflightError(`PREFLIGHT FAILED - ${failed.length} of ${checks.length} check(s) failed`, {
+        checks,
+        details: failed.map(c => c.subject ? `${c.detail} (${c.subject})` : c.detail)
+      });
+
+  if (argv.json) {
+    if (error) fail(error, { json: true, result: report });
+    printJson(report);
+    return;
+  }
+
+  console.log('🛫 ERC-7710 Redemption Preflight\n');
+  console.log(`📍 Network:    ${network.chain.name} (${network.chain.id})`);
+  console.log(`🔑 Delegation: ${report.delegationHash}`);
+  console.log(`👤 Delegator:  ${report.delegator}`);
+  if (chain.length > 1) {
+    console.log(`🔗 Chain:      ${chain.length} hops`);
+  }
+  console.log('');
+
+  for (const check of checks) {
+    const label = (CHECK_LABELS[check.name] || check.name).padEnd(18);
+    console.log(`  ${check.passed ? '✅' : '❌'} ${label} ${check.detail}`);
+    if (check.subject) {
+      console.log(`     ${''.padEnd(18)} ${check.subject}`);
+    }
+  }
+  console.log('');
+
+  if (error) {
+    console.log(`❌ ${error instanceof PreflightError ? error.message : 'PREFLIGHT FAILED - network mismatch'}`);
+    process.exit(error.exitCode);
+  }
+  console.log('✅ PREFLIGHT PASSED - ready to redeem');
+}
+
+run(main);
@@ -1,61 +1,52 @@
 #!/usr/bin/env node
 /**
- * Revoke a delegation on-chain
- * 
+ * Revoke delegations on-chain and report the cascaded impact
+ *
  * Per ERC-7710, revoking a delegation invalidates the entire sub-chain.
- * This calls DelegationManager.disableDelegation(delegationHash).
- * 
+ * This calls DelegationManager.disableDelegation(delegation) for each target.
+ * Only the delegator can do that: when it is your DeleGator smart account, the
+ * call is sent through the account (a user operation you submit to the EntryPoint).
+ *
+ * Every delegation file in --dir (default: the local store, see list-delegations.mjs)
+ * is loaded and linked into a parent/child graph through their `authority` hashes,
+ * so the report shows exactly which downstream delegations (and delegates) lose access.
+ *
  * Usage:
  *   node revoke-delegation.mjs --delegation ./delegation.json
- *   node revoke-delegation.mjs --delegation ./delegation.json --execute
+ *   node revoke-delegation.mjs --delegation ./delegation.json --dir ./delegations --check
+ *   node revoke-delegation.mjs --dir ./delegations --hash 0xabc... --hash 0xdef... --execute
+ *   node revoke-delegation.mjs --hash 0xabc... --check
+ *   node revoke-delegation.mjs --hash 0xabc... --execute --json
  */
 
 import 'dotenv/config';
-import { readFileSync } from 'fs';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { 
-  getClients, 
-  getDelegationHash, 
+import {
   formatDelegation,
-  DELEGATION_FRAMEWORK 
+  getNetwork,
+  NETWORKS,
+  DEFAULT_NETWORK
 } from './lib/delegation.mjs';
-
-// DelegationManager ABI (partial)
-const DELEGATION_MANAGER_ABI = [
-  {
-    name: 'disableDelegation',
-    type: 'function',
-    inputs: [
-      { name: 'delegation', type: 'tuple', components: [
-        { name: 'delegate', type: 'address' },
-        { name: 'delegator', type: 'address' },
-        { name: 'authority', type: 'bytes32' },
-        { name: 'caveats', type: 'tuple[]', components: [
-          { name: 'enforcer', type: 'address' },
-          { name: 'terms', type: 'bytes' },
-          { name: 'args', type: 'bytes' }
-        ]},
-        { name: 'salt', type: 'uint256' },
-        { name: 'signature', type: 'bytes' }
-      ]}
-    ],
-    outputs: []
-  },
-  {
-    name: 'disabledDelegations',
-    type: 'function',
-    inputs: [{ name: 'delegationHash', type: 'bytes32' }],
-    outputs: [{ name: '', type: 'bool' }],
-    stateMutability: 'view'
-  }
-];
+import { DelegationClient } from './lib/client.mjs';
+import { TransactionError } from './lib/errors.mjs';
+import { requireSigner } from './lib/signers.mjs';
+import { run, fail, failUsage, printJson, JSON_OPTION } from './lib/cli.mjs';
 
 const argv = yargs(hideBin(process.argv))
   .option('delegation', {
+    type: 'array',
+    string: true,
+    description: 'Path(s) to delegation JSON file(s) to revoke'
+  })
+  .option('dir', {
     type: 'string',
-    description: 'Path to delegation JSON file',
-    demandOption: true
+    description: 'Directory of delegation files used to find sub-delegations (default: the local store)'
+  })
+  .option('hash', {
+    type: 'array',
+    string: true,
+    description: 'Hash(es) of delegations to revoke, looked up in --dir or the local store'
   })
   .option('execute', {
     type: 'boolean',
@@ -64,135 +55,196 @@ const argv = yargs(hideBin(process.argv))
   })
   .option('check', {
     type: 'boolean',
-    description: 'Check if delegation is already revoked',
+    description: 'Show the on-chain status of every affected delegation',
     default: false
   })
+  .option('network', {
+    type: 'string',
+    description: 'Network to use',
+    choices: Object.keys(NETWORKS),
+    default: DEFAULT_NETWORK
+  })
+  .check((argv) => {
+    if (!argv.delegation && !argv.hash) {
+      throw new Error('Provide --delegation <file> or --hash <hash>');
+    }
+    return true;
+  })
+  .option('json', JSON_OPTION)
+  .fail(failUsage)
   .help()
   .argv;
 
+const shortHash = (hash) => `${hash.slice(0, 10)}…${hash.slice(-6)}`;
+
+/**
+ * The --json result: the cascade, plus status and outcome when requested
+ */
+async function toResult(client, plan, results) {
+  let status;
+  if (argv.check || argv.execute) {
+    try {
+      status = (await client.getRevocationStatus(plan)).map(({ hash, role, status, revokedAncestor }) => ({
+        hash, role, status, ...(revokedAncestor && { revokedAncestor })
+      }));
+    } catch (e) {
+      status = { error: e.shortMessage || e.message };
+    }
+  }
+
+  return {
+    network: argv.network,
+    executed: argv.execute,
+    dir: plan.dir,
+    targets: plan.targets.map(t => ({
+      hash: t.hash,
+      delegate: t.delegation.delegate,
+      ...(t.smartAccount && { smartAccount: t.smartAccount }),
+      downstream: t.descendants.map(d => ({ hash: d.hash, delegate: d.delegation.delegate, depth: d.depth }))
+    })),
+    delegatesLosingAccess: plan.delegatesLosingAccess,
+    ...(results && { results: results.results, failed: results.failed }),
+    ...(status && { status })
+  };
+}
+
 async function main() {
-  if (!process.env.PRIVATE_KEY) {
-    console.error('❌ PRIVATE_KEY environment variable required');
-    process.exit(1);
+  const signer = await requireSigner();
+
+  const network = getNetwork(argv.network);
+  const { contracts } = network;
+  const client = new DelegationClient({
+    account: signer,
+    network,
+    onProgress: argv.json ? undefined : (event, data) => {
+      if (event === 'revoking') console.log(`🔄 Revoking ${shortHash(data.hash)}...`);
+      if (event === 'submitted') {
+        console.log(`   Transaction: ${data.transactionHash}`);
+        console.log(`   Explorer: ${network.explorer}/tx/${data.transactionHash}`);
+      }
+      if (event === 'revoked') {
+        if (data.status === 'revoked') {
+          console.log(`   ✅ Revoked in block ${data.blockNumber} (gas used: ${data.gasUsed})\n`);
+        } else if (data.status === 'already-revoked') {
+          console.log('   ✅ Already revoked - skipping\n');
+        } else {
+          console.error(`   ❌ Revocation failed: ${data.error}\n`);
+        }
+      }
+    }
+  });
+
+  if (!argv.json) {
+    console.log('🚫 ERC-7710 Delegation Revocation\n');
+    console.log(`📍 Network: ${client.chain.name}`);
+    console.log(`👤 Your address: ${client.address}\n`);
   }
 
-  console.log('🚫 ERC-7710 Delegation Revocation\n');
+  // Link --dir (default: the store) and the targets into a graph and find
+  // everything downstream of each target
+  const plan = await client.planRevocation([...(argv.delegation || []), ...(argv.hash || [])], { dir: argv.dir });
+  const { targets, affected } = plan;
 
-  const raw = JSON.parse(readFileSync(argv.delegation, 'utf8'));
-  const delegation = {
-    ...raw,
-    salt: BigInt(raw.salt)
-  };
-  
-  const { walletClient, publicClient, account, chain } = getClients(process.env.PRIVATE_KEY);
-  
-  console.log(`📍 Network: ${chain.name}`);
-  console.log(`👤 Your address: ${account.address}\n`);
-  
-  // Verify we are the delegator
-  if (account.address.toLowerCase() !== delegation.delegator.toLowerCase()) {
-    console.error('❌ You are not the delegator of this delegation');
-    console.error(`   Expected: ${delegation.delegator}`);
-    console.error(`   Got:      ${account.address}`);
-    console.error('\n   Only the delegator can revoke a delegation');
-    process.exit(1);
+  if (argv.json) {
+    const results = argv.execute ? await client.executeRevocation(plan) : null;
+    const result = await toResult(client, plan, results);
+    if (results?.failed > 0) {
+      fail(new TransactionError(`${results.failed} revocation(s) failed`, {
+        details: results.results.filter(r => r.status === 'failed').map(r => `${r.hash}: ${r.error}`)
+      }), { result });
+    }
+    printJson(result);
+    return;
+  }
+
+  console.log(`📂 Loaded ${plan.dirCount} delegation file(s) from ${plan.dir} (${plan.graph.size} delegations)\n`);
+
+  for (const target of targets) {
+    console.log(`📋 Delegation to revoke (${shortHash(target.hash)}):`);
+    console.log(formatDelegation(target.delegation, network));
+
+    console.log(`\n   🌳 Downstream delegations (${target.descendants.length}):`);
+    if (target.descendants.length === 0) {
+      console.log('      (none found)');
+    }
+    for (const { hash, delegation, depth } of target.descendants) {
+      console.log(`   ${'   '.repeat(depth)}└─ ${shortHash(hash)}  ${delegation.delegator} → ${delegation.delegate}`);
+    }
+    console.log('');
   }
 
-  console.log('📋 Delegation to revoke:');
-  console.log(formatDelegation(delegation));
+  console.log(`👥 Delegates losing access (${plan.delegatesLosingAccess.length}):`);
+  plan.delegatesLosingAccess.forEach(d => console.log(`   - ${d}`));
   console.log('');
 
-  const delegationHash = getDelegationHash(delegation);
-  
+  /**
+   * Per-hash status from disabledDelegations
+   * A delegation is dead if it, or any ancestor, is disabled.
+   */
+  async function printStatusTable() {
+    const statuses = await client.getRevocationStatus(plan);
+
+    console.log('   Hash                 Role        Delegate                                    Status');
+    console.log('   ───────────────────  ──────────  ──────────────────────────────────────────  ─────────────────────────');
+    for (const { hash, role, delegation, status, revokedAncestor } of statuses) {
+      const label = {
+        revoked: '🚫 REVOKED',
+        dead: `💀 DEAD (${revokedAncestor && shortHash(revokedAncestor)} revoked)`,
+        active: '✅ ACTIVE'
+      }[status];
+      console.log(`   ${shortHash(hash).padEnd(19)}  ${role.padEnd(10)}  ${delegation.delegate.padEnd(42)}  ${label}`);
+    }
+    console.log('');
+  }
+
   // Check current status
   if (argv.check) {
     console.log('🔍 Checking on-chain status...');
     try {
-      const isDisabled = await publicClient.readContract({
-        address: DELEGATION_FRAMEWORK.DelegationManager,
-        abi: DELEGATION_MANAGER_ABI,
-        functionName: 'disabledDelegations',
-        args: [delegationHash]
-      });
-      
-      if (isDisabled) {
-        console.log('✅ Delegation is ALREADY REVOKED on-chain');
-      } else {
-        console.log('⚠️  Delegation is ACTIVE on-chain');
-      }
+      await printStatusTable();
     } catch (e) {
-      console.log('⚠️  Could not check on-chain status:', e.message);
+      console.log('⚠️  Could not check on-chain status:', e.shortMessage || e.message);
+      console.log('');
     }
-    console.log('');
   }
 
   console.log('═══════════════════════════════════════════════════════════════');
   console.log('⚠️  REVOCATION WARNING');
   console.log('═══════════════════════════════════════════════════════════════\n');
-  console.log('  Revoking this delegation will:');
-  console.log('  • Immediately invalidate the delegation on-chain');
-  console.log('  • Invalidate ALL sub-delegations derived from this');
+  console.log('  Revoking will:');
+  console.log(`  • Immediately invalidate ${targets.length} delegation(s) on-chain`);
+  console.log(`  • Invalidate ${affected.size - targets.length} known downstream delegation(s)`);
   console.log('  • This action is IRREVERSIBLE');
   console.log('');
 
   console.log('📝 Revocation Details:');
-  console.log(`   DelegationManager: ${DELEGATION_FRAMEWORK.DelegationManager}`);
+  console.log(`   DelegationManager: ${contracts.DelegationManager}`);
   console.log(`   Method:            disableDelegation(Delegation)`);
-  console.log(`   Delegation Hash:   ${delegationHash}`);
-  console.log(`   Delegate:          ${delegation.delegate}`);
+  targets.forEach(t => {
+    console.log(`   Delegation Hash:   ${t.hash}`);
+    if (t.smartAccount) console.log(`   Sent through:      ${t.smartAccount} (your DeleGator, via EntryPoint.handleOps)`);
+  });
   console.log('');
 
   if (!argv.execute) {
     console.log('💡 To execute revocation on-chain, run with --execute flag');
     console.log('   node revoke-delegation.mjs --delegation <file> --execute');
+    console.log('   node revoke-delegation.mjs --dir <directory> --hash <hash> --hash <hash> --execute');
     return;
   }
 
-  console.log('🔄 Executing revocation on-chain...');
-  
+  const { failed } = await client.executeRevocation(plan);
+
+  console.log('📊 Status after revocation:');
   try {
-    // Prepare the delegation struct for the contract call
-    const delegationStruct = {
-      delegate: delegation.delegate,
-      delegator: delegation.delegator,
-      authority: delegation.authority,
-      caveats: delegation.caveats.map(c => ({
-        enforcer: c.enforcer,
-        terms: c.terms,
-        args: c.args || '0x'
-      })),
-      salt: delegation.salt,
-      signature: delegation.signature
-    };
-
-    const hash = await walletClient.writeContract({
-      address: DELEGATION_FRAMEWORK.DelegationManager,
-      abi: DELEGATION_MANAGER_ABI,
-      functionName: 'disableDelegation',
-      args: [delegationStruct]
-    });
-
-    console.log('✅ Revocation transaction submitted!');
-    console.log(`   Transaction: ${hash}`);
-    console.log(`   Explorer: https://sepolia.basescan.org/tx/${hash}`);
-    
-    console.log('\n⏳ Waiting for confirmation...');
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
-    
-    if (receipt.status === 'success') {
-      console.log('✅ Delegation successfully revoked!');
-      console.log(`   Block: ${receipt.blockNumber}`);
-      console.log(`   Gas used: ${receipt.gasUsed}`);
-    } else {
-      console.log('❌ Transaction failed');
-    }
-  } catch (error) {
-    console.error('❌ Revocation failed:', error.message);
-    if (error.message.includes('DelegationManager__AlreadyDisabled')) {
-      console.log('\n💡 This delegation was already revoked');
-    }
-    process.exit(1);
+    await printStatusTable();
+  } catch (e) {
+    console.log('⚠️  Could not check on-chain status:', e.shortMessage || e.message);
+  }
+
+  if (failed > 0) {
+    throw new TransactionError(`${failed} revocation(s) failed`);
   }
 }
 
-main().catch(console.error);
+run(main);
@@ -0,0 +1,243 @@
+/**
+ * Local chain for the integration tests
+ *
+ * Starts anvil with Base Sepolia's chain id and places the Delegation Framework
+ * v1.3.0 contracts and a mock USDC at their real Base Sepolia addresses, so the
+ * scripts run unchanged against it with RPC_URL pointing at anvil.
+ *
+ * Contracts are deployed normally (constructors run, immutables are set), then
+ * their runtime code is copied to the canonical address with anvil_setCode.
+ * Immutables keep the deployment's values, which is what contracts comparing
+ * address(this) against a cached copy expect (EIP-712 domains are rebuilt for
+ * the new address). Storage written by constructors is not copied - none of the
+ * contracts the scripts use depend on it (DelegationManager's owner only pauses).
+ * Framework bytecode comes from @metamask/delegation-abis, the mock USDC is
+ * compiled from test/fixtures/MockUSDC.sol with solc-js.
+ */
+
+import { spawn, execFile } from 'child_process';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createPublicClient, createTestClient, createWalletClient, http, keccak256, toHex } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import solc from 'solc';
+import * as ABIS from '@metamask/delegation-abis';
+import * as BYTECODE from '@metamask/delegation-abis/bytecode';
+import { getNetwork } from '../../scripts/lib/delegation.mjs';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const ANVIL = process.env.ANVIL_PATH || `${ROOT}node_modules/.bin/anvil`;
+
+// anvil's default accounts (test mnemonic) - never use them on a real network
+export const ANVIL_KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a',
+  '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6'
+];
+
+// External libraries linked into framework bytecode, by fully qualified name
+// (HybridDeleGator verifies P256/WebAuthn signatures through SCL_RIP7212)
+const LIBRARIES = {
+  SCL_RIP7212: 'lib/SCL/src/lib/libSCL_RIP7212.sol:SCL_RIP7212'
+};
+
+// Framework contracts the scripts use, by DELEGATION_FRAMEWORK key, with their constructor args
+const FRAMEWORK_CONTRACTS = {
+  DelegationManager: { artifact: 'DelegationManager', args: ({ deployer }) => [deployer] },
+  SimpleFactory: { artifact: 'SimpleFactory' },
+  EntryPoint: { artifact: 'EntryPoint' },
+  // UUPS checks its address(this) immutable against the proxies' implementation
+  // slot, so the copy must carry the canonical address. Only proxies call it,
+  // which keeps its EIP-712 domain (rebuilt per proxy address) correct.
+  HybridDeleGatorImpl: {
+    artifact: 'HybridDeleGator',
+    args: ({ contracts }) => [contracts.DelegationManager, contracts.EntryPoint],
+    relocate: true
+  },
+  ERC20TransferAmountEnforcer: { artifact: 'ERC20TransferAmountEnforcer' },
+  TimestampEnforcer: { artifact: 'TimestampEnforcer' },
+  ValueLteEnforcer: { artifact: 'ValueLteEnforcer' },
+  RedeemerEnforcer: { artifact: 'RedeemerEnforcer' },
+  NonceEnforcer: { artifact: 'NonceEnforcer' },
+  LimitedCallsEnforcer: { artifact: 'LimitedCallsEnforcer' },
+  ERC20PeriodTransferEnforcer: { artifact: 'ERC20PeriodTransferEnforcer' },
+  AllowedCalldataEnforcer: { artifact: 'AllowedCalldataEnforcer' },
+  LogicalOrWrapperEnforcer: {
+    artifact: 'LogicalOrWrapperEnforcer',
+    args: ({ contracts }) => [contracts.DelegationManager]
+  }
+};
+
+/**
+ * Compile test/fixtures/MockUSDC.sol
+ * @returns {{ abi: Object[], bytecode: string }}
+ */
+export function compileMockUSDC() {
+  const source = readFileSync(new URL('../fixtures/MockUSDC.sol', import.meta.url), 'utf8');
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources: { 'MockUSDC.sol': { content: source } },
+    settings: {
+      evmVersion: 'cancun',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  })));
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`MockUSDC.sol: ${errors.map(e => e.formattedMessage).join('\n')}`);
+  }
+  const { abi, evm } = output.contracts['MockUSDC.sol'].MockUSDC;
+  return { abi, bytecode: `0x${evm.bytecode.object}` };
+}
+
+/**
+ * Start anvil on a free port
+ *
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Default: Base Sepolia
+ * @returns {Promise<{ rpcUrl: string, stop: () => Promise<void> }>}
+ */
+export function startAnvil({ chainId = getNetwork('base-sepolia').chain.id } = {}) {
+  const child = spawn(ANVIL, ['--port', '0', '--chain-id', String(chainId)], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill('SIGTERM');
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => {
+      stop().then(() => reject(new Error(`anvil did not start within 30s:\n${output}`)));
+    }, 30_000);
+
+    child.on('error', (e) => {
+      clearTimeout(timer);
+      reject(new Error(`Could not start anvil (${ANVIL}): ${e.message}`));
+    });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const listening = output.match(/Listening on ([\d.]+:\d+)/);
+      if (listening) {
+        clearTimeout(timer);
+        child.stdout.removeAllListeners('data');
+        child.stdout.resume();
+        resolve({ rpcUrl: `http://${listening[1]}`, stop });
+      }
+    });
+  });
+}
+
+/**
+ * Deploy the Delegation Framework and mock USDC at the network's addresses
+ *
+ * @param {string} rpcUrl - anvil RPC
+ * @param {Object} [options]
+ * @param {string} [options.network] - Network whose addresses to use (default base-sepolia)
+ * @returns {Promise<Object>} { network, publicClient, testClient, usdc: { address, abi }, contracts }
+ */
+export async function deployFramework(rpcUrl, { network: networkName = 'base-sepolia' } = {}) {
+  const network = { ...getNetwork(networkName), rpcUrl };
+  const chain = network.chain;
+  const deployer = privateKeyToAccount(ANVIL_KEYS[0]);
+  const transport = http(rpcUrl);
+  const publicClient = createPublicClient({ chain, transport });
+  const walletClient = createWalletClient({ account: deployer, chain, transport });
+  const testClient = createTestClient({ mode: 'anvil', chain, transport });
+
+  const deploy = async (abi, bytecode, args = []) => {
+    const hash = await walletClient.deployContract({ abi, bytecode, args });
+    const { contractAddress, status } = await publicClient.waitForTransactionReceipt({ hash });
+    if (status !== 'success') throw new Error(`Deployment ${hash} reverted`);
+    return contractAddress;
+  };
+  const place = async (target, abi, bytecode, args, { relocate = false } = {}) => {
+    const deployed = await deploy(abi, bytecode, args);
+    const code = await publicClient.getCode({ address: deployed });
+    await testClient.setCode({
+      address: target,
+      bytecode: relocate ? code.replaceAll(deployed.slice(2).toLowerCase(), target.slice(2).toLowerCase()) : code
+    });
+  };
+
+  // Libraries can live anywhere - linking writes their address into the bytecode
+  let link = (bytecode) => bytecode;
+  for (const [name, qualifiedName] of Object.entries(LIBRARIES)) {
+    const placeholder = `__$${keccak256(toHex(qualifiedName)).slice(2, 36)}$__`;
+    const address = (await deploy(ABIS[name], BYTECODE[name])).slice(2).toLowerCase();
+    const previous = link;
+    link = (bytecode) => previous(bytecode).replaceAll(placeholder, address);
+  }
+
+  for (const [name, { artifact, args, relocate }] of Object.entries(FRAMEWORK_CONTRACTS)) {
+    await place(
+      network.contracts[name],
+      ABIS[artifact],
+      link(BYTECODE[artifact]),
+      args ? args({ deployer: deployer.address, contracts: network.contracts }) : [],
+      { relocate }
+    );
+  }
+
+  const mock = compileMockUSDC();
+  await place(network.usdcAddress, mock.abi, mock.bytecode);
+
+  return {
+    network,
+    publicClient,
+    testClient,
+    usdc: { address: network.usdcAddress, abi: mock.abi },
+    contracts: network.contracts
+  };
+}
+
+/**
+ * Mint mock USDC (base units)
+ */
+export async function mintUSDC({ network, publicClient, usdc }, to, amount) {
+  const walletClient = createWalletClient({
+    account: privateKeyToAccount(ANVIL_KEYS[0]),
+    chain: network.chain,
+    transport: http(network.rpcUrl)
+  });
+  const hash = await walletClient.writeContract({ ...usdc, functionName: 'mint', args: [to, amount] });
+  await publicClient.waitForTransactionReceipt({ hash });
+}
+
+/**
+ * USDC balance (base units)
+ */
+export function balanceOf({ publicClient, usdc }, account) {
+  return publicClient.readContract({ ...usdc, functionName: 'balanceOf', args: [account] });
+}
+
+/**
+ * Run a script with --json
+ *
+ * @param {string} script - File name in scripts/, e.g. 'create-delegation.mjs'
+ * @param {string[]} args
+ * @param {Object} env - Merged over process.env (PRIVATE_KEY, RPC_URL, DELEGATION_STORE, ...)
+ * @returns {Promise<{ code: number, result: Object, stderr: string }>}
+ */
+export function runScript(script, args, env) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      [`${ROOT}scripts/${script}`, ...args, '--json'],
+      { env: { ...process.env, NETWORK: 'base-sepolia', ...env }, timeout: 120_000 },
+      (error, stdout, stderr) => {
+        if (error && typeof error.code !== 'number') return reject(error);
+        let result;
+        try {
+          result = JSON.parse(stdout);
+        } catch {
+          return reject(new Error(`${script} printed no JSON (exit ${error?.code ?? 0}):\n${stdout}${stderr}`));
+        }
+        resolve({ code: error ? error.code : 0, result, stderr });
+      }
+    );
+  });
+}
@@ -0,0 +1,387 @@
+/**
+ * End to end: create -> sub-delegate -> redeem -> revoke through the scripts,
+ * against the Delegation Framework on a local anvil chain (see anvil.mjs)
+ *
+ * Balances are read from the chain, and the enforcer tests call
+ * redeemDelegations directly - bypassing the scripts' client-side checks - to
+ * prove the contracts themselves reject out-of-scope redemptions.
+ *
+ * Run: npm run test:integration
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createWalletClient, encodeFunctionData, http, parseUnits } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { DelegationManager as DELEGATION_MANAGER_ABI } from '@metamask/delegation-abis';
+import {
+  BATCH_CALL_MODE,
+  encodeBatchExecution,
+  encodePermissionContext,
+  encodeSingleExecution,
+  getDelegatorNonce,
+  isDelegationDisabled,
+  loadDelegationChain,
+  parseDelegation,
+  SINGLE_CALL_MODE
+} from '../../scripts/lib/delegation.mjs';
+import { loadStoredDelegation } from '../../scripts/lib/store.mjs';
+import { EXIT_CODES } from '../../scripts/lib/errors.mjs';
+import { ANVIL_KEYS, startAnvil, deployFramework, mintUSDC, balanceOf, runScript } from './anvil.mjs';
+
+const usdc = (amount) => parseUnits(String(amount), 6);
+
+const [, OWNER_KEY, AGENT_KEY, SUBAGENT_KEY] = ANVIL_KEYS;
+const owner = privateKeyToAccount(OWNER_KEY);
+const agent = privateKeyToAccount(AGENT_KEY);
+const subAgent = privateKeyToAccount(SUBAGENT_KEY);
+const RECIPIENT = '0x000000000000000000000000000000000000beef';
+const SIBLING = '0x000000000000000000000000000000000000c0de';
+
+describe('delegation lifecycle on anvil', () => {
+  let anvil;
+  let chain;
+  let store;
+  let env;
+  let smartAccount;
+  let rootHash;
+  let subHash;
+
+  const as = (privateKey) => ({ ...env, PRIVATE_KEY: privateKey });
+
+  /**
+   * Send redeemDelegations for one USDC transfer without any client-side validation
+   */
+  async function redeemDirectly(key, delegationHash, to, amount) {
+    const walletClient = createWalletClient({
+      account: privateKeyToAccount(key),
+      chain: chain.network.chain,
+      transport: http(anvil.rpcUrl)
+    });
+    const callData = encodeFunctionData({ abi: chain.usdc.abi, functionName: 'transfer', args: [to, amount] });
+    const args = [
+      [encodePermissionContext(loadDelegationChain(loadStoredDelegation(delegationHash)))],
+      [SINGLE_CALL_MODE],
+      [encodeSingleExecution(chain.usdc.address, 0n, callData)]
+    ];
+    const { request } = await chain.publicClient.simulateContract({
+      address: chain.contracts.DelegationManager,
+      abi: DELEGATION_MANAGER_ABI,
+      functionName: 'redeemDelegations',
+      args,
+      account: walletClient.account
+    });
+    return walletClient.writeContract(request);
+  }
+
+  before(async () => {
+    anvil = await startAnvil();
+    chain = await deployFramework(anvil.rpcUrl);
+    store = mkdtempSync(join(tmpdir(), 'usdc-delegations-'));
+    env = { RPC_URL: anvil.rpcUrl, DELEGATION_STORE: store };
+    process.env.DELEGATION_STORE = store; // loadStoredDelegation() in this process
+    await mintUSDC(chain, owner.address, usdc(1000));
+  });
+
+  after(async () => {
+    await anvil?.stop();
+    if (store) rmSync(store, { recursive: true, force: true });
+  });
+
+  it('create-account deploys the DeleGator and funds it', async () => {
+    const { code, result } = await runScript('create-account.mjs', ['--deploy', '--fund', '100'], as(OWNER_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    smartAccount = result.address;
+
+    assert.equal(result.deployed, true);
+    assert.notEqual(await chain.publicClient.getCode({ address: smartAccount }), undefined);
+    assert.equal(await balanceOf(chain, smartAccount), usdc(100));
+    assert.equal(await balanceOf(chain, owner.address), usdc(900));
+  });
+
+  it('create-delegation signs a delegation from the smart account', async () => {
+    const { code, result } = await runScript('create-delegation.mjs', [
+      '--smart-account', '--delegate', agent.address, '--amount', '50', '--expiry', '1d'
+    ], as(OWNER_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.delegator, smartAccount);
+    rootHash = result.hash;
+
+    const scope = await runScript('check-scope.mjs', ['--hash', rootHash], env);
+    assert.equal(scope.code, 0);
+    assert.equal(scope.result.signature.valid, true);
+    assert.equal(scope.result.signature.method, 'erc1271');
+  });
+
+  it('create-subdelegation rejects a wider scope', async () => {
+    const { code, result } = await runScript('create-subdelegation.mjs', [
+      '--hash', rootHash, '--subdelegate', subAgent.address, '--amount', '60', '--expiry', '12h'
+    ], as(AGENT_KEY));
+    assert.equal(code, EXIT_CODES.VALIDATION_FAILED);
+    assert.equal(result.error.code, 'VALIDATION_FAILED');
+  });
+
+  it('create-subdelegation narrows the delegation for a sub-agent', async () => {
+    const { code, result } = await runScript('create-subdelegation.mjs', [
+      '--hash', rootHash, '--subdelegate', subAgent.address, '--amount', '20', '--expiry', '12h'
+    ], as(AGENT_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.parentHash, rootHash);
+    subHash = result.hash;
+  });
+
+  it('budget reports what the parent has sub-delegated', async () => {
+    const { code, result } = await runScript('budget.mjs', ['--hash', rootHash], env);
+    assert.equal(code, 0, JSON.stringify(result.error));
+    const [budget] = result.budgets;
+    assert.equal(budget.parentHash, rootHash.toLowerCase());
+    assert.deepEqual(budget.cap, { value: usdc(50).toString(), hop: 0 });
+    assert.equal(budget.allocated, usdc(20).toString());
+    assert.equal(budget.unallocated, usdc(30).toString());
+  });
+
+  it('create-subdelegation warns, or with --strict refuses, when siblings exceed the parent cap', async () => {
+    const args = ['--hash', rootHash, '--subdelegate', SIBLING, '--amount', '40', '--expiry', '12h'];
+
+    // A sub-delegation kept out of the store would be invisible to later checks
+    const unstored = await runScript('create-subdelegation.mjs', [...args, '--strict', '--no-store'], as(AGENT_KEY));
+    assert.equal(unstored.code, EXIT_CODES.CONFIG_ERROR);
+    assert.match(unstored.result.error.message, /^strict needs the local store/);
+
+    const strict = await runScript('create-subdelegation.mjs', [...args, '--strict'], as(AGENT_KEY));
+    assert.equal(strict.code, EXIT_CODES.VALIDATION_FAILED);
+    assert.equal(strict.result.error.name, 'BudgetExceededError');
+    assert.equal(strict.result.error.message, 'Sub-delegations of this parent would allocate more than its cap');
+    assert.equal(strict.result.error.budget.overAllocated, usdc(10).toString());
+    assert.equal(strict.result.error.details.at(-1), 'Total 60 USDC exceeds the 50 USDC cap by 10 USDC');
+
+    const { code, result } = await runScript('create-subdelegation.mjs', args, as(AGENT_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.match(result.warnings[0], /allocate 60 USDC against a 50 USDC cap \(10 USDC over\)/);
+    assert.equal(result.budget.overAllocated, usdc(10).toString());
+
+    const budget = await runScript('budget.mjs', ['--over'], env);
+    assert.equal(budget.result.budgets.length, 1);
+    const delegates = budget.result.budgets[0].children.map(c => c.delegate.toLowerCase()).sort();
+    assert.deepEqual(delegates, [subAgent.address.toLowerCase(), SIBLING].sort());
+    assert.equal(budget.result.budgets[0].unallocated, '0');
+
+    // Revoking the sibling frees its share
+    const revoked = await runScript('revoke-delegation.mjs', ['--hash', result.hash, '--execute'], as(AGENT_KEY));
+    assert.equal(revoked.code, 0, JSON.stringify(revoked.result.error));
+    const retry = await runScript('create-subdelegation.mjs', [
+      '--hash', rootHash, '--subdelegate', SIBLING, '--amount', '30', '--expiry', '12h', '--strict'
+    ], as(AGENT_KEY));
+    assert.equal(retry.code, 0, JSON.stringify(retry.result.error));
+    assert.deepEqual(retry.result.warnings, []);
+    assert.equal(retry.result.budget.allocated, usdc(50).toString());
+  });
+
+  it('execute-transfer redeems the two-hop chain and moves USDC', async () => {
+    const { code, result } = await runScript('execute-transfer.mjs', [
+      '--hash', subHash, '--to', RECIPIENT, '--amount', '5', '--execute'
+    ], as(SUBAGENT_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.status, 'executed');
+    assert.equal(result.hops, 2);
+
+    assert.equal(await balanceOf(chain, RECIPIENT), usdc(5));
+    assert.equal(await balanceOf(chain, smartAccount), usdc(95));
+  });
+
+  it('execute-transfer refuses a transfer over the remaining allowance before sending', async () => {
+    const { code, result } = await runScript('execute-transfer.mjs', [
+      '--hash', subHash, '--to', RECIPIENT, '--amount', '16', '--execute'
+    ], as(SUBAGENT_KEY));
+    assert.equal(code, EXIT_CODES.VALIDATION_FAILED);
+    assert.match(result.error.details.join('\n'), /remaining allowance of 15 USDC/);
+    assert.equal(await balanceOf(chain, RECIPIENT), usdc(5));
+  });
+
+  it('execute-transfer checks amounts to the base unit and rejects a 7th decimal', async () => {
+    const over = await runScript('execute-transfer.mjs', [
+      '--hash', subHash, '--to', RECIPIENT, '--amount', '15.000001'
+    ], as(SUBAGENT_KEY));
+    assert.equal(over.code, EXIT_CODES.VALIDATION_FAILED);
+    assert.match(over.result.error.details.join('\n'), /\(15\.000001 USDC\) exceeds remaining allowance of 15 USDC/);
+
+    const { code, result } = await runScript('execute-transfer.mjs', [
+      '--hash', subHash, '--to', RECIPIENT, '--amount', '0.0000001', '--execute'
+    ], as(SUBAGENT_KEY));
+    assert.equal(code, EXIT_CODES.VALIDATION_FAILED);
+    assert.equal(result.error.message, 'Invalid amount "0.0000001": USDC has 6 decimal places, got 7');
+  });
+
+  it('execute-transfer refuses --batch-call for the default enforcers, which revert batch executions', async () => {
+    const payouts = join(store, 'payouts.csv');
+    writeFileSync(payouts, `${RECIPIENT},1\n${SIBLING},1\n`);
+    const { code, result } = await runScript('execute-transfer.mjs', [
+      '--hash', subHash, '--batch', payouts, '--batch-call', '--execute'
+    ], as(SUBAGENT_KEY));
+    assert.equal(code, EXIT_CODES.VALIDATION_FAILED);
+    assert.match(result.error.details.join('\n'), /ERC20TransferAmountEnforcer only accepts single-call executions/);
+    assert.match(result.error.details.join('\n'), /Hop 1: ValueLteEnforcer only accepts single-call executions/);
+
+    // What the refusal saves: the same batch sent straight to the DelegationManager
+    const callData = encodeFunctionData({ abi: chain.usdc.abi, functionName: 'transfer', args: [RECIPIENT, usdc(1)] });
+    await assert.rejects(
+      chain.publicClient.simulateContract({
+        address: chain.contracts.DelegationManager,
+        abi: DELEGATION_MANAGER_ABI,
+        functionName: 'redeemDelegations',
+        args: [
+          [encodePermissionContext(loadDelegationChain(loadStoredDelegation(subHash)))],
+          [BATCH_CALL_MODE],
+          [encodeBatchExecution([{ target: chain.usdc.address, value: 0n, callData }])]
+        ],
+        account: subAgent
+      }),
+      /invalid-call-type/
+    );
+    assert.equal(await balanceOf(chain, RECIPIENT), usdc(5));
+  });
+
+  it('check-scope reports every hop and the effective scope of the chain', async () => {
+    const { code, result } = await runScript('check-scope.mjs', ['--hash', subHash], env);
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.deepEqual(result.chain.map(h => [h.hash, h.delegate, h.spent]), [
+      [subHash, subAgent.address, usdc(5).toString()],
+      [rootHash, agent.address, usdc(5).toString()]
+    ]);
+    assert.equal(result.chainValidation.valid, true);
+    assert.deepEqual(result.chain.map(h => [h.signature.valid, h.signature.method]), [[true, 'ecdsa'], [true, 'erc1271']]);
+    assert.equal(result.security.validSignature, true);
+
+    const { amount, remaining, expiry, notBefore, tokens } = result.effectiveScope;
+    assert.deepEqual(amount, { value: usdc(20).toString(), hop: 0 });
+    assert.deepEqual(remaining, { value: usdc(15).toString(), hop: 0 });
+    assert.equal(expiry.hop, 0);
+    assert.equal(notBefore, null);
+    assert.deepEqual(tokens.value, [chain.usdc.address]);
+  });
+
+  it('check-scope flags a parent hop whose signature the delegator did not make', async () => {
+    const leaf = loadStoredDelegation(subHash);
+    const forged = join(tmpdir(), `forged-parent-${process.pid}.json`);
+    const foreign = await owner.signMessage({ message: 'not a delegation' });
+    writeFileSync(forged, JSON.stringify({ ...leaf, _chain: { parent: { ...leaf._chain.parent, signature: foreign } } }));
+
+    const { code, result } = await runScript('check-scope.mjs', ['--delegation', forged], env);
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.signature.valid, true);
+    assert.equal(result.chain[1].signature.valid, false);
+    assert.equal(result.chain[1].signature.method, 'erc1271');
+    assert.equal(result.security.validSignature, false);
+    rmSync(forged);
+  });
+
+  it('ERC20TransferAmountEnforcer reverts a redemption over the cap', async () => {
+    await assert.rejects(
+      redeemDirectly(SUBAGENT_KEY, subHash, RECIPIENT, usdc(16)),
+      /ERC20TransferAmountEnforcer:allowance-exceeded/
+    );
+    assert.equal(await balanceOf(chain, RECIPIENT), usdc(5));
+  });
+
+  it('DelegationManager reverts a redemption by someone other than the delegate', async () => {
+    await assert.rejects(
+      redeemDirectly(AGENT_KEY, subHash, RECIPIENT, usdc(1)),
+      /InvalidDelegate/
+    );
+  });
+
+  it('revoke-delegation disables the sub-delegation on-chain', async () => {
+    const { code, result } = await runScript('revoke-delegation.mjs', ['--hash', subHash, '--execute'], as(AGENT_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.results[0].status, 'revoked');
+
+    const delegation = parseDelegation(loadStoredDelegation(subHash));
+    assert.equal(await isDelegationDisabled(chain.publicClient, delegation, chain.network), true);
+  });
+
+  it('a revoked delegation can no longer be redeemed', async () => {
+    const { code } = await runScript('execute-transfer.mjs', [
+      '--hash', subHash, '--to', RECIPIENT, '--amount', '1', '--execute'
+    ], as(SUBAGENT_KEY));
+    assert.equal(code, EXIT_CODES.PREFLIGHT_FAILED);
+
+    await assert.rejects(
+      redeemDirectly(SUBAGENT_KEY, subHash, RECIPIENT, usdc(1)),
+      /CannotUseADisabledDelegation/
+    );
+    assert.equal(await balanceOf(chain, RECIPIENT), usdc(5));
+  });
+
+  it('the parent delegation keeps working for its own delegate', async () => {
+    const { code, result } = await runScript('execute-transfer.mjs', [
+      '--hash', rootHash, '--to', RECIPIENT, '--amount', '10', '--execute'
+    ], as(AGENT_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(await balanceOf(chain, RECIPIENT), usdc(15));
+    assert.equal(await balanceOf(chain, smartAccount), usdc(85));
+  });
+
+  it('revoke-delegation disables a smart-account delegation through the DeleGator its signer owns', async () => {
+    const created = await runScript('create-delegation.mjs', [
+      '--smart-account', '--delegate', agent.address, '--amount', '5', '--expiry', '1d'
+    ], as(OWNER_KEY));
+    assert.equal(created.code, 0, JSON.stringify(created.result.error));
+    const hash = created.result.hash;
+
+    const refused = await runScript('revoke-delegation.mjs', ['--hash', hash, '--execute'], as(SUBAGENT_KEY));
+    assert.equal(refused.code, EXIT_CODES.NOT_AUTHORIZED);
+
+    const { code, result } = await runScript('revoke-delegation.mjs', ['--hash', hash, '--execute'], as(OWNER_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.targets[0].smartAccount, smartAccount);
+    assert.equal(result.results[0].status, 'revoked');
+
+    const delegation = parseDelegation(loadStoredDelegation(hash));
+    assert.equal(await isDelegationDisabled(chain.publicClient, delegation, chain.network), true);
+    await assert.rejects(
+      redeemDirectly(AGENT_KEY, hash, RECIPIENT, usdc(1)),
+      /CannotUseADisabledDelegation/
+    );
+    assert.equal(await balanceOf(chain, smartAccount), usdc(85));
+  });
+
+  it('bulk-revoke increments the smart account\'s nonce through the DeleGator', async () => {
+    const created = await runScript('create-delegation.mjs', [
+      '--smart-account', '--nonce', '--delegate', agent.address, '--amount', '5', '--expiry', '1d'
+    ], as(OWNER_KEY));
+    assert.equal(created.code, 0, JSON.stringify(created.result.error));
+    const hash = created.result.hash;
+
+    // Bumping the EOA's nonce would leave this delegation redeemable
+    const refused = await runScript('bulk-revoke.mjs', ['--execute'], as(OWNER_KEY));
+    assert.equal(refused.code, EXIT_CODES.CONFIG_ERROR);
+    assert.match(refused.result.error.message, /--smart-account/);
+
+    const { code, result } = await runScript('bulk-revoke.mjs', ['--smart-account', '--execute'], as(OWNER_KEY));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.delegator, smartAccount);
+    assert.equal(result.status, 'revoked');
+    assert.equal(await getDelegatorNonce(chain.publicClient, smartAccount, chain.network), 1n);
+    assert.equal(await getDelegatorNonce(chain.publicClient, owner.address, chain.network), 0n);
+
+    await assert.rejects(
+      redeemDirectly(AGENT_KEY, hash, RECIPIENT, usdc(1)),
+      /NonceEnforcer:invalid-nonce/
+    );
+    assert.equal(await balanceOf(chain, smartAccount), usdc(85));
+  });
+
+  it('TimestampEnforcer reverts once the delegation has expired', async () => {
+    await chain.testClient.increaseTime({ seconds: 2 * 86400 });
+    await chain.testClient.mine({ blocks: 1 });
+
+    await assert.rejects(
+      redeemDirectly(AGENT_KEY, rootHash, RECIPIENT, usdc(1)),
+      /TimestampEnforcer:expired-delegation/
+    );
+    assert.equal(await balanceOf(chain, smartAccount), usdc(85));
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Signer backends end to end: the scripts sign with an encrypted keystore and
+ * with a remote JSON-RPC signer instead of PRIVATE_KEY
+ *
+ * anvil is the remote signer's local stand-in - it holds its default accounts
+ * unlocked and answers eth_signTypedData_v4 / eth_signTransaction for them.
+ *
+ * Run: npm run test:integration
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseUnits } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { EXIT_CODES } from '../../scripts/lib/errors.mjs';
+import { ANVIL_KEYS, startAnvil, deployFramework, mintUSDC, balanceOf, runScript } from './anvil.mjs';
+
+const usdc = (amount) => parseUnits(String(amount), 6);
+
+const owner = privateKeyToAccount(ANVIL_KEYS[1]);
+const agent = privateKeyToAccount(ANVIL_KEYS[2]);
+const RECIPIENT = '0x000000000000000000000000000000000000cafe';
+const PASSPHRASE = 'correct horse battery staple';
+
+describe('signer backends on anvil', () => {
+  let anvil;
+  let chain;
+  let dir;
+  let env;
+  let keystorePath;
+
+  // PRIVATE_KEY is set empty so a developer's .env cannot take precedence
+  const withKeystore = (password = PASSPHRASE) => ({ ...env, KEYSTORE_PATH: keystorePath, KEYSTORE_PASSWORD: password });
+  const withRemote = (address) => ({ ...env, REMOTE_SIGNER_URL: anvil.rpcUrl, REMOTE_SIGNER_ADDRESS: address });
+
+  before(async () => {
+    anvil = await startAnvil();
+    chain = await deployFramework(anvil.rpcUrl);
+    dir = mkdtempSync(join(tmpdir(), 'usdc-signers-'));
+    keystorePath = join(dir, 'owner.json');
+    env = { RPC_URL: anvil.rpcUrl, DELEGATION_STORE: join(dir, 'store'), PRIVATE_KEY: '' };
+    await mintUSDC(chain, owner.address, usdc(100));
+  });
+
+  after(async () => {
+    await anvil?.stop();
+    if (dir) rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('create-keystore encrypts PRIVATE_KEY', async () => {
+    const { code, result } = await runScript('create-keystore.mjs', ['-o', keystorePath], {
+      PRIVATE_KEY: ANVIL_KEYS[1],
+      KEYSTORE_PASSWORD: PASSPHRASE
+    });
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.address, owner.address);
+  });
+
+  it('create-delegation signs with the keystore', async () => {
+    const { code, result } = await runScript('create-delegation.mjs', [
+      '--delegate', agent.address, '--amount', '10', '--expiry', '1d'
+    ], withKeystore());
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.delegator, owner.address);
+
+    const scope = await runScript('check-scope.mjs', ['--hash', result.hash], env);
+    assert.equal(scope.result.signature.valid, true);
+  });
+
+  it('a wrong keystore passphrase is a config error', async () => {
+    const { code, result } = await runScript('create-delegation.mjs', [
+      '--delegate', agent.address, '--amount', '10', '--expiry', '1d'
+    ], withKeystore('wrong'));
+    assert.equal(code, EXIT_CODES.CONFIG_ERROR);
+    assert.match(result.error.message, /passphrase/);
+  });
+
+  it('create-account deploys and funds through the remote signer', async () => {
+    const { code, result } = await runScript('create-account.mjs', ['--deploy', '--fund', '20'], withRemote(owner.address));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(result.owner, owner.address);
+    assert.equal(await balanceOf(chain, result.address), usdc(20));
+  });
+
+  it('delegations signed remotely are redeemable with a remote-signed transaction', async () => {
+    const created = await runScript('create-delegation.mjs', [
+      '--smart-account', '--delegate', agent.address, '--amount', '10', '--expiry', '1d'
+    ], withRemote(owner.address));
+    assert.equal(created.code, 0, JSON.stringify(created.result.error));
+
+    const { code, result } = await runScript('execute-transfer.mjs', [
+      '--hash', created.result.hash, '--to', RECIPIENT, '--amount', '4', '--execute'
+    ], withRemote(agent.address));
+    assert.equal(code, 0, JSON.stringify(result.error));
+    assert.equal(await balanceOf(chain, RECIPIENT), usdc(4));
+  });
+
+  it('the remote signer must hold the requested account', async () => {
+    const { code } = await runScript('create-delegation.mjs', [
+      '--delegate', agent.address, '--amount', '10', '--expiry', '1d'
+    ], withRemote('0x000000000000000000000000000000000000dead'));
+    assert.equal(code, EXIT_CODES.NOT_AUTHORIZED);
+  });
+
+  it('without any backend the scripts exit with a config error', async () => {
+    const { code, result } = await runScript('create-delegation.mjs', [
+      '--delegate', agent.address, '--amount', '10', '--expiry', '1d'
+    ], env);
+    assert.equal(code, EXIT_CODES.CONFIG_ERROR);
+    assert.match(result.error.message, /PRIVATE_KEY, KEYSTORE_PATH or REMOTE_SIGNER_URL/);
+  });
+});
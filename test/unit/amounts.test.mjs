@@ -0,0 +1,101 @@
+/**
+ * USDC amounts: decimal strings in, bigint base units through the library
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDelegation,
+  encodeERC20TransferAmountTerms,
+  getNetwork,
+  parsePayoutsCsv,
+  parseUSDCAmount,
+  validateSubDelegationScope,
+  validateTransfer
+} from '../../scripts/lib/delegation.mjs';
+
+const network = getNetwork('base-sepolia');
+const { contracts, usdcAddress } = network;
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+describe('parseUSDCAmount()', () => {
+  it('parses decimal strings exactly', () => {
+    assert.equal(parseUSDCAmount('1000'), 1_000_000_000n);
+    assert.equal(parseUSDCAmount('12.5'), 12_500_000n);
+    assert.equal(parseUSDCAmount('0.000001'), 1n);
+    assert.equal(parseUSDCAmount(' 7.10 '), 7_100_000n);
+    assert.equal(parseUSDCAmount('123456789012345678901234.123456'), 123456789012345678901234123456n);
+  });
+
+  it('accepts numbers whose decimal form is exact, and bigint base units as is', () => {
+    assert.equal(parseUSDCAmount(12.5), 12_500_000n);
+    assert.equal(parseUSDCAmount(12_500_000n), 12_500_000n);
+  });
+
+  it('rejects more than 6 decimal places instead of rounding', () => {
+    assert.throws(() => parseUSDCAmount('1.0000001'), {
+      message: 'Invalid amount "1.0000001": USDC has 6 decimal places, got 7'
+    });
+    assert.throws(() => parseUSDCAmount(0.1 + 0.2), /"0\.30000000000000004": USDC has 6 decimal places, got 17 \(pass amounts as strings/);
+  });
+
+  it('rejects exponent notation', () => {
+    assert.throws(() => parseUSDCAmount(1e21), /"1e\+21": exponent notation is not accepted/);
+    assert.throws(() => parseUSDCAmount('5e2', '--amount'), /^Error: Invalid --amount "5e2"/);
+  });
+
+  it('rejects zero, negative and malformed amounts', () => {
+    assert.throws(() => parseUSDCAmount('0.000000'), /"0\.000000": must be greater than 0/);
+    assert.throws(() => parseUSDCAmount('-5'), /"-5": must be greater than 0/);
+    assert.throws(() => parseUSDCAmount(0n), /0 base units - must be greater than 0/);
+    for (const bad of ['', '1,000', '12.', '.5', 'ten', '0x10', 'Infinity']) {
+      assert.throws(() => parseUSDCAmount(bad), /expected a decimal USDC amount/, bad);
+    }
+    assert.throws(() => parseUSDCAmount(null), /got null/);
+    assert.throws(() => parseUSDCAmount(undefined), /got undefined/);
+  });
+});
+
+describe('library functions take base units', () => {
+  const root = buildDelegation({ delegator: ALICE, delegate: BOB, amount: 50_000_000n, expirySeconds: 86400, network });
+
+  it('buildDelegation() encodes the amount unchanged', () => {
+    const caveat = root.caveats.find(c => c.enforcer === contracts.ERC20TransferAmountEnforcer);
+    assert.equal(caveat.terms, encodeERC20TransferAmountTerms(usdcAddress, 50_000_000n));
+  });
+
+  it('rejects decimal strings and numbers', () => {
+    assert.throws(() => buildDelegation({ delegator: ALICE, delegate: BOB, amount: '50', expirySeconds: 86400, network }), TypeError);
+    assert.throws(() => buildDelegation({ delegator: ALICE, delegate: BOB, periodAmount: 5, periodSeconds: 86400, network }), TypeError);
+    assert.throws(() => validateTransfer(root, BOB, '10', network), /bigint in USDC base units/);
+    assert.throws(() => validateSubDelegationScope(root, { amount: 10, expirySeconds: 3600 }, network), TypeError);
+  });
+
+  it('validateTransfer() names the requested amount and the limit', () => {
+    assert.deepEqual(validateTransfer(root, BOB, 50_000_000n, network).errors, []);
+    assert.deepEqual(validateTransfer(root, BOB, 50_000_001n, network).errors, [
+      'Transfer amount (50.000001 USDC) exceeds delegated limit of 50 USDC'
+    ]);
+  });
+
+  it('validateSubDelegationScope() names both amounts', () => {
+    assert.equal(validateSubDelegationScope(root, { amount: 50_000_000n, expirySeconds: 3600 }, network).valid, true);
+    assert.deepEqual(validateSubDelegationScope(root, { amount: 50_000_001n, expirySeconds: 3600 }, network).errors, [
+      'Amount: 50.000001 USDC exceeds the 50 USDC cap set by the parent (hop 1)'
+    ]);
+  });
+});
+
+describe('parsePayoutsCsv()', () => {
+  it('keeps amounts as written and reports the line of a bad one', () => {
+    assert.deepEqual(parsePayoutsCsv(`to,amount\n${ALICE},0.1\n`), [{ to: ALICE, amount: '0.1' }]);
+    assert.throws(
+      () => parsePayoutsCsv(`${ALICE},1\n${BOB},2.0000001\n`),
+      { message: 'Line 2: Invalid amount "2.0000001": USDC has 6 decimal places, got 7' }
+    );
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Allocation of a parent's cap across sibling sub-delegations
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDelegation,
+  getDelegationBudget,
+  getDelegationHash,
+  getNetwork
+} from '../../scripts/lib/delegation.mjs';
+
+const network = getNetwork('base-sepolia');
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const DAVE = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+
+const DAY = 86400;
+const usdc = (amount) => BigInt(amount) * 1_000_000n;
+const now = () => Math.floor(Date.now() / 1000);
+
+const root = buildDelegation({ delegator: ALICE, delegate: BOB, amount: usdc(1000), expirySeconds: 7 * DAY, network });
+const rootHash = getDelegationHash(root);
+// buildDelegation() salts with Date.now() - siblings built in one tick would share a hash
+let salt = 0n;
+const sub = (params) => ({
+  ...buildDelegation({ delegator: BOB, delegate: CAROL, authority: rootHash, expirySeconds: DAY, network, ...params }),
+  salt: ++salt
+});
+const hashOf = (delegation) => getDelegationHash(delegation).toLowerCase();
+
+describe('getDelegationBudget()', () => {
+  it('sums sibling caps against the parent cap', () => {
+    const subs = [sub({ amount: usdc(300) }), sub({ amount: usdc(300), delegate: DAVE })];
+    const budget = getDelegationBudget([root], subs, network);
+
+    assert.equal(budget.parentHash, rootHash.toLowerCase());
+    assert.deepEqual(budget.cap, { value: usdc(1000), hop: 0 });
+    assert.equal(budget.allocated, usdc(600));
+    assert.equal(budget.unallocated, usdc(400));
+    assert.equal(budget.overAllocated, 0n);
+    assert.deepEqual(budget.children.map(c => [c.hash, c.delegate, c.allocation]), [
+      [hashOf(subs[0]), CAROL, usdc(300)],
+      [hashOf(subs[1]), DAVE, usdc(300)]
+    ]);
+  });
+
+  it('reports siblings that together exceed the cap', () => {
+    const subs = [sub({ amount: usdc(1000) }), sub({ amount: usdc(1000) }), sub({ amount: usdc(1000) })];
+    const budget = getDelegationBudget([root], subs, network);
+
+    assert.equal(budget.allocated, usdc(3000));
+    assert.equal(budget.unallocated, 0n);
+    assert.equal(budget.overAllocated, usdc(2000));
+  });
+
+  it('counts a sub-delegation without its own cap at the chain cap', () => {
+    const parent = buildDelegation({ delegator: BOB, delegate: CAROL, authority: rootHash, periodAmount: usdc(50), periodSeconds: DAY, expirySeconds: DAY, network });
+    const child = buildDelegation({ delegator: CAROL, delegate: DAVE, authority: getDelegationHash(parent), periodAmount: usdc(10), periodSeconds: DAY, expirySeconds: DAY, network });
+    const budget = getDelegationBudget([parent, root], [child], network);
+
+    assert.deepEqual(budget.cap, { value: usdc(1000), hop: 1 });
+    assert.equal(budget.children[0].allocation, usdc(1000));
+    assert.equal(budget.children[0].inherited, true);
+  });
+
+  it('leaves out expired and revoked siblings and other parents\' children', () => {
+    const live = sub({ amount: usdc(200), expirySeconds: 3 * DAY });
+    const revoked = sub({ amount: usdc(500), expirySeconds: 3 * DAY });
+    const expired = sub({ amount: usdc(500) });
+    const other = buildDelegation({ delegator: BOB, delegate: CAROL, amount: usdc(900), expirySeconds: DAY, network });
+
+    const budget = getDelegationBudget([root], [live, revoked, expired, other, live], network, {
+      now: now() + 2 * DAY,
+      revoked: [hashOf(revoked)]
+    });
+
+    assert.equal(budget.children.length, 3);
+    assert.deepEqual(budget.children.map(c => [c.expired, c.revoked]), [[false, false], [false, true], [true, false]]);
+    assert.equal(budget.allocated, usdc(200));
+    assert.equal(budget.unallocated, usdc(800));
+  });
+
+  it('has no cap when no hop sets a lifetime cap', () => {
+    const uncapped = buildDelegation({ delegator: ALICE, delegate: BOB, periodAmount: usdc(10), periodSeconds: DAY, expirySeconds: DAY, network });
+    const child = buildDelegation({ delegator: BOB, delegate: CAROL, authority: getDelegationHash(uncapped), periodAmount: usdc(5), periodSeconds: DAY, expirySeconds: DAY, network });
+    const budget = getDelegationBudget([uncapped], [child], network);
+
+    assert.equal(budget.cap, null);
+    assert.equal(budget.unallocated, null);
+    assert.equal(budget.children[0].allocation, null);
+    assert.equal(budget.allocated, 0n);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Golden vectors for delegation hashing and caveat encoding
+ *
+ * The expected values come from the Delegation Framework v1.3.0 contracts:
+ * the typehashes are the constants in src/utils/Constants.sol, the delegation
+ * and domain hashes were returned by DelegationManager.getDelegationHash() /
+ * getDomainHash() at its Base Sepolia address, and the terms round-trip through
+ * the enforcers' getTermsInfo(). The permission context is checked word by
+ * word against the ABI layout. A mismatch here means signatures, authority
+ * links, enforcer terms or redemption calldata no longer match the contracts.
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { concat, hashStruct, hashTypedData, keccak256, size, slice, hexToBigInt } from 'viem';
+import {
+  ANY_DELEGATE,
+  CAVEAT_TYPEHASH,
+  DELEGATION_TYPEHASH,
+  EIP712_TYPES,
+  ROOT_AUTHORITY,
+  decodePermissionContext,
+  encodeERC20TransferAmountTerms,
+  encodePermissionContext,
+  encodeSingleExecution,
+  encodeTimestampTerms,
+  encodeValueLteTerms,
+  getDelegationDomain,
+  getDelegationHash,
+  getDelegationTypedData,
+  getNetwork,
+  hashCaveat,
+  hashCaveatsArray
+} from '../../scripts/lib/delegation.mjs';
+
+const network = getNetwork('base-sepolia');
+const { contracts, usdcAddress } = network;
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+const TRANSFER_50_TERMS = '0x036cbd53842c5426634e7929541ec2318f3dcf7e0000000000000000000000000000000000000000000000000000000002faf080';
+const WINDOW_TERMS = '0x000000000000000000000000677485800000000000000000000000006955b900';
+const VALUE_LTE_0_TERMS = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+// Alice -> Bob: 50 USDC, 2025-01-01 to 2026-01-01, no native value
+const ROOT = {
+  delegate: BOB,
+  delegator: ALICE,
+  authority: ROOT_AUTHORITY,
+  caveats: [
+    { enforcer: contracts.ERC20TransferAmountEnforcer, terms: TRANSFER_50_TERMS, args: '0x' },
+    { enforcer: contracts.TimestampEnforcer, terms: WINDOW_TERMS, args: '0x' },
+    { enforcer: contracts.ValueLteEnforcer, terms: VALUE_LTE_0_TERMS, args: '0x' }
+  ],
+  salt: 1n,
+  signature: '0x'
+};
+const ROOT_HASH = '0xd3025058ccb4aae75c39c0dcba6296fe9752d80baaac7fe072e1414c73b97382';
+
+// Bob -> Carol: 20 USDC under ROOT
+const SUB = {
+  delegate: CAROL,
+  delegator: BOB,
+  authority: ROOT_HASH,
+  caveats: [{ enforcer: contracts.ERC20TransferAmountEnforcer, terms: encodeERC20TransferAmountTerms(usdcAddress, 20_000_000n), args: '0x' }],
+  salt: 2n,
+  signature: '0x'
+};
+const SUB_HASH = '0xa4a900863e382d30b3900b74a9607806ce433f79b18f2fe7079c48b07d2061ef';
+
+// Open delegation without caveats - hashes the empty caveats array
+const NO_CAVEATS = { delegate: ANY_DELEGATE, delegator: ALICE, authority: ROOT_AUTHORITY, caveats: [], salt: 0n, signature: '0x' };
+const NO_CAVEATS_HASH = '0x74adde3c8d093eda78d6c452f35c5ced781217a70eed53374805cfdf02ec3de8';
+
+// DelegationManager.getDomainHash() on Base Sepolia
+const BASE_SEPOLIA_DOMAIN_HASH = '0xe71b8491d8c286677a45fed98624307811de12477341393c8399d0e58648242f';
+
+const word = (hex, index) => hexToBigInt(slice(hex, index * 32, (index + 1) * 32));
+
+describe('EIP-712 constants', () => {
+  it('typehashes match Constants.sol', () => {
+    assert.equal(DELEGATION_TYPEHASH, '0x88c1d2ecf185adf710588203a5f263f0ff61be0d33da39792cde19ba9aa4331e');
+    assert.equal(CAVEAT_TYPEHASH, '0x80ad7e1b04ee6d994a125f4714ca0720908bd80ed16063ec8aee4b88e9253e2d');
+  });
+
+  it('ROOT_AUTHORITY and ANY_DELEGATE match DelegationManager', () => {
+    assert.equal(ROOT_AUTHORITY, `0x${'f'.repeat(64)}`);
+    assert.equal(ANY_DELEGATE.toLowerCase(), '0x0000000000000000000000000000000000000a11');
+  });
+});
+
+describe('caveat hashing', () => {
+  it('hashCaveat() matches EncoderLib._getCaveatPacketHash', () => {
+    assert.deepEqual(ROOT.caveats.map(hashCaveat), [
+      '0x2cd604973075c6b474626cc8beb9f631ef6e46c9786f1d65f1d1154e38e8e2cd',
+      '0xfeb907fac747ca60ac6f6ae8d71ce28c63024ea8aa683d1c324068bf3cc0d3fb',
+      '0xfede37f79cb92737e768d4a04efcef0a0343bb095fbc1a82a080eb9625425b77'
+    ]);
+  });
+
+  it('hashCaveat() ignores args', () => {
+    const caveat = ROOT.caveats[0];
+    assert.equal(hashCaveat({ ...caveat, args: '0xdeadbeef' }), hashCaveat(caveat));
+  });
+
+  it('hashCaveatsArray() hashes the packed caveat hashes', () => {
+    assert.equal(hashCaveatsArray(ROOT.caveats), keccak256(concat(ROOT.caveats.map(hashCaveat))));
+    assert.equal(hashCaveatsArray([]), keccak256('0x'));
+  });
+});
+
+describe('getDelegationHash()', () => {
+  it('matches DelegationManager.getDelegationHash()', () => {
+    assert.equal(getDelegationHash(ROOT), ROOT_HASH);
+    assert.equal(getDelegationHash(SUB), SUB_HASH);
+    assert.equal(getDelegationHash(NO_CAVEATS), NO_CAVEATS_HASH);
+  });
+
+  it('ignores signature and caveat args', () => {
+    const signed = {
+      ...ROOT,
+      caveats: ROOT.caveats.map(c => ({ ...c, args: '0x01' })),
+      signature: `0x${'ab'.repeat(65)}`
+    };
+    assert.equal(getDelegationHash(signed), ROOT_HASH);
+  });
+
+  it("equals viem's EIP-712 struct hash of the signed typed data", () => {
+    for (const delegation of [ROOT, SUB, NO_CAVEATS]) {
+      const { types, primaryType, message } = getDelegationTypedData(delegation, network);
+      assert.equal(hashStruct({ types: EIP712_TYPES, primaryType, data: message }), getDelegationHash(delegation));
+      assert.deepEqual(types, EIP712_TYPES);
+    }
+  });
+
+  it('is the struct hash under the Base Sepolia DelegationManager domain', () => {
+    const typedData = getDelegationTypedData(ROOT, network);
+    assert.deepEqual(typedData.domain, getDelegationDomain(network));
+    assert.equal(
+      hashTypedData(typedData),
+      keccak256(concat(['0x1901', BASE_SEPOLIA_DOMAIN_HASH, ROOT_HASH]))
+    );
+  });
+});
+
+describe('enforcer terms', () => {
+  it('encodeERC20TransferAmountTerms() packs token (20 bytes) and amount (32 bytes)', () => {
+    const terms = encodeERC20TransferAmountTerms(usdcAddress, 50_000_000n);
+    assert.equal(terms, TRANSFER_50_TERMS);
+    assert.equal(size(terms), 52);
+  });
+
+  it('encodeTimestampTerms() packs afterThreshold then beforeThreshold as uint128', () => {
+    const terms = encodeTimestampTerms({ notBefore: 1735689600, notAfter: 1767225600 });
+    assert.equal(terms, WINDOW_TERMS);
+    assert.equal(size(terms), 32);
+    assert.equal(
+      encodeTimestampTerms({ notAfter: 1767225600 }),
+      '0x000000000000000000000000000000000000000000000000000000006955b900'
+    );
+    assert.equal(
+      encodeTimestampTerms({ notBefore: 1735689600 }),
+      '0x0000000000000000000000006774858000000000000000000000000000000000'
+    );
+  });
+
+  it('encodeValueLteTerms() is a single uint256', () => {
+    assert.equal(encodeValueLteTerms(0n), VALUE_LTE_0_TERMS);
+  });
+});
+
+describe('encodePermissionContext()', () => {
+  const context = encodePermissionContext([SUB, ROOT]);
+
+  // Encoding accepted by DelegationManager.redeemDelegations (abi.decode as Delegation[])
+  it('matches the abi.encode(Delegation[]) golden encoding', () => {
+    assert.equal(size(context), 1600);
+    assert.equal(keccak256(context), '0x64c91d2e5a7f0902db816e4940aec52e95e716d5266082b5e18d8dbebc6dad9d');
+  });
+
+  it('lays out a dynamic Delegation[] leaf first', () => {
+    assert.equal(word(context, 0), 0x20n);                 // offset of the array
+    assert.equal(word(context, 1), 2n);                    // length
+    assert.equal(word(context, 2), 0x40n);                 // offset of delegations[0] (leaf)
+    assert.equal(word(context, 3), 0x240n);                // offset of delegations[1] (root)
+    assert.equal(slice(context, 4 * 32 + 12, 5 * 32), CAROL.toLowerCase());
+    assert.equal(slice(context, 6 * 32, 7 * 32), ROOT_HASH);
+    assert.equal(word(context, 7), 0xc0n);                 // caveats offset within the tuple
+    assert.equal(word(context, 8), SUB.salt);
+  });
+
+  it('round-trips through decodePermissionContext()', () => {
+    const decoded = decodePermissionContext(context);
+    assert.deepEqual(decoded.map(getDelegationHash), [SUB_HASH, ROOT_HASH]);
+    assert.deepEqual(decoded[1].caveats.map(c => c.terms), ROOT.caveats.map(c => c.terms));
+  });
+
+  it('accepts string salts and missing args', () => {
+    const loose = { ...ROOT, salt: '1', caveats: ROOT.caveats.map(({ enforcer, terms }) => ({ enforcer, terms })) };
+    assert.equal(encodePermissionContext([SUB, loose]), context);
+  });
+});
+
+describe('encodeSingleExecution()', () => {
+  it('packs target, value and callData as ExecutionLib.decodeSingle reads them', () => {
+    const callData = '0xa9059cbb000000000000000000000000000000000000000000000000000000000000beef00000000000000000000000000000000000000000000000000000000004c4b40';
+    const execution = encodeSingleExecution(usdcAddress, 0n, callData);
+    assert.equal(size(execution), 20 + 32 + size(callData));
+    assert.equal(slice(execution, 0, 20), usdcAddress.toLowerCase());
+    assert.equal(hexToBigInt(slice(execution, 20, 52)), 0n);
+    assert.equal(slice(execution, 52), callData);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * MCP server: tool listing, structured results and error mapping
+ *
+ * The client talks to createServer() over an in-memory transport. RPC_URL
+ * points at a closed port, so check_scope runs on what it can verify offline
+ * and reports the on-chain reads it could not make.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { privateKeyToAccount } from 'viem/accounts';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { buildDelegation, getDelegationHash, getNetwork, signDelegation } from '../../scripts/lib/delegation.mjs';
+import { toJson } from '../../scripts/lib/cli.mjs';
+import { createServer } from '../../scripts/mcp-server.mjs';
+
+const network = getNetwork('base-sepolia');
+
+const ALICE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const alice = privateKeyToAccount(ALICE_KEY);
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const DAY = 86400;
+const usdc = (amount) => BigInt(amount) * 1_000_000n;
+
+describe('MCP server', () => {
+  const saved = {};
+  let store;
+  let client;
+
+  before(async () => {
+    store = mkdtempSync(join(tmpdir(), 'usdc-delegations-'));
+    const env = { RPC_URL: 'http://127.0.0.1:1', DELEGATION_STORE: store, PRIVATE_KEY: '', KEYSTORE_PATH: '', REMOTE_SIGNER_URL: '' };
+    for (const [key, value] of Object.entries(env)) {
+      saved[key] = process.env[key];
+      process.env[key] = value;
+    }
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createServer().connect(serverTransport);
+    client = new Client({ name: 'test', version: '0.0.0' });
+    await client.connect(clientTransport);
+  });
+
+  after(async () => {
+    await client?.close();
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    if (store) rmSync(store, { recursive: true, force: true });
+  });
+
+  it('lists the five tools with their required inputs', async () => {
+    const { tools } = await client.listTools();
+    assert.deepEqual(Object.fromEntries(tools.map(t => [t.name, t.inputSchema.required])), {
+      create_delegation: ['delegate', 'expiry'],
+      create_subdelegation: ['parent', 'delegate', 'expiry'],
+      check_scope: ['delegation'],
+      execute_transfer: ['delegation'],
+      revoke_delegation: ['delegations']
+    });
+    for (const tool of tools) {
+      assert.equal(tool.inputSchema.type, 'object');
+      assert.deepEqual(tool.inputSchema.properties.network.enum, ['base-sepolia', 'sepolia', 'base']);
+    }
+  });
+
+  it('check_scope returns the decoded delegation as structured content', async () => {
+    const delegation = await signDelegation(
+      buildDelegation({ delegator: alice.address, delegate: BOB, amount: usdc(50), expirySeconds: DAY, network }),
+      alice,
+      network
+    );
+    const result = await client.callTool({ name: 'check_scope', arguments: { delegation: toJson(delegation) } });
+
+    assert.equal(result.isError, undefined);
+    const scope = result.structuredContent;
+    assert.deepEqual(JSON.parse(result.content[0].text), scope);
+    assert.equal(scope.hash, getDelegationHash(delegation));
+    assert.equal(scope.delegator, alice.address);
+    assert.equal(scope.delegate, BOB);
+    assert.equal(scope.signature.valid, true);
+    assert.deepEqual(scope.caveats.map(c => c.name), ['ValueLteEnforcer', 'ERC20TransferAmountEnforcer', 'TimestampEnforcer']);
+    assert.deepEqual(scope.effectiveScope.amount, { value: usdc(50).toString(), hop: 0 });
+    assert.equal(scope.chain.length, 1);
+    assert.ok(scope.stateErrors.spent, 'the spent amount cannot be read without an RPC');
+  });
+
+  it('maps handler errors to isError results carrying the error code', async () => {
+    const missing = await client.callTool({ name: 'check_scope', arguments: { delegation: join(store, 'missing.json') } });
+    assert.equal(missing.isError, true);
+    assert.equal(missing.structuredContent.error.code, 'NOT_FOUND');
+    assert.match(missing.structuredContent.error.message, /Could not load delegation/);
+    assert.deepEqual(JSON.parse(missing.content[0].text), missing.structuredContent);
+
+    const unsigned = await client.callTool({ name: 'create_delegation', arguments: { delegate: BOB, expiry: '1d' } });
+    assert.equal(unsigned.isError, true);
+    assert.equal(unsigned.structuredContent.error.code, 'CONFIG_ERROR');
+
+    const unknown = await client.callTool({ name: 'transfer_everything', arguments: {} });
+    assert.equal(unknown.isError, true);
+    assert.deepEqual(unknown.structuredContent.error, {
+      name: 'DelegationError',
+      code: 'UNKNOWN_TOOL',
+      message: 'Unknown tool: transfer_everything',
+      details: []
+    });
+  });
+});
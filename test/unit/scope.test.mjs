@@ -0,0 +1,170 @@
+/**
+ * Effective scope of a delegation chain and sub-delegation narrowing
+ *
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDelegation,
+  encodeERC20TransferAmountTerms,
+  getDelegationHash,
+  getEffectiveScope,
+  getNetwork,
+  getSingleCallOnlyEnforcers,
+  validateSubDelegationScope
+} from '../../scripts/lib/delegation.mjs';
+
+const network = getNetwork('base-sepolia');
+const { contracts } = network;
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const DAVE = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+const ERIN = '0x9965507d1a55Bcc2695c4a4b5A8b2E4Dd4C1D3b1';
+
+const HOUR = 3600;
+const DAY = 86400;
+const usdc = (amount) => BigInt(amount) * 1_000_000n;
+const now = () => Math.floor(Date.now() / 1000);
+
+// Alice -> Bob -> Carol: the cap lives on the root, the parent has none
+function threeHops({ root = {}, parent = {} } = {}) {
+  const rootDelegation = buildDelegation({ delegator: ALICE, delegate: BOB, amount: usdc(100), expirySeconds: 7 * DAY, network, ...root });
+  const parentDelegation = buildDelegation({
+    delegator: BOB,
+    delegate: CAROL,
+    authority: getDelegationHash(rootDelegation),
+    periodAmount: usdc(30),
+    periodSeconds: DAY,
+    expirySeconds: 3 * DAY,
+    network,
+    ...parent
+  });
+  return [parentDelegation, rootDelegation];
+}
+
+const sub = (params) => buildDelegation({ delegator: CAROL, delegate: DAVE, expirySeconds: DAY, network, ...params });
+
+describe('getEffectiveScope()', () => {
+  it('takes the tightest limit of every hop and names it', () => {
+    const chain = [
+      sub({ amount: usdc(80), expirySeconds: 5 * DAY, redeemers: [DAVE, ERIN] }),
+      ...threeHops({ root: { redeemers: [DAVE], notBefore: now() + HOUR } })
+    ];
+    const scope = getEffectiveScope(chain, network);
+
+    assert.deepEqual(scope.amount, { value: usdc(80), hop: 0 });
+    assert.equal(scope.expiry.hop, 1);
+    assert.equal(scope.notBefore.hop, 2);
+    assert.deepEqual(scope.periods, [{ periodAmount: usdc(30), periodDuration: DAY, hop: 1 }]);
+    assert.deepEqual(scope.maxValue, { value: 0n, hop: 0 });
+    assert.deepEqual(scope.redeemers, { value: [DAVE], hop: 2, hops: [0, 2] });
+    assert.deepEqual(scope.tokens.value, [network.usdcAddress]);
+    assert.equal(scope.recipients, null);
+    assert.equal(scope.maxCalls, null);
+  });
+});
+
+describe('validateSubDelegationScope()', () => {
+  it('accepts a narrower sub-delegation and inherits the limits it omits', () => {
+    const result = validateSubDelegationScope(threeHops(), sub({ periodAmount: usdc(10), periodSeconds: DAY }), network);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.scope.amount, { value: usdc(100), hop: 2 });
+  });
+
+  it('checks caps set above the parent', () => {
+    const { errors, violations } = validateSubDelegationScope(threeHops(), sub({ amount: usdc(150) }), network);
+    assert.deepEqual(errors, ['Amount: 150 USDC exceeds the 100 USDC cap set by hop 2']);
+    assert.equal(violations[0].kind, 'wider');
+    assert.equal(violations[0].constraint, 'amount');
+  });
+
+  it('reads the ancestors from the embedded _chain', () => {
+    const [parent, root] = threeHops();
+    const parentJson = { ...parent, salt: parent.salt.toString(), _chain: { parent: { ...root, salt: root.salt.toString() } } };
+    assert.deepEqual(validateSubDelegationScope(parentJson, { amount: usdc(150), expirySeconds: DAY }, network).errors, [
+      'Amount: 150 USDC exceeds the 100 USDC cap set by hop 2'
+    ]);
+  });
+
+  it('compares per-period caps across period lengths', () => {
+    const weekly = validateSubDelegationScope(threeHops(), sub({ periodAmount: usdc(250), periodSeconds: 7 * DAY }), network);
+    assert.deepEqual(weekly.errors, [
+      'Per-period amount: 250 USDC per week exceeds the 100 USDC lifetime cap set by hop 2',
+      'Per-period amount: 250 USDC per week exceeds the 30 USDC per day set by the parent (hop 1) (210 USDC over 7 of its periods)'
+    ]);
+
+    const hourly = validateSubDelegationScope(threeHops(), sub({ periodAmount: usdc(30), periodSeconds: HOUR }), network);
+    assert.equal(hourly.valid, true);
+  });
+
+  it('rejects a later expiry, an earlier start and extra redeemers or calls', () => {
+    const start = now() + 2 * HOUR;
+    const chain = threeHops({ root: { notBefore: start, redeemers: [DAVE], maxCalls: 5 } });
+    const { violations } = validateSubDelegationScope(chain, sub({
+      amount: usdc(10),
+      expirySeconds: 4 * DAY,
+      notBefore: start - HOUR,
+      redeemers: [DAVE, ERIN],
+      maxCalls: 10
+    }), network);
+
+    assert.deepEqual(violations.map(v => v.constraint), ['expiry', 'notBefore', 'maxCalls', 'redeemers']);
+    assert.ok(violations.every(v => v.kind === 'wider'));
+    assert.match(violations[0].message, /^Expiry: .* is after the chain's expiry .* set by the parent \(hop 1\)$/);
+    assert.match(violations[1].message, /^Start: .* is before the chain's start .* set by hop 2$/);
+    assert.equal(violations[2].message, 'Max calls: 10 exceeds the 5 redemption(s) allowed by hop 2');
+    assert.equal(violations[3].message, `Redeemers: ${ERIN} not allowed by the chain (${DAVE})`);
+  });
+
+  it('rejects a sub-delegation of an expired chain', () => {
+    const { violations } = validateSubDelegationScope(threeHops(), sub({ amount: usdc(10) }), network, { now: now() + 4 * DAY });
+    assert.deepEqual(violations.map(v => [v.constraint, v.kind]), [['expiry', 'dead']]);
+    assert.match(violations[0].message, /^Expired: the parent \(hop 1\) expired at /);
+  });
+
+  it('rejects a window that never opens', () => {
+    const { violations } = validateSubDelegationScope(threeHops(), sub({ amount: usdc(10), notBefore: now() + 4 * DAY, expirySeconds: 5 * DAY }), network);
+    assert.deepEqual(violations.map(v => [v.constraint, v.kind]), [['expiry', 'wider'], ['notBefore', 'dead']]);
+    assert.match(violations[1].message, /^Never active: starts .* \(this sub-delegation\) but expires .* \(the parent \(hop 1\)\)$/);
+  });
+
+  it('rejects disjoint redeemers and recipients', () => {
+    const chain = threeHops({ parent: { redeemers: [DAVE], allowedRecipients: [ALICE] } });
+    const { violations } = validateSubDelegationScope(chain, sub({ amount: usdc(10), redeemers: [ERIN], allowedRecipients: [BOB] }), network);
+    assert.deepEqual(violations.map(v => [v.constraint, v.kind]), [['redeemers', 'dead'], ['recipients', 'dead']]);
+    assert.equal(violations[0].message, 'Redeemers: no redeemer is allowed by every hop (hops 0, 1)');
+  });
+
+  it('rejects a token the chain does not cover', () => {
+    const OTHER_TOKEN = '0x000000000000000000000000000000000000beef';
+    const other = sub({});
+    other.caveats.push({ enforcer: contracts.ERC20TransferAmountEnforcer, terms: encodeERC20TransferAmountTerms(OTHER_TOKEN, usdc(5)), args: '0x' });
+
+    const { violations } = validateSubDelegationScope(threeHops(), other, network);
+    assert.deepEqual(violations.map(v => [v.constraint, v.kind]), [['token', 'dead']]);
+    assert.equal(violations[0].message, `Token: this sub-delegation covers 0x000000000000000000000000000000000000bEEF but the chain covers ${network.usdcAddress}`);
+  });
+});
+
+describe('getSingleCallOnlyEnforcers()', () => {
+  it('names the enforcers that would revert a batch-call redemption, including wrapped ones', () => {
+    const delegation = buildDelegation({ delegator: ALICE, delegate: BOB, amount: usdc(10), allowedRecipients: [CAROL, DAVE], expirySeconds: DAY, network });
+    assert.deepEqual(getSingleCallOnlyEnforcers(delegation, network).sort(), [
+      'AllowedCalldataEnforcer',
+      'ERC20TransferAmountEnforcer',
+      'ValueLteEnforcer'
+    ]);
+  });
+
+  it('is empty when every caveat accepts batch calls', () => {
+    const delegation = buildDelegation({ delegator: ALICE, delegate: BOB, amount: usdc(10), redeemers: [CAROL], expirySeconds: DAY, network });
+    const batchable = { ...delegation, caveats: delegation.caveats.filter(c => c.enforcer !== contracts.ERC20TransferAmountEnforcer && c.enforcer !== contracts.ValueLteEnforcer) };
+    assert.equal(batchable.caveats.length, 2);
+    assert.deepEqual(getSingleCallOnlyEnforcers(batchable, network), []);
+  });
+});
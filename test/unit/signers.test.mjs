@@ -0,0 +1,125 @@
+/**
+ * Keystore encryption and signer backend selection
+ *
+ * The pbkdf2 keystore is the test vector from the Web3 Secret Storage
+ * definition (password "testpassword").
+ *
+ * Run: npm test
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { privateKeyToAccount } from 'viem/accounts';
+import { decryptKeystore, encryptKeystore, loadSigner, requireSigner } from '../../scripts/lib/signers.mjs';
+import { ConfigError } from '../../scripts/lib/errors.mjs';
+
+const SPEC_KEY = '0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d';
+const SPEC_PBKDF2_KEYSTORE = {
+  crypto: {
+    cipher: 'aes-128-ctr',
+    cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+    ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+    kdf: 'pbkdf2',
+    kdfparams: { c: 262144, dklen: 32, prf: 'hmac-sha256', salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd' },
+    mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2'
+  },
+  id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+  version: 3
+};
+
+// Cheap scrypt parameters keep the round trips fast
+const FAST_SCRYPT = { n: 1024, r: 8, p: 1 };
+const KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+describe('keystore', () => {
+  it('decrypts the Web3 Secret Storage pbkdf2 test vector', () => {
+    assert.equal(decryptKeystore(SPEC_PBKDF2_KEYSTORE, 'testpassword'), SPEC_KEY);
+    assert.equal(decryptKeystore(JSON.stringify(SPEC_PBKDF2_KEYSTORE), 'testpassword'), SPEC_KEY);
+  });
+
+  it('rejects a wrong passphrase', () => {
+    assert.throws(() => decryptKeystore(SPEC_PBKDF2_KEYSTORE, 'wrong'), ConfigError);
+  });
+
+  it('round-trips through encryptKeystore() with scrypt', () => {
+    const keystore = encryptKeystore(KEY, 'pw', FAST_SCRYPT);
+    assert.equal(keystore.version, 3);
+    assert.equal(keystore.crypto.kdf, 'scrypt');
+    assert.equal(`0x${keystore.address}`, privateKeyToAccount(KEY).address.toLowerCase());
+    assert.equal(decryptKeystore(keystore, 'pw'), KEY);
+  });
+
+  it('uses a fresh salt and iv for every encryption', () => {
+    const a = encryptKeystore(KEY, 'pw', FAST_SCRYPT);
+    const b = encryptKeystore(KEY, 'pw', FAST_SCRYPT);
+    assert.notEqual(a.crypto.kdfparams.salt, b.crypto.kdfparams.salt);
+    assert.notEqual(a.crypto.ciphertext, b.crypto.ciphertext);
+  });
+
+  it('rejects JSON that is not a v3 keystore as a config error', () => {
+    const keystore = encryptKeystore(KEY, 'pw', FAST_SCRYPT);
+    const { cipherparams, mac, ...partial } = keystore.crypto;
+    const cases = [
+      [{ delegator: KEY, caveats: [] }, 'Not a v3 keystore: missing version, crypto'],
+      [{ ...keystore, crypto: partial }, 'Not a v3 keystore: missing crypto.cipherparams.iv, crypto.mac'],
+      [[], 'Not a v3 keystore: expected a JSON object'],
+      ['{"version":', /^Not a v3 keystore: /],
+      [{ ...keystore, version: 1 }, 'Unsupported keystore version: 1 (expected 3)']
+    ];
+    for (const [input, message] of cases) {
+      assert.throws(() => decryptKeystore(input, 'pw'), (e) => {
+        assert.ok(e instanceof ConfigError);
+        if (typeof message === 'string') assert.equal(e.message, message);
+        else assert.match(e.message, message);
+        return true;
+      });
+    }
+  });
+
+  it('rejects a keystore whose address does not match the key', () => {
+    const keystore = { ...encryptKeystore(KEY, 'pw', FAST_SCRYPT), address: '000000000000000000000000000000000000dead' };
+    assert.throws(() => decryptKeystore(keystore, 'pw'), /not 000000000000000000000000000000000000dead/);
+  });
+});
+
+describe('loadSigner()', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'usdc-signers-'));
+  const keystorePath = join(dir, 'keystore.json');
+  writeFileSync(keystorePath, JSON.stringify(encryptKeystore(KEY, 'pw', FAST_SCRYPT)));
+  const { address } = privateKeyToAccount(KEY);
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('returns null without a backend, requireSigner() throws', async () => {
+    assert.equal(await loadSigner({ env: {} }), null);
+    await assert.rejects(requireSigner({ env: {} }), ConfigError);
+  });
+
+  it('prefers PRIVATE_KEY', async () => {
+    const account = await loadSigner({ env: { PRIVATE_KEY: SPEC_KEY, KEYSTORE_PATH: keystorePath } });
+    assert.equal(account.address, privateKeyToAccount(SPEC_KEY).address);
+  });
+
+  it('decrypts KEYSTORE_PATH with KEYSTORE_PASSWORD', async () => {
+    const account = await loadSigner({ env: { KEYSTORE_PATH: keystorePath, KEYSTORE_PASSWORD: 'pw' } });
+    assert.equal(account.address, address);
+  });
+
+  it('prompts for the passphrase when KEYSTORE_PASSWORD is unset', async () => {
+    const questions = [];
+    const prompt = async (question) => { questions.push(question); return 'pw'; };
+    const account = await loadSigner({ env: { KEYSTORE_PATH: keystorePath }, prompt });
+    assert.equal(account.address, address);
+    assert.equal(questions.length, 1);
+  });
+
+  it('reports an unreadable keystore as a config error', async () => {
+    await assert.rejects(
+      loadSigner({ env: { KEYSTORE_PATH: join(dir, 'missing.json'), KEYSTORE_PASSWORD: 'pw' } }),
+      ConfigError
+    );
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Local delegation store
+ *
+ * Run: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildDelegation, getDelegationHash, getNetwork, parseDelegation } from '../../scripts/lib/delegation.mjs';
+import { toJson } from '../../scripts/lib/cli.mjs';
+import { listStoredDelegations, loadDelegationDirectory, rekeyStore, saveDelegation } from '../../scripts/lib/store.mjs';
+
+const network = getNetwork('base-sepolia');
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+const DAY = 86400;
+const usdc = (amount) => BigInt(amount) * 1_000_000n;
+// A hash the old type strings would have produced - any hash the contents do not match
+const OLD_HASH = `0x${'ab'.repeat(32)}`;
+
+describe('delegation store', () => {
+  let store;
+  let saved;
+
+  before(() => {
+    saved = process.env.DELEGATION_STORE;
+    store = mkdtempSync(join(tmpdir(), 'usdc-delegations-'));
+    process.env.DELEGATION_STORE = store;
+  });
+
+  after(() => {
+    if (saved === undefined) delete process.env.DELEGATION_STORE;
+    else process.env.DELEGATION_STORE = saved;
+    rmSync(store, { recursive: true, force: true });
+  });
+
+  describe('rekeyStore()', () => {
+    const root = toJson({
+      ...buildDelegation({ delegator: ALICE, delegate: BOB, amount: usdc(100), expirySeconds: DAY, network }),
+      signature: '0x'
+    });
+    const rootHash = getDelegationHash(parseDelegation(root)).toLowerCase();
+    const sub = toJson({
+      ...buildDelegation({ delegator: BOB, delegate: CAROL, authority: OLD_HASH, amount: usdc(10), expirySeconds: DAY, network }),
+      signature: '0x',
+      _chain: { parent: root }
+    });
+
+    before(() => {
+      writeFileSync(join(store, `${OLD_HASH}.json`), JSON.stringify({ ...root, _meta: { delegationHash: OLD_HASH } }));
+      saveDelegation(sub);
+    });
+
+    it('reports without touching the store on a dry run', () => {
+      const { rekeyed } = rekeyStore({ dryRun: true });
+      assert.deepEqual(rekeyed, [{ from: OLD_HASH, to: rootHash }]);
+      assert.ok(existsSync(join(store, `${OLD_HASH}.json`)));
+    });
+
+    it('moves old-hash files to their current hash and names stale sub-delegations', () => {
+      const { rekeyed, stale } = rekeyStore();
+      assert.deepEqual(rekeyed, [{ from: OLD_HASH, to: rootHash }]);
+      assert.deepEqual(stale.map(s => [s.authority, s.parentHash]), [[OLD_HASH, rootHash]]);
+
+      assert.ok(!existsSync(join(store, `${OLD_HASH}.json`)));
+      const moved = JSON.parse(readFileSync(join(store, `${rootHash}.json`), 'utf8'));
+      assert.equal(moved._meta.delegationHash, rootHash);
+      assert.equal(readdirSync(store).length, 2);
+      assert.deepEqual(rekeyStore().rekeyed, []);
+      assert.equal(listStoredDelegations().length, 2);
+    });
+  });
+
+  describe('loadDelegationDirectory()', () => {
+    it('skips malformed files with a warning naming each, and keeps the rest', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'usdc-delegations-'));
+      try {
+        const good = buildDelegation({ delegator: ALICE, delegate: BOB, amount: usdc(5), expirySeconds: DAY, network });
+        writeFileSync(join(dir, 'good.json'), JSON.stringify(toJson(good)));
+        writeFileSync(join(dir, 'bad-salt.json'), JSON.stringify({ ...toJson(good), salt: 'not a number' }));
+        writeFileSync(join(dir, 'truncated.json'), '{"delegator":');
+        writeFileSync(join(dir, 'receipt.json'), JSON.stringify({ transactionHash: OLD_HASH }));
+
+        const warnings = [];
+        const entries = loadDelegationDirectory(dir, { warn: (message) => warnings.push(message) });
+
+        assert.deepEqual(entries.map(e => e.hash), [getDelegationHash(good).toLowerCase()]);
+        assert.equal(warnings.length, 2);
+        assert.match(warnings.join('\n'), /Skipping .*bad-salt\.json: Cannot convert not a number to a BigInt/);
+        assert.match(warnings.join('\n'), /Skipping .*truncated\.json: /);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});